@@ -0,0 +1,116 @@
+// The parts of WAI-ARIA 1.2 (https://www.w3.org/TR/wai-aria-1.2/) the static accessibility checks validate against
+
+// Concrete roles; abstract roles such as "widget" or "landmark" must not be used in markup
+const ROLES = [
+  'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+  'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+  'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+  'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee',
+  'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none',
+  'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+  'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+  'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox',
+  'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+];
+
+const RANGE_ROLES = ['meter', 'progressbar', 'scrollbar', 'separator', 'slider', 'spinbutton'];
+
+// Every ARIA attribute with its value type; `roles` limits an attribute to those roles, otherwise it is global
+const ATTRIBUTES = {
+  'aria-activedescendant': { type: 'idref', roles: ['application', 'combobox', 'grid', 'group', 'listbox', 'menu', 'menubar', 'radiogroup', 'row', 'searchbox', 'spinbutton', 'tablist', 'textbox', 'toolbar', 'tree', 'treegrid'] },
+  'aria-atomic': { type: 'boolean' },
+  'aria-autocomplete': { type: 'token', values: ['inline', 'list', 'both', 'none'], roles: ['combobox', 'searchbox', 'textbox'] },
+  'aria-braillelabel': { type: 'string' },
+  'aria-brailleroledescription': { type: 'string' },
+  'aria-busy': { type: 'boolean' },
+  'aria-checked': { type: 'tristate', roles: ['checkbox', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'switch', 'treeitem'] },
+  'aria-colcount': { type: 'integer', roles: ['grid', 'table', 'treegrid'] },
+  'aria-colindex': { type: 'integer', roles: ['cell', 'columnheader', 'gridcell', 'row', 'rowheader'] },
+  'aria-colindextext': { type: 'string', roles: ['cell', 'columnheader', 'gridcell', 'row', 'rowheader'] },
+  'aria-colspan': { type: 'integer', roles: ['cell', 'columnheader', 'gridcell', 'rowheader'] },
+  'aria-controls': { type: 'idrefs' },
+  'aria-current': { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'] },
+  'aria-describedby': { type: 'idrefs' },
+  'aria-description': { type: 'string' },
+  'aria-details': { type: 'idref' },
+  'aria-disabled': { type: 'boolean' },
+  'aria-dropeffect': { type: 'tokens', values: ['copy', 'execute', 'link', 'move', 'none', 'popup'] },
+  'aria-errormessage': { type: 'idref' },
+  'aria-expanded': { type: 'boolean-undefined', roles: ['application', 'button', 'checkbox', 'combobox', 'gridcell', 'link', 'listbox', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'row', 'rowheader', 'switch', 'tab', 'treeitem'] },
+  'aria-flowto': { type: 'idrefs' },
+  'aria-grabbed': { type: 'boolean-undefined' },
+  'aria-haspopup': { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'] },
+  'aria-hidden': { type: 'boolean-undefined' },
+  'aria-invalid': { type: 'token', values: ['grammar', 'false', 'spelling', 'true'] },
+  'aria-keyshortcuts': { type: 'string' },
+  'aria-label': { type: 'string' },
+  'aria-labelledby': { type: 'idrefs' },
+  'aria-level': { type: 'integer', roles: ['comment', 'heading', 'listitem', 'row', 'treeitem'] },
+  'aria-live': { type: 'token', values: ['assertive', 'off', 'polite'] },
+  'aria-modal': { type: 'boolean', roles: ['alertdialog', 'dialog'] },
+  'aria-multiline': { type: 'boolean', roles: ['searchbox', 'textbox'] },
+  'aria-multiselectable': { type: 'boolean', roles: ['grid', 'listbox', 'tablist', 'tree', 'treegrid'] },
+  'aria-orientation': { type: 'token', values: ['horizontal', 'undefined', 'vertical'], roles: ['listbox', 'menu', 'menubar', 'radiogroup', 'scrollbar', 'select', 'separator', 'slider', 'tablist', 'toolbar', 'tree', 'treegrid'] },
+  'aria-owns': { type: 'idrefs' },
+  'aria-placeholder': { type: 'string', roles: ['searchbox', 'textbox'] },
+  'aria-posinset': { type: 'integer', roles: ['article', 'comment', 'listitem', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'tab', 'treeitem'] },
+  'aria-pressed': { type: 'tristate', roles: ['button'] },
+  'aria-readonly': { type: 'boolean', roles: ['checkbox', 'columnheader', 'combobox', 'grid', 'gridcell', 'listbox', 'radiogroup', 'rowheader', 'searchbox', 'slider', 'spinbutton', 'switch', 'textbox', 'treegrid'] },
+  'aria-relevant': { type: 'tokens', values: ['additions', 'all', 'removals', 'text'] },
+  'aria-required': { type: 'boolean', roles: ['checkbox', 'columnheader', 'combobox', 'gridcell', 'listbox', 'radiogroup', 'rowheader', 'searchbox', 'spinbutton', 'switch', 'textbox', 'tree', 'treegrid'] },
+  'aria-roledescription': { type: 'string' },
+  'aria-rowcount': { type: 'integer', roles: ['grid', 'table', 'treegrid'] },
+  'aria-rowindex': { type: 'integer', roles: ['cell', 'columnheader', 'gridcell', 'row', 'rowheader'] },
+  'aria-rowindextext': { type: 'string', roles: ['cell', 'columnheader', 'gridcell', 'row', 'rowheader'] },
+  'aria-rowspan': { type: 'integer', roles: ['cell', 'columnheader', 'gridcell', 'rowheader'] },
+  'aria-selected': { type: 'boolean-undefined', roles: ['gridcell', 'option', 'row', 'tab', 'columnheader', 'rowheader', 'treeitem'] },
+  'aria-setsize': { type: 'integer', roles: ['article', 'comment', 'listitem', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'tab', 'treeitem'] },
+  'aria-sort': { type: 'token', values: ['ascending', 'descending', 'none', 'other'], roles: ['columnheader', 'rowheader'] },
+  'aria-valuemax': { type: 'number', roles: RANGE_ROLES },
+  'aria-valuemin': { type: 'number', roles: RANGE_ROLES },
+  'aria-valuenow': { type: 'number', roles: RANGE_ROLES },
+  'aria-valuetext': { type: 'string', roles: RANGE_ROLES }
+};
+
+// States a role can't work without when the element has no native equivalent
+const REQUIRED_ATTRIBUTES = {
+  checkbox: ['aria-checked'],
+  combobox: ['aria-expanded'],
+  heading: ['aria-level'],
+  menuitemcheckbox: ['aria-checked'],
+  menuitemradio: ['aria-checked'],
+  radio: ['aria-checked'],
+  scrollbar: ['aria-controls', 'aria-valuenow'],
+  slider: ['aria-valuenow'],
+  switch: ['aria-checked']
+};
+
+const VALUE_PATTERNS = {
+  boolean: /^(true|false)$/,
+  'boolean-undefined': /^(true|false|undefined)$/,
+  tristate: /^(true|false|mixed)$/,
+  integer: /^-?\d+$/,
+  number: /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/
+};
+
+// Returns a reason when the value is not allowed for the attribute, or null when it is
+const validateValue = (name, value) => {
+  const attribute = ATTRIBUTES[name];
+  const trimmed = String(value).trim();
+
+  if (VALUE_PATTERNS[attribute.type] && !VALUE_PATTERNS[attribute.type].test(trimmed)) {
+    return `"${trimmed}" is not a valid ${attribute.type} value`;
+  }
+  if (attribute.type === 'token' && !attribute.values.includes(trimmed)) {
+    return `"${trimmed}" must be one of ${attribute.values.join(', ')}`;
+  }
+  if (attribute.type === 'tokens' && !trimmed.split(/\s+/).every(token => attribute.values.includes(token))) {
+    return `"${trimmed}" may only contain ${attribute.values.join(', ')}`;
+  }
+  if ((attribute.type === 'idref' || attribute.type === 'idrefs') && !trimmed) {
+    return 'the attribute must reference an id';
+  }
+  return null;
+};
+
+module.exports = { ROLES, ATTRIBUTES, REQUIRED_ATTRIBUTES, validateValue };
@@ -0,0 +1,113 @@
+// Values clients ask about when comparing two runs, read from a stored audit result
+const KEY_VALUES = {
+  title: results => results.seo && results.seo.title ? results.seo.title.content : undefined,
+  metaDescriptionLength: results => results.seo && results.seo.metaDescription ? results.seo.metaDescription.length : undefined,
+  altTextCoverage: results => results.seo && results.seo.images ? results.seo.images.altTextCoverage : undefined,
+  lcp: results => results.performance && results.performance.coreWebVitals ? results.performance.coreWebVitals.lcp : undefined,
+  fid: results => results.performance && results.performance.coreWebVitals ? results.performance.coreWebVitals.fid : undefined,
+  cls: results => results.performance && results.performance.coreWebVitals ? results.performance.coreWebVitals.cls : undefined,
+  pageWeight: results => results.performance && results.performance.resources ? results.performance.resources.transferSize : undefined
+};
+
+class AuditDiffError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuditDiffError';
+  }
+}
+
+const getCategories = (results) => Object.keys(results).filter(key => {
+  const section = results[key];
+  return section && typeof section === 'object' && typeof section.score === 'number';
+});
+
+// A check can report several findings, told apart by their message. Numbers are masked so
+// "1 links are broken" and "5 links are broken" are the same finding with a different count
+const findingKey = (issue) => `${issue.id}:${String(issue.message || '').replace(/\d+(\.\d+)?/g, '#')}`;
+
+const countOf = (issue) => typeof issue.count === 'number' ? issue.count : Array.isArray(issue.elements) ? issue.elements.length : 1;
+
+const indexIssues = (results) => {
+  const issues = new Map();
+  getCategories(results).forEach(category => {
+    (results[category].issues || []).forEach(issue => {
+      // Issues from before ids existed can't be matched reliably, so they're left out
+      if (!issue.id) {
+        return;
+      }
+      // Findings that still look alike after masking are matched in the order they were reported
+      let key = findingKey(issue);
+      for (let occurrence = 2; issues.has(key); occurrence++) {
+        key = `${findingKey(issue)}#${occurrence}`;
+      }
+      issues.set(key, { ...issue, category });
+    });
+  });
+  return issues;
+};
+
+const diffAudits = (from, to) => {
+  const fromHost = new URL(from.results.url).hostname;
+  const toHost = new URL(to.results.url).hostname;
+  if (fromHost !== toHost) {
+    throw new AuditDiffError(`Audits are for different sites (${fromHost} and ${toHost})`);
+  }
+
+  const categories = {};
+  new Set(getCategories(from.results).concat(getCategories(to.results))).forEach(category => {
+    const before = from.results[category] ? from.results[category].score : null;
+    const after = to.results[category] ? to.results[category].score : null;
+    categories[category] = {
+      from: before,
+      to: after,
+      delta: before !== null && after !== null ? after - before : null
+    };
+  });
+
+  const fromIssues = indexIssues(from.results);
+  const toIssues = indexIssues(to.results);
+  const newIssues = Array.from(toIssues.keys()).filter(key => !fromIssues.has(key)).map(key => toIssues.get(key));
+  const resolvedIssues = Array.from(fromIssues.keys()).filter(key => !toIssues.has(key)).map(key => fromIssues.get(key));
+  const matched = Array.from(toIssues.keys()).filter(key => fromIssues.has(key));
+  // Still failing, but affecting more or fewer elements than before, e.g. 1 broken link becoming 5
+  const changedIssues = matched
+    .filter(key => countOf(fromIssues.get(key)) !== countOf(toIssues.get(key)))
+    .map(key => {
+      const before = countOf(fromIssues.get(key));
+      const after = countOf(toIssues.get(key));
+      return { ...toIssues.get(key), from: before, to: after, delta: after - before };
+    });
+
+  const changedValues = {};
+  Object.keys(KEY_VALUES).forEach(key => {
+    const before = KEY_VALUES[key](from.results);
+    const after = KEY_VALUES[key](to.results);
+    if (before !== after) {
+      changedValues[key] = {
+        from: before === undefined ? null : before,
+        to: after === undefined ? null : after,
+        ...(typeof before === 'number' && typeof after === 'number' && { delta: Math.round((after - before) * 1000) / 1000 })
+      };
+    }
+  });
+
+  return {
+    from: { id: from.id, url: from.results.url, timestamp: from.timestamp },
+    to: { id: to.id, url: to.results.url, timestamp: to.timestamp },
+    overall: {
+      from: from.results.overallScore,
+      to: to.results.overallScore,
+      delta: to.results.overallScore - from.results.overallScore
+    },
+    categories,
+    regressions: Object.keys(categories).filter(category => categories[category].delta < 0),
+    improvements: Object.keys(categories).filter(category => categories[category].delta > 0),
+    newIssues,
+    resolvedIssues,
+    changedIssues,
+    unchangedIssues: matched.length - changedIssues.length,
+    changedValues
+  };
+};
+
+module.exports = { diffAudits, AuditDiffError };
@@ -0,0 +1,44 @@
+const SimpleWebsiteAuditor = require('./simpleAuditor');
+const WebsiteAuditor = require('./auditor');
+const LighthouseReports = require('./lighthouseReports');
+
+const ENGINES = ['static', 'browser', 'lighthouse'];
+
+// Sends each audit to the engine the caller asked for; the browser is only started once an audit needs it
+class AuditEngines {
+  constructor(options = {}) {
+    this.staticAuditor = options.staticAuditor || new SimpleWebsiteAuditor();
+    this.reports = options.reports || new LighthouseReports();
+    this.browserAuditor = null;
+  }
+
+  has(engine) {
+    return ENGINES.includes(engine);
+  }
+
+  list() {
+    return ENGINES.slice();
+  }
+
+  getAuditor(engine = 'static') {
+    if (engine === 'static') {
+      return this.staticAuditor;
+    }
+
+    // Browser and Lighthouse audits share one browser and the same checks and profiles as static audits
+    if (!this.browserAuditor) {
+      this.browserAuditor = new WebsiteAuditor({
+        checks: this.staticAuditor.checks,
+        profiles: this.staticAuditor.profiles,
+        reports: this.reports
+      });
+    }
+    return this.browserAuditor;
+  }
+
+  auditWebsite(url, options = {}) {
+    return this.getAuditor(options.engine).auditWebsite(url, options);
+  }
+}
+
+module.exports = AuditEngines;
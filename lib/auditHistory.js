@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeUrl } = require('./urlUtils');
+
+// Vercel only allows writes under /tmp
+const DEFAULT_FILE = process.env.VERCEL
+  ? path.join('/tmp', 'audits.jsonl')
+  : path.join(__dirname, '..', 'data', 'audits.jsonl');
+
+// Audits kept per URL. A URL's history is trimmed back to this once it reaches twice as many,
+// so the file is only rewritten now and then rather than on every save
+const DEFAULT_MAX_AUDITS_PER_URL = 50;
+
+const NEWLINE = 0x0a;
+
+class AuditHistory {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.AUDIT_HISTORY_FILE || DEFAULT_FILE;
+    this.maxPerUrl = options.maxPerUrl || parseInt(process.env.AUDIT_HISTORY_MAX_PER_URL, 10) || DEFAULT_MAX_AUDITS_PER_URL;
+    // id -> where the record sits in the file and its scores, so lookups don't read the whole file
+    this.index = new Map();
+    this.indexedBytes = 0;
+    this.indexedInode = null;
+    this.indexing = null;
+    this.writing = Promise.resolve();
+  }
+
+  async save(results) {
+    const record = {
+      id: crypto.randomUUID(),
+      url: normalizeUrl(results.url),
+      timestamp: results.timestamp || new Date().toISOString(),
+      results
+    };
+
+    // Writes are serialized so an append can't land in a file that is being compacted
+    const write = this.writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+      await this.refresh();
+      const audits = Array.from(this.index.values()).filter(entry => entry.url === record.url).length;
+      if (audits >= this.maxPerUrl * 2) {
+        await this.compact();
+      }
+    });
+    this.writing = write.catch(() => {});
+    await write;
+
+    return record;
+  }
+
+  async record(results) {
+    // A history write failure shouldn't fail an audit that otherwise succeeded
+    try {
+      const record = await this.save(results);
+      return { id: record.id, ...results };
+    } catch (error) {
+      console.error('Failed to save audit history:', error.message);
+      return results;
+    }
+  }
+
+  // Indexes records appended since the last call, reading only the new part of the file
+  async refresh() {
+    if (!this.indexing) {
+      this.indexing = this.indexNewRecords().finally(() => {
+        this.indexing = null;
+      });
+    }
+    return this.indexing;
+  }
+
+  async indexNewRecords() {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.index.clear();
+        this.indexedBytes = 0;
+        return;
+      }
+      throw error;
+    }
+
+    // Another process replaced or truncated the file, so start over
+    if (stats.ino !== this.indexedInode || stats.size < this.indexedBytes) {
+      this.index.clear();
+      this.indexedBytes = 0;
+      this.indexedInode = stats.ino;
+    }
+    if (stats.size === this.indexedBytes) {
+      return;
+    }
+
+    let offset = this.indexedBytes;
+    let pending = Buffer.alloc(0);
+    for await (const chunk of fs.createReadStream(this.filePath, { start: this.indexedBytes })) {
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      let newline;
+      while ((newline = pending.indexOf(NEWLINE)) !== -1) {
+        this.indexLine(pending.subarray(0, newline), offset);
+        offset += newline + 1;
+        pending = pending.subarray(newline + 1);
+      }
+    }
+    // A line without its newline is still being written; it's picked up on the next refresh
+    this.indexedBytes = offset;
+  }
+
+  indexLine(line, offset) {
+    if (line.toString('utf8').trim() === '') {
+      return;
+    }
+    try {
+      const record = JSON.parse(line.toString('utf8'));
+      this.index.set(record.id, { ...this.summarize(record), offset, length: line.length });
+    } catch (error) {
+      // A torn write only loses that one record
+      console.warn(`Skipping unreadable audit history record at byte ${offset}`);
+    }
+  }
+
+  async readRecord(entry) {
+    const handle = await fs.promises.open(this.filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(entry.length);
+      await handle.read(buffer, 0, entry.length, entry.offset);
+      return JSON.parse(buffer.toString('utf8'));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Rewrites the file without each URL's oldest audits beyond maxPerUrl. It runs as the indexing task, so a
+  // refresh can't read the old file while it is swapped out and refreshes made meanwhile wait for the new index
+  async compact() {
+    while (this.indexing) {
+      await this.indexing;
+    }
+    this.indexing = this.rewrite().finally(() => {
+      this.indexing = null;
+    });
+    return this.indexing;
+  }
+
+  async rewrite() {
+    const kept = new Set();
+    const byUrl = new Map();
+    this.index.forEach(entry => {
+      byUrl.set(entry.url, (byUrl.get(entry.url) || []).concat(entry));
+    });
+    byUrl.forEach(entries => entries
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, this.maxPerUrl)
+      .forEach(entry => kept.add(entry.id)));
+
+    const entries = Array.from(this.index.values()).filter(entry => kept.has(entry.id)).sort((a, b) => a.offset - b.offset);
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    const source = await fs.promises.open(this.filePath, 'r');
+    const target = await fs.promises.open(tempPath, 'w');
+    const index = new Map();
+    let offset = 0;
+    try {
+      for (const entry of entries) {
+        const buffer = Buffer.alloc(entry.length + 1);
+        await source.read(buffer, 0, entry.length, entry.offset);
+        buffer[entry.length] = NEWLINE;
+        await target.write(buffer);
+        index.set(entry.id, { ...entry, offset });
+        offset += buffer.length;
+      }
+    } finally {
+      await source.close();
+      await target.close();
+    }
+    await fs.promises.rename(tempPath, this.filePath);
+
+    this.index = index;
+    this.indexedBytes = offset;
+    this.indexedInode = (await fs.promises.stat(this.filePath)).ino;
+  }
+
+  async get(id, retried = false) {
+    await this.refresh();
+    const entry = this.index.get(id);
+    if (!entry) {
+      return null;
+    }
+    let record = null;
+    try {
+      record = await this.readRecord(entry);
+    } catch (error) {
+      // An offset into the file from before a compaction usually lands mid-line
+      if (!(error instanceof SyntaxError)) {
+        throw error;
+      }
+    }
+    // The file was compacted between the lookup and the read; look it up again
+    if (!record || record.id !== id) {
+      return retried ? null : this.get(id, true);
+    }
+    return record;
+  }
+
+  // Summaries come from the index, so listing doesn't read or parse the stored results
+  entriesFor(url) {
+    const normalized = normalizeUrl(url);
+    return Array.from(this.index.values()).filter(entry => entry.url === normalized);
+  }
+
+  async list(url) {
+    await this.refresh();
+    return this.entriesFor(url)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .map(({ offset, length, ...summary }) => summary);
+  }
+
+  async trends(url) {
+    await this.refresh();
+    const entries = this.entriesFor(url).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const series = {};
+    entries.forEach(entry => {
+      Object.keys(entry.scores).forEach(category => {
+        series[category] = series[category] || [];
+        series[category].push({ id: entry.id, timestamp: entry.timestamp, score: entry.scores[category] });
+      });
+    });
+
+    return { url: normalizeUrl(url), audits: entries.length, series };
+  }
+
+  summarize(record) {
+    // Any result section with a numeric score is a category
+    const scores = { overall: record.results.overallScore };
+    Object.keys(record.results).forEach(key => {
+      const section = record.results[key];
+      if (section && typeof section === 'object' && typeof section.score === 'number') {
+        scores[key] = section.score;
+      }
+    });
+
+    return {
+      id: record.id,
+      url: record.url,
+      timestamp: record.timestamp,
+      scores
+    };
+  }
+}
+
+module.exports = AuditHistory;
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const CATEGORIES = ['performance', 'seo', 'accessibility', 'crawlability', 'mobile', 'security'];
+
+// Finished jobs are kept around this long so clients can still fetch their results
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// Audits are CPU and network heavy, so only a few run at once and the rest wait their turn
+const DEFAULT_CONCURRENCY = 2;
+
+class AuditJobManager extends EventEmitter {
+  constructor(auditor, options = {}) {
+    super();
+    this.auditor = auditor;
+    this.ttl = options.ttl || JOB_TTL_MS;
+    this.history = options.history || null;
+    this.concurrency = options.concurrency || parseInt(process.env.AUDIT_JOB_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    // Every open progress stream adds a listener
+    this.setMaxListeners(0);
+  }
+
+  createJob(url, options = {}) {
+    this.pruneJobs();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      url,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      progress: CATEGORIES.reduce((progress, category) => ({ ...progress, [category]: 'pending' }), {}),
+      results: {},
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push({ job, options });
+    setImmediate(() => this.startJobs());
+
+    return job;
+  }
+
+  // Starts queued jobs, oldest first, while there are free slots
+  startJobs() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const { job, options } = this.queue.shift();
+      this.running++;
+      this.runJob(job, options).finally(() => {
+        this.running--;
+        this.startJobs();
+      });
+    }
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  async runJob(job, options) {
+    this.updateJob(job, { status: 'running' });
+    CATEGORIES.forEach(category => {
+      job.progress[category] = 'running';
+    });
+
+    try {
+      let results = await this.auditor.auditWebsite(job.url, {
+        ...options,
+        onProgress: (category, data) => {
+          job.progress[category] = data && data.error ? 'failed' : 'completed';
+          job.results[category] = data;
+          this.updateJob(job, {}, { type: 'progress', category, data });
+        }
+      });
+
+      if (this.history) {
+        results = await this.history.record(results);
+      }
+
+      this.updateJob(job, { status: 'completed', results }, { type: 'completed', data: results });
+    } catch (error) {
+      console.error(`Audit job ${job.id} failed:`, error.message);
+      this.updateJob(job, { status: 'failed', error: error.message }, { type: 'failed', error: error.message });
+    }
+  }
+
+  updateJob(job, changes, event = null) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit('update', job, event || { type: 'status', status: job.status });
+  }
+
+  pruneJobs() {
+    const cutoff = Date.now() - this.ttl;
+    this.jobs.forEach((job, id) => {
+      const finished = job.status === 'completed' || job.status === 'failed';
+      if (finished && new Date(job.updatedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    });
+  }
+}
+
+module.exports = AuditJobManager;
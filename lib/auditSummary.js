@@ -0,0 +1,50 @@
+// Overall score and score breakdown, shared by every audit engine
+const calculateOverallScore = (results, weights) => {
+  let totalScore = 0;
+  let totalWeight = 0;
+
+  Object.keys(weights).forEach(category => {
+    if (results[category] && typeof results[category].score === 'number') {
+      totalScore += results[category].score * weights[category];
+      totalWeight += weights[category];
+    }
+  });
+
+  return totalWeight > 0 ? Math.round(totalScore / totalWeight) : 0;
+};
+
+// How each category fed into the overall score under a profile, and whether it met its threshold
+const summarizeScore = (results, profile) => {
+  const { weights, thresholds } = profile;
+  const scored = Object.keys(weights).filter(category => results[category] && typeof results[category].score === 'number');
+  const totalWeight = scored.reduce((sum, category) => sum + weights[category], 0);
+  const passes = (score, threshold) => typeof threshold === 'number' ? score >= threshold : null;
+
+  const categories = {};
+  scored.forEach(category => {
+    const score = results[category].score;
+    const threshold = typeof thresholds[category] === 'number' ? thresholds[category] : thresholds.overall;
+    categories[category] = {
+      score,
+      weight: totalWeight > 0 ? Math.round((weights[category] / totalWeight) * 1000) / 1000 : 0,
+      contribution: totalWeight > 0 ? Math.round((score * weights[category] / totalWeight) * 10) / 10 : 0,
+      threshold: typeof threshold === 'number' ? threshold : null,
+      passed: passes(score, threshold)
+    };
+  });
+
+  const overallPassed = passes(results.overallScore, thresholds.overall);
+
+  return {
+    profile: profile.name,
+    categories,
+    overall: {
+      score: results.overallScore,
+      threshold: typeof thresholds.overall === 'number' ? thresholds.overall : null,
+      passed: overallPassed
+    },
+    passed: overallPassed !== false && Object.values(categories).every(category => category.passed !== false)
+  };
+};
+
+module.exports = { calculateOverallScore, summarizeScore };
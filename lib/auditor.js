@@ -1,110 +1,166 @@
-const puppeteer = require('puppeteer');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const RobotsTxt = require('./robotsTxt');
+const SitemapAnalyzer = require('./sitemapAnalyzer');
+const LinkChecker = require('./linkChecker');
+const ImageAnalyzer = require('./imageAnalyzer');
+const SocialMetaAnalyzer = require('./socialMetaAnalyzer');
+const CheckRegistry = require('./checkRegistry');
+const ScoringProfiles = require('./scoringProfiles');
+const RecommendationEngine = require('./recommendationEngine');
+const LighthouseReports = require('./lighthouseReports');
+const BrowserPool = require('./browserPool');
+const { mapLighthouseResult } = require('./lighthouseMapper');
+const { calculateOverallScore, summarizeScore } = require('./auditSummary');
+const { summarizeWcag } = require('./wcag');
+const { auditKeyboard } = require('./keyboardNavigation');
+const { MOBILE_DEVICE, getContentSummary, measureMobilePage } = require('./mobileLayout');
+const { getLinkCounts, getViewport, parseViewport } = require('./pageSignals');
+const { getCookies, summarizeSecurityHeaders } = require('./securityHeaders');
+const { inspectTls } = require('./tlsInspector');
+const { parseStructuredData } = require('./structuredData');
 
 // Dynamic imports for ES modules
-let lighthouse, chromeLauncher;
+let lighthouse;
+
+const CATEGORIES = ['performance', 'seo', 'accessibility', 'crawlability', 'mobile', 'security'];
+const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo'];
+
+// A Lighthouse run loads the page several times, so it gets longer than a single page task
+const LIGHTHOUSE_TIMEOUT_MS = 120000;
 
 class WebsiteAuditor {
-  constructor() {
-    this.browser = null;
-    this.initialized = false;
+  constructor(options = {}) {
+    this.pool = options.pool || new BrowserPool();
+    this.sitemapAnalyzer = new SitemapAnalyzer();
+    this.linkChecker = new LinkChecker();
+    this.imageAnalyzer = new ImageAnalyzer();
+    this.socialMetaAnalyzer = new SocialMetaAnalyzer();
+    this.checks = options.checks || CheckRegistry.createDefault();
+    this.profiles = options.profiles || new ScoringProfiles();
+    this.recommendationEngine = new RecommendationEngine(this.checks);
+    this.reports = options.reports || new LighthouseReports();
+    this.lighthouseQueue = Promise.resolve();
   }
 
   async init() {
-    if (!this.initialized) {
-      try {
-        this.browser = await puppeteer.launch({
-          headless: 'new',
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu',
-            '--disable-web-security',
-            '--disable-features=VizDisplayCompositor',
-            '--disable-background-timer-throttling',
-            '--disable-backgrounding-occluded-windows',
-            '--disable-renderer-backgrounding',
-            '--disable-extensions',
-            '--no-first-run',
-            '--no-default-browser-check'
-          ],
-          timeout: 30000,
-          protocolTimeout: 30000
-        });
-        this.initialized = true;
-        console.log('Browser initialized successfully');
-      } catch (error) {
-        console.error('Failed to initialize browser:', error);
-        // Try alternative launch options
-        try {
-          this.browser = await puppeteer.launch({
-            headless: 'new',
-            args: [
-              '--no-sandbox', 
-              '--disable-setuid-sandbox',
-              '--disable-dev-shm-usage',
-              '--disable-gpu',
-              '--disable-extensions',
-              '--no-first-run',
-              '--no-default-browser-check'
-            ],
-            timeout: 30000,
-            protocolTimeout: 30000
-          });
-          this.initialized = true;
-          console.log('Browser initialized with fallback options');
-        } catch (fallbackError) {
-          console.error('Fallback browser initialization failed:', fallbackError);
-          throw new Error('Unable to initialize browser');
-        }
-      }
-    }
+    await this.pool.getBrowser();
   }
 
   async close() {
-    if (this.browser) {
-      await this.browser.close();
-    }
+    await this.pool.close();
   }
 
-  async auditWebsite(url) {
+  async auditWebsite(url, options = {}) {
     try {
       console.log(`Starting audit for: ${url}`);
-      
-      // Ensure browser is initialized
-      await this.init();
+
+      const profile = this.profiles.get(options.profile);
+      if (!profile) {
+        throw new Error(`Unknown scoring profile: ${options.profile}`);
+      }
+      const checkOptions = { penalties: profile.penalties, timeout: options.timeout, sitemapSampleSize: options.sitemapSampleSize };
+      const engine = options.engine === 'lighthouse' ? 'lighthouse' : 'browser';
       
       const results = {
         url,
         timestamp: new Date().toISOString(),
+        engine,
         performance: {},
         seo: {},
         accessibility: {},
         crawlability: {},
+        mobile: {},
+        security: {},
         overallScore: 0,
         recommendations: []
       };
 
-      // Run all audits in parallel for better performance
-      const [performanceResults, seoResults, accessibilityResults, crawlabilityResults] = await Promise.all([
-        this.auditPerformance(url),
-        this.auditSEO(url),
-        this.auditAccessibility(url),
-        this.auditCrawlability(url)
-      ]);
+      // Let callers follow along as each category finishes
+      const reportProgress = (category) => (data) => {
+        if (options.onProgress) {
+          options.onProgress(category, data);
+        }
+        return data;
+      };
+
+      if (engine === 'lighthouse') {
+        // A single Lighthouse run produces every category at once. It doesn't look at the certificate,
+        // so the TLS inspection runs alongside it
+        const [lighthouseResults, tlsResults] = await Promise.all([
+          this.auditWithLighthouse(url, options).catch(error => ({ error })),
+          this.auditTls(url, checkOptions)
+        ]);
+
+        if (lighthouseResults.error) {
+          // A page that won't load because of its certificate gets a report saying so rather than a failed audit
+          if (!tlsResults.issues.some(issue => issue.severity === 'high')) {
+            throw lighthouseResults.error;
+          }
+          CATEGORIES.forEach(category => {
+            results[category] = reportProgress(category)(category === 'security'
+              ? { ...tlsResults, error: lighthouseResults.error.message }
+              : { error: lighthouseResults.error.message, score: 0 });
+          });
+        } else {
+          const security = lighthouseResults.security;
+          const tlsPenalty = tlsResults.breakdown.reduce((total, entry) => total + entry.penalty, 0);
+          lighthouseResults.security = {
+            ...security,
+            issues: tlsResults.issues.concat(security.issues),
+            breakdown: tlsResults.breakdown.filter(entry => entry.status !== 'skipped').concat(security.breakdown),
+            score: Math.max(0, Math.round(security.score - tlsPenalty)),
+            tls: tlsResults.tls
+          };
+          CATEGORIES.forEach(category => {
+            results[category] = reportProgress(category)(lighthouseResults[category]);
+          });
+          results.lighthouse = lighthouseResults.lighthouse;
+        }
+      } else {
+        // Performance gets a load of its own so nothing else competes with it for the network or CPU
+        results.performance = reportProgress('performance')(await this.auditPerformance(url, checkOptions));
+
+        // Every other category reads the same loaded page
+        let sessionResults;
+        let desktopContent = null;
+        try {
+          sessionResults = await this.pool.withPage(async (page) => {
+            const session = await this.openSession(url, page);
+            // Taken before the keyboard audit moves focus around, for the mobile content comparison
+            desktopContent = await getContentSummary(page).catch(() => null);
+            const [seo, crawlability, security] = await Promise.all([
+              this.auditSEO(url, checkOptions, session).then(reportProgress('seo')),
+              this.auditCrawlability(url, checkOptions, session).then(reportProgress('crawlability')),
+              this.auditSecurity(url, checkOptions, session).then(reportProgress('security'))
+            ]);
+            // The keyboard audit presses keys and rewrites the URL, so it runs once nothing else reads the page
+            const accessibility = reportProgress('accessibility')(await this.auditAccessibility(url, checkOptions, session));
+            return [seo, accessibility, crawlability, security];
+          }, { timeout: options.timeout });
+        } catch (error) {
+          console.error('Page audit failed:', error);
+          sessionResults = ['seo', 'accessibility', 'crawlability'].map(category => reportProgress(category)({ error: error.message, score: 0 }));
+          // The certificate and redirect checks don't need the page, and often explain why it didn't load
+          sessionResults.push(reportProgress('security')({ ...await this.auditTls(url, checkOptions), error: error.message }));
+        }
+        const [seoResults, accessibilityResults, crawlabilityResults, securityResults] = sessionResults;
 
-      results.performance = performanceResults;
-      results.seo = seoResults;
-      results.accessibility = accessibilityResults;
-      results.crawlability = crawlabilityResults;
+        results.seo = seoResults;
+        results.accessibility = accessibilityResults;
+        results.crawlability = crawlabilityResults;
+        results.security = securityResults;
+
+        // The phone layout needs a page loaded with the emulated device from the start
+        results.mobile = reportProgress('mobile')(await this.auditMobile(url, checkOptions, desktopContent));
+      }
 
       // Calculate overall score
-      results.overallScore = this.calculateOverallScore(results);
+      results.overallScore = calculateOverallScore(results, profile.weights);
+      results.scoring = summarizeScore(results, profile);
       
-      // Generate recommendations
-      results.recommendations = this.generateRecommendations(results);
+      // Build the prioritized action plan from the failing checks
+      results.recommendations = this.recommendationEngine.generate(results);
 
       return results;
     } catch (error) {
@@ -113,80 +169,127 @@ class WebsiteAuditor {
     }
   }
 
-  async auditPerformance(url) {
+  // Loads the page once and keeps what the category audits need from that load
+  async openSession(url, page) {
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    if (!response) {
+      throw new Error('No response received for the page');
+    }
+
+    // Crawlers see the HTML the server sent, so the checks get that alongside the rendered page
+    const html = await response.text();
+
+    return {
+      page,
+      finalUrl: page.url(),
+      status: response.status(),
+      headers: response.headers(),
+      html,
+      $: cheerio.load(html)
+    };
+  }
+
+  async auditPerformance(url, options = {}) {
     try {
-      await this.init();
-      
-      if (!this.browser) {
-        throw new Error('Browser not available');
-      }
-      
-      const page = await this.browser.newPage();
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-
-      // Get Core Web Vitals
-      const vitals = await page.evaluate(() => {
-        return new Promise((resolve) => {
-          const vitals = {};
-          
-          // LCP
-          new PerformanceObserver((list) => {
-            const entries = list.getEntries();
-            const lastEntry = entries[entries.length - 1];
-            vitals.lcp = lastEntry.startTime;
-          }).observe({ entryTypes: ['largest-contentful-paint'] });
-
-          // FID
-          new PerformanceObserver((list) => {
-            const entries = list.getEntries();
-            entries.forEach((entry) => {
-              vitals.fid = entry.processingStart - entry.startTime;
-            });
-          }).observe({ entryTypes: ['first-input'] });
-
-          // CLS
-          let clsValue = 0;
-          new PerformanceObserver((list) => {
-            for (const entry of list.getEntries()) {
-              if (!entry.hadRecentInput) {
-                clsValue += entry.value;
-              }
-            }
-            vitals.cls = clsValue;
-          }).observe({ entryTypes: ['layout-shift'] });
+      return await this.pool.withPage(async (page) => {
+        await page.setCacheEnabled(false);
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+        const performance = await this.measurePerformance(page);
 
-          setTimeout(() => resolve(vitals), 3000);
-        });
-      });
+        // Core Web Vitals are still worth reporting when the images can't be analyzed
+        let images;
+        try {
+          images = await this.imageAnalyzer.analyze(await this.imageAnalyzer.measureImages(page), page.url());
+        } catch (error) {
+          console.error('Image audit failed:', error.message);
+          images = { error: error.message };
+        }
+
+        const checkResults = await this.checks.run('performance', {
+          url,
+          finalUrl: page.url(),
+          page,
+          images
+        }, { penalties: options.penalties });
+        // The image checks take their penalties off the score from the Core Web Vitals
+        const penalty = checkResults.breakdown.reduce((total, entry) => total + entry.penalty, 0);
 
-      // Get additional performance metrics
-      const metrics = await page.evaluate(() => {
-        const navigation = performance.getEntriesByType('navigation')[0];
         return {
-          domContentLoaded: navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart,
-          loadComplete: navigation.loadEventEnd - navigation.loadEventStart,
-          firstPaint: performance.getEntriesByName('first-paint')[0]?.startTime || 0,
-          firstContentfulPaint: performance.getEntriesByName('first-contentful-paint')[0]?.startTime || 0
+          ...performance,
+          images,
+          issues: checkResults.issues,
+          breakdown: checkResults.breakdown,
+          score: Math.max(0, Math.round(performance.score - penalty))
         };
-      });
-
-      await page.close();
-
-      return {
-        coreWebVitals: vitals,
-        metrics,
-        score: this.calculatePerformanceScore(vitals, metrics)
-      };
+      }, { isolated: true, timeout: options.timeout });
     } catch (error) {
       console.error('Performance audit failed:', error);
       return { error: error.message, score: 0 };
     }
   }
 
-  async auditSEO(url) {
+  async measurePerformance(page) {
+    // Get Core Web Vitals; buffered observers also report entries from before the page finished loading
+    const vitals = await page.evaluate(() => {
+      return new Promise((resolve) => {
+        const vitals = {};
+
+        // LCP
+        new PerformanceObserver((list) => {
+          const entries = list.getEntries();
+          const lastEntry = entries[entries.length - 1];
+          vitals.lcp = lastEntry.startTime;
+        }).observe({ type: 'largest-contentful-paint', buffered: true });
+
+        // FID
+        new PerformanceObserver((list) => {
+          const entries = list.getEntries();
+          entries.forEach((entry) => {
+            vitals.fid = entry.processingStart - entry.startTime;
+          });
+        }).observe({ type: 'first-input', buffered: true });
+
+        // CLS
+        let clsValue = 0;
+        new PerformanceObserver((list) => {
+          for (const entry of list.getEntries()) {
+            if (!entry.hadRecentInput) {
+              clsValue += entry.value;
+            }
+          }
+          vitals.cls = clsValue;
+        }).observe({ type: 'layout-shift', buffered: true });
+
+        setTimeout(() => resolve(vitals), 3000);
+      });
+    });
+
+    // Get additional performance metrics
+    const metrics = await page.evaluate(() => {
+      const navigation = performance.getEntriesByType('navigation')[0];
+      return {
+        domContentLoaded: navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart,
+        loadComplete: navigation.loadEventEnd - navigation.loadEventStart,
+        firstPaint: performance.getEntriesByName('first-paint')[0]?.startTime || 0,
+        firstContentfulPaint: performance.getEntriesByName('first-contentful-paint')[0]?.startTime || 0
+      };
+    });
+
+    return {
+      coreWebVitals: vitals,
+      metrics,
+      score: this.calculatePerformanceScore(vitals, metrics)
+    };
+  }
+
+  async auditSEO(url, options = {}, session = null) {
     try {
-      const response = await axios.get(url, { timeout: 10000 });
-      const $ = cheerio.load(response.data);
+      // Reuse the HTML from the audit's page load; standalone calls fetch it themselves
+      const response = session
+        ? { status: session.status, headers: session.headers, data: session.html }
+        : await axios.get(url, { timeout: 10000 });
+      const $ = session ? session.$ : cheerio.load(response.data);
+      const finalUrl = session ? session.finalUrl : url;
 
       const seoChecks = {
         title: {
@@ -219,36 +322,53 @@ class WebsiteAuditor {
         },
         links: {
           total: $('a').length,
-          internal: $('a[href^="/"], a[href*="' + new URL(url).hostname + '"]').length,
-          external: $('a[href^="http"]:not([href*="' + new URL(url).hostname + '"])').length,
+          ...getLinkCounts($, finalUrl),
           withTitle: $('a[title]').length
         },
-        structuredData: {
-          jsonLd: $('script[type="application/ld+json"]').length,
-          microdata: $('[itemscope]').length,
-          rdfa: $('[typeof]').length
-        },
+        structuredData: parseStructuredData($, finalUrl),
         robots: {
           metaRobots: $('meta[name="robots"]').attr('content') || '',
           robotsTxt: null // Will be checked separately
         },
-        sitemap: {
-          present: $('link[rel="sitemap"]').length > 0,
-          url: $('link[rel="sitemap"]').attr('href') || ''
-        }
+        sitemap: null // Will be checked separately
       };
 
-      // Check robots.txt
-      try {
-        const robotsResponse = await axios.get(new URL('/robots.txt', url).href);
-        seoChecks.robots.robotsTxt = robotsResponse.data;
-      } catch (error) {
-        seoChecks.robots.robotsTxt = 'Not found';
-      }
+      // Check robots.txt and whether it lets crawlers fetch this page, on the host the page ended up on
+      const robotsTxt = await RobotsTxt.fetch(finalUrl);
+      seoChecks.robots.robotsTxt = robotsTxt.report(finalUrl);
+
+      // Request every link and resource in the rendered page, and the share image, while the sitemaps are
+      // discovered from robots.txt, <link rel="sitemap"> and the usual locations. Awaited together so a
+      // failure in any of them is caught here rather than left unhandled
+      [seoChecks.sitemap, seoChecks.linkCheck, seoChecks.social] = await Promise.all([
+        this.sitemapAnalyzer.analyze(finalUrl, {
+          robotsSitemaps: robotsTxt.sitemaps,
+          linkedSitemaps: $('link[rel="sitemap"]').map((i, element) => $(element).attr('href')).get().filter(Boolean),
+          sampleSize: options.sitemapSampleSize || 0
+        }),
+        this.linkChecker.check($, finalUrl),
+        this.socialMetaAnalyzer.analyze($, finalUrl)
+      ]);
+
+      const checkResults = await this.checks.run('seo', {
+        url,
+        finalUrl,
+        status: response.status,
+        headers: response.headers,
+        html: response.data,
+        $,
+        robotsTxt: seoChecks.robots.robotsTxt,
+        sitemap: seoChecks.sitemap,
+        linkCheck: seoChecks.linkCheck,
+        structuredData: seoChecks.structuredData,
+        social: seoChecks.social
+      }, { penalties: options.penalties });
 
       return {
         ...seoChecks,
-        score: this.calculateSEOScore(seoChecks)
+        issues: checkResults.issues,
+        breakdown: checkResults.breakdown,
+        score: checkResults.score
       };
     } catch (error) {
       console.error('SEO audit failed:', error);
@@ -256,178 +376,238 @@ class WebsiteAuditor {
     }
   }
 
-  async auditAccessibility(url) {
-    try {
-      await this.init();
-      const page = await this.browser.newPage();
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-
-      // Run accessibility audit using Puppeteer
-      const accessibilityResults = await page.evaluate(() => {
-        const issues = [];
-        let score = 100;
-
-        // Check for alt text on images
-        const imagesWithoutAlt = document.querySelectorAll('img:not([alt])');
-        if (imagesWithoutAlt.length > 0) {
-          issues.push({
-            type: 'error',
-            message: `${imagesWithoutAlt.length} images missing alt text`,
-            elements: Array.from(imagesWithoutAlt).map(img => img.src || 'unknown')
-          });
-          score -= imagesWithoutAlt.length * 5;
-        }
-
-        // Check for proper heading structure
-        const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        const headingLevels = Array.from(headings).map(h => parseInt(h.tagName.substring(1)));
-        let previousLevel = 0;
-        let structureIssues = 0;
+  // Runs task(session) on the audit's loaded page, or loads the page when called on its own
+  async withSession(url, session, options, task) {
+    if (session) {
+      return task(session);
+    }
+    return this.pool.withPage(async (page) => task(await this.openSession(url, page)), { timeout: options.timeout });
+  }
 
-        headingLevels.forEach(level => {
-          if (level > previousLevel + 1) {
-            structureIssues++;
-          }
-          previousLevel = level;
-        });
-
-        if (structureIssues > 0) {
-          issues.push({
-            type: 'warning',
-            message: 'Heading structure may skip levels',
-            count: structureIssues
-          });
-          score -= structureIssues * 3;
+  async auditAccessibility(url, options = {}, session = null) {
+    try {
+      return await this.withSession(url, session, options, async ({ page }) => {
+        // Unlike SEO, accessibility is about what users get, so the HTML rules read the rendered DOM
+        const finalUrl = page.url();
+        const html = await page.content();
+        const totalElements = await page.evaluate(() => document.querySelectorAll('*').length);
+
+        // Without keyboard data the keyboard checks are skipped, the rest still run
+        let keyboard;
+        try {
+          keyboard = await auditKeyboard(page);
+        } catch (error) {
+          console.error('Keyboard audit failed:', error.message);
+          keyboard = { error: error.message };
         }
 
-        // Check for form labels
-        const inputsWithoutLabels = document.querySelectorAll('input:not([aria-label]):not([aria-labelledby])');
-        const inputsWithLabels = Array.from(inputsWithoutLabels).filter(input => {
-          const label = document.querySelector(`label[for="${input.id}"]`);
-          return !label;
-        });
-
-        if (inputsWithLabels.length > 0) {
-          issues.push({
-            type: 'error',
-            message: `${inputsWithLabels.length} form inputs missing labels`,
-            count: inputsWithLabels.length
-          });
-          score -= inputsWithLabels.length * 8;
-        }
+        const checkResults = await this.checks.run('accessibility', {
+          url,
+          finalUrl,
+          page,
+          html,
+          $: cheerio.load(html),
+          keyboard
+        }, { penalties: options.penalties });
 
-        // Check for color contrast (simplified)
-        const textElements = document.querySelectorAll('p, span, div, h1, h2, h3, h4, h5, h6');
-        let contrastIssues = 0;
-        
-        textElements.forEach(element => {
-          const style = window.getComputedStyle(element);
-          const color = style.color;
-          const backgroundColor = style.backgroundColor;
-          
-          // This is a simplified check - in a real implementation, you'd use a proper contrast ratio calculation
-          if (color === backgroundColor) {
-            contrastIssues++;
-          }
-        });
+        return {
+          issues: checkResults.issues,
+          breakdown: checkResults.breakdown,
+          score: checkResults.score,
+          totalElements,
+          wcag: summarizeWcag(checkResults.issues),
+          ...(keyboard.focusOrder && { focusOrder: keyboard.focusOrder })
+        };
+      });
+    } catch (error) {
+      console.error('Accessibility audit failed:', error);
+      return { error: error.message, score: 0 };
+    }
+  }
 
-        if (contrastIssues > 0) {
-          issues.push({
-            type: 'warning',
-            message: `${contrastIssues} potential color contrast issues`,
-            count: contrastIssues
-          });
-          score -= contrastIssues * 2;
-        }
+  async auditCrawlability(url, options = {}, session = null) {
+    try {
+      return await this.withSession(url, session, options, async ({ page, finalUrl, status, headers, html, $ }) => {
+        const facts = await page.evaluate(() => ({
+          url: window.location.href,
+          hasContent: document.body.innerText.trim().length > 0,
+          scriptCount: document.querySelectorAll('script').length
+        }));
+
+        const checkResults = await this.checks.run('crawlability', {
+          url,
+          finalUrl,
+          status,
+          headers,
+          html,
+          $,
+          page
+        }, { penalties: options.penalties });
 
         return {
-          issues,
-          score: Math.max(0, score),
-          totalElements: document.querySelectorAll('*').length
+          issues: checkResults.issues,
+          breakdown: checkResults.breakdown,
+          score: checkResults.score,
+          statusCode: status,
+          ...facts
         };
       });
+    } catch (error) {
+      console.error('Crawlability audit failed:', error);
+      return { error: error.message, score: 0 };
+    }
+  }
 
-      await page.close();
+  async auditSecurity(url, options = {}, session = null) {
+    try {
+      // The certificate is inspected over a connection of our own while the page loads
+      const inspection = inspectTls(url);
+
+      return await this.withSession(url, session, options, async ({ finalUrl, status, headers, html, $ }) => {
+        const tls = await inspection;
+        const checkResults = await this.checks.run('security', {
+          url,
+          finalUrl,
+          status,
+          headers,
+          html,
+          $,
+          tls
+        }, { penalties: options.penalties });
 
-      return accessibilityResults;
+        return {
+          issues: this.addRemediation(checkResults.issues),
+          breakdown: checkResults.breakdown,
+          score: checkResults.score,
+          https: finalUrl.startsWith('https:'),
+          headers: summarizeSecurityHeaders(headers),
+          cookies: getCookies(headers),
+          tls
+        };
+      });
     } catch (error) {
-      console.error('Accessibility audit failed:', error);
+      console.error('Security audit failed:', error);
       return { error: error.message, score: 0 };
     }
   }
 
-  async auditCrawlability(url) {
+  // Security checks that need no page: HTTPS, the certificate and the http:// redirects
+  async auditTls(url, options = {}) {
+    const tls = await inspectTls(url);
+    const checkResults = await this.checks.run('security', { url, finalUrl: url, tls }, { penalties: options.penalties });
+
+    return {
+      issues: this.addRemediation(checkResults.issues),
+      breakdown: checkResults.breakdown,
+      score: checkResults.score,
+      https: url.startsWith('https:'),
+      tls
+    };
+  }
+
+  // Security findings are read by people who fix servers, so each one carries its check's remediation
+  addRemediation(issues) {
+    return issues.map(issue => {
+      const check = this.checks.get(issue.id);
+      return check && check.recommendation ? { ...issue, remediation: check.recommendation.details } : issue;
+    });
+  }
+
+  async auditMobile(url, options = {}, desktopContent = null) {
     try {
-      await this.init();
-      const page = await this.browser.newPage();
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-
-      const crawlabilityResults = await page.evaluate(() => {
-        const issues = [];
-        let score = 100;
-
-        // Check for JavaScript-only content
-        const scripts = document.querySelectorAll('script');
-        const hasContent = document.body.innerText.trim().length > 0;
-        
-        if (scripts.length > 0 && !hasContent) {
-          issues.push({
-            type: 'error',
-            message: 'Page appears to be JavaScript-only with no visible content',
-            severity: 'high'
-          });
-          score -= 30;
+      return await this.pool.withPage(async (page) => {
+        await page.emulate(MOBILE_DEVICE);
+        const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+        if (!response) {
+          throw new Error('No response received for the page');
         }
 
-        // Check for proper meta tags
-        const viewport = document.querySelector('meta[name="viewport"]');
-        if (!viewport) {
-          issues.push({
-            type: 'warning',
-            message: 'Missing viewport meta tag',
-            severity: 'medium'
-          });
-          score -= 10;
-        }
+        const html = await response.text();
+        const $ = cheerio.load(html);
+        const mobileLayout = await measureMobilePage(page);
 
-        // Check for canonical URL
-        const canonical = document.querySelector('link[rel="canonical"]');
-        if (!canonical) {
-          issues.push({
-            type: 'warning',
-            message: 'Missing canonical URL',
-            severity: 'medium'
-          });
-          score -= 5;
-        }
+        const checkResults = await this.checks.run('mobile', {
+          url,
+          finalUrl: page.url(),
+          page,
+          html,
+          $,
+          mobileLayout,
+          desktopContent
+        }, { penalties: options.penalties });
 
-        // Check for proper URL structure
-        const currentUrl = window.location.href;
-        if (currentUrl.includes('#')) {
-          issues.push({
-            type: 'info',
-            message: 'URL contains hash fragments',
-            severity: 'low'
-          });
-          score -= 2;
-        }
+        const viewport = getViewport($);
 
         return {
-          issues,
-          score: Math.max(0, score),
-          url: currentUrl,
-          hasContent: hasContent,
-          scriptCount: scripts.length
+          issues: checkResults.issues,
+          breakdown: checkResults.breakdown,
+          score: checkResults.score,
+          device: MOBILE_DEVICE.name,
+          viewport: viewport === null ? null : { content: viewport, ...parseViewport(viewport) },
+          layout: {
+            viewportWidth: mobileLayout.viewportWidth,
+            documentWidth: mobileLayout.documentWidth,
+            scale: mobileLayout.scale
+          },
+          tapTargets: {
+            total: mobileLayout.tapTargets.total,
+            small: mobileLayout.tapTargets.small.length,
+            crowded: mobileLayout.tapTargets.crowded.length
+          },
+          legiblePercent: mobileLayout.text.legiblePercent,
+          ...(desktopContent && {
+            content: {
+              desktop: { ...desktopContent, links: desktopContent.links.length },
+              mobile: { ...mobileLayout.content, links: mobileLayout.content.links.length }
+            }
+          })
         };
+      }, { timeout: options.timeout });
+    } catch (error) {
+      console.error('Mobile audit failed:', error);
+      return { error: error.message, score: 0 };
+    }
+  }
+
+  async auditWithLighthouse(url, options = {}) {
+    if (!lighthouse) {
+      lighthouse = (await import('lighthouse')).default;
+    }
+
+    // Lighthouse opens its own tab in the shared browser; overlapping runs would skew each other's timings
+    let lighthouseRun = null;
+    const run = this.lighthouseQueue.then(() => this.pool.withBrowser(browser => {
+      lighthouseRun = lighthouse(url, {
+        port: new URL(browser.wsEndpoint()).port,
+        output: 'json',
+        logLevel: 'error',
+        onlyCategories: LIGHTHOUSE_CATEGORIES
       });
+      return lighthouseRun;
+    }, { timeout: options.timeout || LIGHTHOUSE_TIMEOUT_MS }));
+    // A run that timed out is still going, so the next one waits for Lighthouse itself to finish
+    this.lighthouseQueue = run.catch(() => {}).then(() => lighthouseRun).catch(() => {});
+
+    const runnerResult = await run;
+    if (!runnerResult || !runnerResult.lhr) {
+      throw new Error('Lighthouse returned no result');
+    }
 
-      await page.close();
+    const { lhr } = runnerResult;
+    if (lhr.runtimeError) {
+      throw new Error(`Lighthouse could not audit the page: ${lhr.runtimeError.message}`);
+    }
+
+    const results = mapLighthouseResult(lhr);
 
-      return crawlabilityResults;
+    // The mapped results are still useful when the raw report can't be stored
+    try {
+      results.lighthouse.reportId = await this.reports.save(lhr);
     } catch (error) {
-      console.error('Crawlability audit failed:', error);
-      return { error: error.message, score: 0 };
+      console.error('Failed to save Lighthouse report:', error.message);
     }
+
+    return results;
   }
 
   calculatePerformanceScore(vitals, metrics) {
@@ -451,107 +631,6 @@ class WebsiteAuditor {
 
     return Math.max(0, score);
   }
-
-  calculateSEOScore(seoChecks) {
-    let score = 100;
-
-    // Title checks
-    if (!seoChecks.title.present) score -= 20;
-    else if (!seoChecks.title.optimal) score -= 10;
-
-    // Meta description checks
-    if (!seoChecks.metaDescription.present) score -= 15;
-    else if (!seoChecks.metaDescription.optimal) score -= 5;
-
-    // Heading checks
-    if (!seoChecks.headings.hasH1) score -= 15;
-    if (seoChecks.headings.multipleH1) score -= 10;
-
-    // Image alt text
-    if (seoChecks.images.altTextCoverage < 80) score -= 15;
-
-    // Structured data bonus
-    if (seoChecks.structuredData.jsonLd > 0) score += 5;
-
-    return Math.max(0, Math.min(100, score));
-  }
-
-  calculateOverallScore(results) {
-    const weights = {
-      performance: 0.3,
-      seo: 0.3,
-      accessibility: 0.2,
-      crawlability: 0.2
-    };
-
-    let totalScore = 0;
-    let totalWeight = 0;
-
-    Object.keys(weights).forEach(category => {
-      if (results[category] && typeof results[category].score === 'number') {
-        totalScore += results[category].score * weights[category];
-        totalWeight += weights[category];
-      }
-    });
-
-    return totalWeight > 0 ? Math.round(totalScore / totalWeight) : 0;
-  }
-
-  generateRecommendations(results) {
-    const recommendations = [];
-
-    // Performance recommendations
-    if (results.performance.score < 70) {
-      recommendations.push({
-        category: 'Performance',
-        priority: 'high',
-        message: 'Improve Core Web Vitals - focus on LCP, FID, and CLS',
-        details: 'Consider optimizing images, reducing JavaScript execution time, and minimizing layout shifts'
-      });
-    }
-
-    // SEO recommendations
-    if (results.seo.score < 70) {
-      if (!results.seo.title.present) {
-        recommendations.push({
-          category: 'SEO',
-          priority: 'high',
-          message: 'Add a title tag to your page',
-          details: 'Title tags are crucial for SEO and should be 30-60 characters long'
-        });
-      }
-      if (!results.seo.metaDescription.present) {
-        recommendations.push({
-          category: 'SEO',
-          priority: 'medium',
-          message: 'Add a meta description',
-          details: 'Meta descriptions should be 120-160 characters and describe your page content'
-        });
-      }
-    }
-
-    // Accessibility recommendations
-    if (results.accessibility.score < 70) {
-      recommendations.push({
-        category: 'Accessibility',
-        priority: 'high',
-        message: 'Improve accessibility compliance',
-        details: 'Focus on alt text for images, proper heading structure, and form labels'
-      });
-    }
-
-    // Crawlability recommendations
-    if (results.crawlability.score < 70) {
-      recommendations.push({
-        category: 'Crawlability',
-        priority: 'medium',
-        message: 'Improve page crawlability',
-        details: 'Ensure content is accessible without JavaScript and add proper meta tags'
-      });
-    }
-
-    return recommendations;
-  }
 }
 
 module.exports = WebsiteAuditor;
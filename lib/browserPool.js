@@ -0,0 +1,198 @@
+const puppeteer = require('puppeteer');
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-web-security',
+  '--disable-features=VizDisplayCompositor',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding',
+  '--disable-extensions',
+  '--no-first-run',
+  '--no-default-browser-check'
+];
+
+const FALLBACK_LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-extensions',
+  '--no-first-run',
+  '--no-default-browser-check'
+];
+
+const DEFAULT_MAX_PAGES = 4;
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// One shared headless Chrome with a cap on open pages; the browser is relaunched on demand after a crash
+class BrowserPool {
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || parseInt(process.env.BROWSER_MAX_PAGES, 10) || DEFAULT_MAX_PAGES;
+    this.timeout = options.timeout || parseInt(process.env.BROWSER_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    this.browser = null;
+    this.launching = null;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async getBrowser() {
+    if (this.browser && this.browser.isConnected()) {
+      return this.browser;
+    }
+
+    // Concurrent callers share a single launch
+    if (!this.launching) {
+      this.launching = this.launch().finally(() => {
+        this.launching = null;
+      });
+    }
+    return this.launching;
+  }
+
+  async launch() {
+    let browser;
+    try {
+      browser = await puppeteer.launch({
+        headless: 'new',
+        args: LAUNCH_ARGS,
+        timeout: 30000,
+        protocolTimeout: 30000
+      });
+      console.log('Browser initialized successfully');
+    } catch (error) {
+      console.error('Failed to initialize browser:', error);
+      // Try alternative launch options
+      try {
+        browser = await puppeteer.launch({
+          headless: 'new',
+          args: FALLBACK_LAUNCH_ARGS,
+          timeout: 30000,
+          protocolTimeout: 30000
+        });
+        console.log('Browser initialized with fallback options');
+      } catch (fallbackError) {
+        console.error('Fallback browser initialization failed:', fallbackError);
+        throw new Error('Unable to initialize browser');
+      }
+    }
+
+    browser.on('disconnected', () => {
+      if (this.browser === browser) {
+        console.warn('Browser disconnected; it will be relaunched for the next audit');
+        this.browser = null;
+      }
+    });
+
+    this.browser = browser;
+    return browser;
+  }
+
+  // Runs task(page) on a fresh page and always closes it afterwards, even when the task times out
+  async withPage(task, options = {}) {
+    const timeout = options.timeout || this.timeout;
+    let context = null;
+    let page = null;
+    let finished = false;
+
+    const closePage = async () => {
+      try {
+        if (context) {
+          await context.close();
+        } else if (page) {
+          await page.close();
+        }
+      } catch (error) {
+        // The page is already gone when the browser crashed
+      }
+    };
+
+    return this.withSlot(async () => {
+      const browser = await this.getBrowser();
+      // An incognito context starts without cache, cookies or service workers from earlier loads
+      context = options.isolated ? await browser.createIncognitoBrowserContext() : null;
+      page = await (context || browser).newPage();
+
+      // The task already timed out while the page was opening
+      if (finished) {
+        await closePage();
+        throw new Error('Browser task timed out');
+      }
+
+      page.setDefaultTimeout(timeout);
+      return task(page);
+    }, timeout, async () => {
+      finished = true;
+      await closePage();
+    });
+  }
+
+  // Runs task(browser) for work that opens its own tabs, such as Lighthouse
+  async withBrowser(task, options = {}) {
+    return this.withSlot(async () => task(await this.getBrowser()), options.timeout || this.timeout);
+  }
+
+  async withSlot(task, timeout, cleanup = null) {
+    await this.acquire();
+
+    let timer;
+    let settled = false;
+    // A task that loses the race to the timeout still settles later; that failure is expected
+    const running = Promise.resolve().then(task);
+    const done = running.catch(() => {}).then(() => {
+      settled = true;
+    });
+
+    try {
+      return await Promise.race([
+        running,
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Browser task timed out after ${timeout}ms`)), timeout);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+      if (cleanup) {
+        await cleanup();
+      }
+      // A timed-out task keeps its slot until it actually stops, so new work doesn't pile up on top of it
+      if (settled) {
+        this.release();
+      } else {
+        done.then(() => this.release());
+      }
+    }
+  }
+
+  async acquire() {
+    if (this.active < this.maxPages) {
+      this.active++;
+      return;
+    }
+
+    // The slot is handed over directly by release(), so active stays the same
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  async close() {
+    const browser = this.browser;
+    this.browser = null;
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = BrowserPool;
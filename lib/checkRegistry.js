@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+
+// Data a check can ask for, and how to tell whether an engine supplied it
+const REQUIREMENTS = {
+  html: context => Boolean(context.$),
+  headers: context => Boolean(context.headers),
+  dom: context => Boolean(context.page),
+  keyboard: context => Boolean(context.keyboard) && !context.keyboard.error,
+  'mobile-layout': context => Boolean(context.mobileLayout),
+  'desktop-content': context => Boolean(context.desktopContent),
+  resources: context => Boolean(context.resources),
+  images: context => Boolean(context.images) && !context.images.error,
+  certificate: context => Boolean(context.tls && context.tls.certificate) && !context.tls.certificate.error,
+  'https-redirect': context => Boolean(context.tls && context.tls.redirect) && !context.tls.redirect.skipped && !context.tls.redirect.error,
+  'robots-txt': context => Boolean(context.robotsTxt),
+  sitemap: context => Boolean(context.sitemap) && !context.sitemap.skipped && !context.sitemap.error,
+  'structured-data': context => Boolean(context.structuredData) && !context.structuredData.error,
+  social: context => Boolean(context.social) && !context.social.error,
+  'link-check': context => Boolean(context.linkCheck) && !context.linkCheck.skipped && !context.linkCheck.error
+};
+
+const SEVERITIES = ['high', 'medium', 'low'];
+const DEFAULT_TYPES = { high: 'error', medium: 'warning', low: 'info' };
+
+class CheckRegistry {
+  constructor() {
+    this.checks = new Map();
+  }
+
+  static createDefault() {
+    const registry = new CheckRegistry();
+    registry.registerAll(require('./checks/performance'));
+    registry.registerAll(require('./checks/seo'));
+    registry.registerAll(require('./checks/crawlability'));
+    registry.registerAll(require('./checks/accessibility'));
+    registry.registerAll(require('./checks/mobile'));
+    registry.registerAll(require('./checks/security'));
+
+    if (process.env.CUSTOM_CHECKS_DIR) {
+      registry.loadDirectory(process.env.CUSTOM_CHECKS_DIR);
+    }
+
+    return registry;
+  }
+
+  register(check) {
+    if (!check || typeof check.id !== 'string' || !check.id) {
+      throw new Error('Check must have an id');
+    }
+    if (typeof check.category !== 'string' || !check.category) {
+      throw new Error(`Check ${check.id} must have a category`);
+    }
+    if (typeof check.run !== 'function') {
+      throw new Error(`Check ${check.id} must have a run(context) function`);
+    }
+    if (this.checks.has(check.id)) {
+      throw new Error(`A check with id ${check.id} is already registered`);
+    }
+
+    const severity = check.severity || 'medium';
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Check ${check.id} has unknown severity ${severity}`);
+    }
+
+    const requires = [].concat(check.requires || []);
+    const unknown = requires.filter(requirement => !REQUIREMENTS[requirement]);
+    if (unknown.length > 0) {
+      throw new Error(`Check ${check.id} requires unknown data: ${unknown.join(', ')}`);
+    }
+
+    this.checks.set(check.id, {
+      ...check,
+      severity,
+      type: check.type || DEFAULT_TYPES[severity],
+      weight: typeof check.weight === 'number' ? check.weight : 0,
+      requires
+    });
+  }
+
+  registerAll(checks) {
+    [].concat(checks).forEach(check => this.register(check));
+  }
+
+  loadDirectory(directory) {
+    const resolved = path.resolve(directory);
+    let files;
+    try {
+      files = fs.readdirSync(resolved).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+      console.error(`Unable to read custom checks from ${resolved}:`, error.message);
+      return;
+    }
+
+    // A broken custom check is skipped so it can't take the built-in checks down with it
+    files.forEach(file => {
+      try {
+        const exported = require(path.join(resolved, file));
+        this.registerAll(exported);
+        console.log(`Loaded custom checks from ${file}`);
+      } catch (error) {
+        console.error(`Skipping custom checks in ${file}:`, error.message);
+      }
+    });
+  }
+
+  list() {
+    return Array.from(this.checks.values()).map(({ id, category, severity, type, weight, requires, description }) => ({
+      id,
+      category,
+      severity,
+      type,
+      weight,
+      requires,
+      ...(description && { description })
+    }));
+  }
+
+  get(id) {
+    return this.checks.get(id) || null;
+  }
+
+  getChecks(category, context) {
+    return Array.from(this.checks.values()).filter(check => check.category === category &&
+      check.requires.every(requirement => REQUIREMENTS[requirement](context)));
+  }
+
+  // `options.penalties` replaces check weights by id, for scoring profiles
+  async run(category, context, options = {}) {
+    const penalties = options.penalties || {};
+    const runnable = this.getChecks(category, context);
+
+    const issues = [];
+    const breakdown = [];
+    let penalty = 0;
+
+    for (const check of this.checks.values()) {
+      if (check.category !== category) {
+        continue;
+      }
+      if (!runnable.includes(check)) {
+        breakdown.push({ id: check.id, status: 'skipped', penalty: 0 });
+        continue;
+      }
+
+      const weight = typeof penalties[check.id] === 'number' ? penalties[check.id] : check.weight;
+
+      let findings;
+      try {
+        findings = await check.run(context);
+      } catch (error) {
+        console.error(`Check ${check.id} failed:`, error.message);
+        breakdown.push({ id: check.id, status: 'error', error: error.message, penalty: 0 });
+        continue;
+      }
+
+      // A check passes by returning nothing, or reports one finding or a list of them
+      findings = [].concat(findings || []).filter(Boolean);
+      if (findings.length === 0) {
+        breakdown.push({ id: check.id, status: 'passed', penalty: 0 });
+        continue;
+      }
+
+      // A finding's own weight is scaled by the same factor as the check's
+      const scale = check.weight > 0 ? weight / check.weight : 1;
+      let checkPenalty = 0;
+      findings.forEach(finding => {
+        const { weight: findingWeight, ...details } = finding;
+        const severity = finding.severity || check.severity;
+        issues.push({
+          id: check.id,
+          type: finding.type || (finding.severity ? DEFAULT_TYPES[severity] : check.type),
+          severity,
+          ...details
+        });
+        checkPenalty = Math.max(checkPenalty, typeof findingWeight === 'number' ? findingWeight * scale : weight);
+      });
+
+      checkPenalty = Math.round(checkPenalty * 10) / 10;
+      breakdown.push({ id: check.id, status: 'failed', penalty: checkPenalty });
+      penalty += checkPenalty;
+    }
+
+    return {
+      issues,
+      score: Math.max(0, Math.min(100, Math.round(100 - penalty))),
+      breakdown
+    };
+  }
+}
+
+module.exports = CheckRegistry;
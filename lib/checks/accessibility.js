@@ -0,0 +1,848 @@
+const { evaluateContrast, suggestForeground } = require('../colorContrast');
+const { ROLES, ATTRIBUTES, REQUIRED_ATTRIBUTES, validateValue } = require('../ariaSpec');
+const { CRITERIA } = require('../wcag');
+const { getSelector, getText } = require('../pageSignals');
+
+// Most text elements sampled for contrast per page, and listed per finding
+const MAX_CONTRAST_SAMPLES = 500;
+const MAX_REPORTED_FAILURES = 50;
+
+// Runs in the page: the computed text color, size and weight of every visible text element, plus the
+// background colors from the element outwards up to the first opaque one
+const collectTextSamples = (limit) => {
+  const selectorFor = (element) => {
+    const parts = [];
+    let current = element;
+    while (current && parts.length < 4) {
+      const tag = current.tagName.toLowerCase();
+      if (current.id) {
+        parts.unshift(`${tag}#${current.id}`);
+        break;
+      }
+      const siblings = current.parentElement ? Array.from(current.parentElement.children).filter(sibling => sibling.tagName === current.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      if (tag === 'body') {
+        break;
+      }
+      current = current.parentElement;
+    }
+    return parts.join(' > ');
+  };
+
+  const samples = [];
+  const seen = new Set();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+
+  while (walker.nextNode() && samples.length < limit) {
+    const element = walker.currentNode.parentElement;
+    const text = walker.currentNode.textContent.trim();
+    if (!element || !text || seen.has(element) || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(element.tagName)) {
+      continue;
+    }
+    seen.add(element);
+
+    const style = window.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    if (style.visibility === 'hidden' || style.display === 'none' || parseFloat(style.opacity) === 0 || rect.width === 0 || rect.height === 0) {
+      continue;
+    }
+
+    const backgrounds = [];
+    let hasBackgroundImage = false;
+    for (let current = element; current; current = current.parentElement) {
+      const currentStyle = window.getComputedStyle(current);
+      if (currentStyle.backgroundImage && currentStyle.backgroundImage !== 'none') {
+        hasBackgroundImage = true;
+        break;
+      }
+      backgrounds.push(currentStyle.backgroundColor);
+      // Computed colors without an alpha channel are opaque, so nothing further out shows through
+      if (/^rgb\(/.test(currentStyle.backgroundColor)) {
+        break;
+      }
+    }
+
+    samples.push({
+      selector: selectorFor(element),
+      text: text.replace(/\s+/g, ' ').slice(0, 60),
+      color: style.color,
+      backgrounds,
+      hasBackgroundImage,
+      fontSize: style.fontSize,
+      fontWeight: style.fontWeight
+    });
+  }
+
+  return samples;
+};
+
+// Both contrast checks read the same samples, so they are collected once per page
+const contrastSamples = new WeakMap();
+
+const getContrastResults = async (page, level) => {
+  if (!contrastSamples.has(page)) {
+    contrastSamples.set(page, page.evaluate(collectTextSamples, MAX_CONTRAST_SAMPLES));
+  }
+  const samples = await contrastSamples.get(page);
+
+  const failures = [];
+  let needsReview = 0;
+  samples.forEach(sample => {
+    // Text over images can't be judged from colors alone
+    if (sample.hasBackgroundImage) {
+      needsReview++;
+      return;
+    }
+
+    const result = evaluateContrast(sample);
+    if (result && !result.passes[level]) {
+      failures.push({
+        selector: sample.selector,
+        text: sample.text,
+        foreground: result.foreground,
+        background: result.background,
+        ratio: result.ratio,
+        required: result.required[level],
+        largeText: result.largeText,
+        passes: result.passes,
+        suggested: suggestForeground(result.foreground, result.background, result.required[level])
+      });
+    }
+  });
+
+  failures.sort((a, b) => a.ratio - b.ratio);
+  return { failures, needsReview };
+};
+
+// Elements that are hidden from assistive technology in the markup itself; CSS in stylesheets isn't evaluated
+const HIDDEN_SELECTOR = '[hidden], [aria-hidden="true"], [style*="display:none"], [style*="display: none"]';
+const isHidden = ($, element) => $(element).closest(HIDDEN_SELECTOR).length > 0 ||
+  (element.name === 'input' && ($(element).attr('type') || '').toLowerCase() === 'hidden');
+
+const findById = ($, id) => $(`[id="${id.replace(/["\\]/g, '\\$&')}"]`);
+
+// Text a screen reader reads out for an element's contents: its text plus the alt text of images inside it
+const getContentText = ($, element) => $(element).contents().toArray().map(node => {
+  if (node.type === 'text') {
+    return node.data;
+  }
+  if (node.type !== 'tag' || ['script', 'style', 'template'].includes(node.name) || $(node).is(HIDDEN_SELECTOR)) {
+    return '';
+  }
+  if (node.name === 'img') {
+    return $(node).attr('alt') || '';
+  }
+  return getContentText($, node);
+}).join(' ');
+
+const getLabelText = ($, element) => {
+  const id = $(element).attr('id');
+  const labels = (id ? $('label[for]').filter((i, label) => $(label).attr('for') === id).toArray() : [])
+    .concat($(element).closest('label').toArray());
+  return labels.map(label => getContentText($, label)).join(' ');
+};
+
+const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// A simplified version of the accessible name computation (https://www.w3.org/TR/accname-1.2/)
+const getAccessibleName = ($, element) => {
+  const $element = $(element);
+  const type = ($element.attr('type') || '').toLowerCase();
+
+  const labelledBy = clean($element.attr('aria-labelledby')).split(' ').filter(Boolean);
+  const sources = [
+    labelledBy.map(id => findById($, id).toArray().map(target => getContentText($, target)).join(' ')).join(' '),
+    $element.attr('aria-label')
+  ];
+
+  if (element.name === 'img' || element.name === 'area' || (element.name === 'input' && type === 'image')) {
+    sources.push($element.attr('alt'));
+  } else if (element.name === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+    // Submit and reset buttons fall back to a label the browser supplies
+    sources.push($element.attr('value'), type === 'button' ? '' : type);
+  } else if (['input', 'select', 'textarea'].includes(element.name)) {
+    sources.push(getLabelText($, element));
+  } else {
+    sources.push(getContentText($, element));
+  }
+  sources.push($element.attr('title'));
+
+  return sources.map(clean).find(Boolean) || '';
+};
+
+// The first role token the spec knows is the one browsers apply; the rest are fallbacks
+const getRole = ($, element) => clean($(element).attr('role')).toLowerCase().split(' ').find(role => ROLES.includes(role)) || null;
+
+const ID_REFERENCE_ATTRIBUTES = Object.keys(ATTRIBUTES).filter(name => ['idref', 'idrefs'].includes(ATTRIBUTES[name].type));
+
+// Ids other markup points at: labels, ARIA relationships and in-page links
+const getReferencedIds = ($) => {
+  const ids = new Set();
+  $('label[for]').each((i, element) => ids.add($(element).attr('for')));
+  ID_REFERENCE_ATTRIBUTES.forEach(name => {
+    $(`[${name}]`).each((i, element) => clean($(element).attr(name)).split(' ').forEach(id => ids.add(id)));
+  });
+  $('a[href^="#"]').each((i, element) => {
+    const fragment = $(element).attr('href').slice(1);
+    try {
+      ids.add(decodeURIComponent(fragment));
+    } catch (error) {
+      ids.add(fragment);
+    }
+  });
+  return ids;
+};
+
+// Layout tables are common in older markup, so only tables that look like they hold data are checked
+const isDataTable = ($, table) => {
+  const $table = $(table);
+  if (['presentation', 'none'].includes(getRole($, table)) || $table.find('table').length > 0) {
+    return false;
+  }
+  if ($table.children('caption').length > 0 || $table.find('thead').length > 0) {
+    return true;
+  }
+  const rows = $table.find('tr').toArray();
+  return rows.length >= 2 && rows.some(row => $(row).children('td, th').length >= 2);
+};
+
+// Native elements that already expose the state a role requires
+const NATIVE_STATE_ELEMENTS = ['input', 'select', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const getAriaProblems = ($, element) => {
+  const role = getRole($, element);
+  const problems = [];
+
+  Object.keys(element.attribs).filter(name => name.startsWith('aria-')).forEach(name => {
+    const attribute = ATTRIBUTES[name];
+    const value = element.attribs[name];
+    if (!attribute) {
+      problems.push(`${name} is not an ARIA attribute`);
+      return;
+    }
+    if (role && attribute.roles && !attribute.roles.includes(role)) {
+      problems.push(`${name} is not supported on role="${role}"`);
+    }
+
+    const invalid = validateValue(name, value);
+    if (invalid) {
+      problems.push(`${name}: ${invalid}`);
+    } else if (attribute.type === 'idref' || attribute.type === 'idrefs') {
+      const missing = clean(value).split(' ').filter(id => findById($, id).length === 0);
+      if (missing.length > 0) {
+        problems.push(`${name} points to missing id ${missing.map(id => `"${id}"`).join(', ')}`);
+      }
+    }
+  });
+
+  if (role && REQUIRED_ATTRIBUTES[role] && !NATIVE_STATE_ELEMENTS.includes(element.name)) {
+    REQUIRED_ATTRIBUTES[role].filter(name => element.attribs[name] === undefined).forEach(name => {
+      problems.push(`role="${role}" requires ${name}`);
+    });
+  }
+
+  return problems;
+};
+
+// Accessibility rules. The ones that read the HTML run on every engine (on the rendered DOM in the browser);
+// the contrast and keyboard checks need a live page, so they only run on the browser engine
+module.exports = [
+  {
+    id: 'accessibility.html-lang',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 10,
+    requires: ['html'],
+    description: 'The <html> element declares a valid language',
+    recommendation: {
+      title: 'Declare the page language',
+      impact: 'high',
+      effort: 'low',
+      details: 'Screen readers pick their pronunciation rules from the lang attribute. Without it, content is read in the user\'s default voice.'
+    },
+    run: ({ $ }) => {
+      const lang = clean($('html').attr('lang'));
+      if (!lang || !/^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i.test(lang)) {
+        return {
+          message: lang ? `The page language "${lang}" is not a valid language tag` : 'The page does not declare its language',
+          elements: ['html'],
+          example: '<html lang="en">',
+          wcag: CRITERIA['3.1.1']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.image-alt',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 5,
+    requires: ['html'],
+    description: 'Images have alt text',
+    recommendation: {
+      title: 'Give every image a text alternative',
+      impact: 'high',
+      effort: 'low',
+      details: 'Screen readers announce images without alt text by file name, or skip them. Use alt="" for purely decorative images.'
+    },
+    run: ({ $ }) => {
+      const missing = $('img, input[type="image"], area[href]').toArray()
+        .filter(element => !isHidden($, element) && !['presentation', 'none'].includes(getRole($, element)))
+        .filter(element => $(element).attr('alt') === undefined && !getAccessibleName($, element));
+      if (missing.length > 0) {
+        return {
+          message: `${missing.length} images missing alt text`,
+          count: missing.length,
+          elements: missing.map(element => getSelector($, element)),
+          example: `<img src="${$(missing[0]).attr('src') || 'image.jpg'}" alt="Describe what the image shows">`,
+          weight: Math.min(missing.length * 5, 30),
+          wcag: CRITERIA['1.1.1']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.button-name',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 8,
+    requires: ['html'],
+    description: 'Buttons have an accessible name',
+    recommendation: {
+      title: 'Name every button',
+      impact: 'high',
+      effort: 'low',
+      details: 'Icon-only buttons are announced as just "button". Add visible text, or an aria-label that says what the button does.'
+    },
+    run: ({ $ }) => {
+      const unnamed = $('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]').toArray()
+        .filter(element => !isHidden($, element) && !getAccessibleName($, element));
+      if (unnamed.length > 0) {
+        return {
+          message: `${unnamed.length} buttons have no accessible name`,
+          count: unnamed.length,
+          elements: unnamed.map(element => getSelector($, element)),
+          example: '<button type="button" aria-label="Close menu">\n  <svg aria-hidden="true">…</svg>\n</button>',
+          weight: Math.min(unnamed.length * 8, 30),
+          wcag: CRITERIA['4.1.2']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.link-name',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 5,
+    requires: ['html'],
+    description: 'Links have an accessible name',
+    recommendation: {
+      title: 'Give every link text that says where it goes',
+      impact: 'high',
+      effort: 'low',
+      details: 'Links without text are announced by their URL, or not at all. Linked images need alt text describing the destination.'
+    },
+    run: ({ $ }) => {
+      const unnamed = $('a[href], [role="link"]').toArray()
+        .filter(element => !isHidden($, element) && !getAccessibleName($, element));
+      if (unnamed.length > 0) {
+        return {
+          message: `${unnamed.length} links have no accessible name`,
+          count: unnamed.length,
+          elements: unnamed.map(element => getSelector($, element)),
+          example: `<a href="${$(unnamed[0]).attr('href') || '/'}">Describe where the link goes</a>`,
+          weight: Math.min(unnamed.length * 5, 30),
+          wcag: CRITERIA['2.4.4']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.form-labels',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 8,
+    requires: ['html'],
+    description: 'Form inputs have labels',
+    recommendation: {
+      title: 'Label every form field',
+      impact: 'high',
+      effort: 'low',
+      details: 'Without a label, screen readers announce only the field type, so users cannot tell what to enter. Placeholder text is not a label.'
+    },
+    run: ({ $ }) => {
+      const unlabelled = $('input:not([type="hidden"]):not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="image"]), select, textarea').toArray()
+        .filter(element => !isHidden($, element) && !getAccessibleName($, element));
+      if (unlabelled.length > 0) {
+        return {
+          message: `${unlabelled.length} form inputs missing labels`,
+          count: unlabelled.length,
+          elements: unlabelled.map(element => getSelector($, element)),
+          example: '<label for="email">Email address</label>\n<input id="email" name="email" type="email">',
+          weight: Math.min(unlabelled.length * 8, 30),
+          wcag: CRITERIA['4.1.2']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.duplicate-id',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 5,
+    requires: ['html'],
+    description: 'Element ids are unique',
+    recommendation: {
+      title: 'Make element ids unique',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Labels and ARIA attributes find their target by id. When an id repeats, they point at whichever element comes first.'
+    },
+    run: ({ $ }) => {
+      const counts = new Map();
+      $('[id]').each((i, element) => {
+        const id = $(element).attr('id');
+        counts.set(id, (counts.get(id) || 0) + 1);
+      });
+      const duplicates = Array.from(counts.keys()).filter(id => counts.get(id) > 1);
+      if (duplicates.length === 0) {
+        return;
+      }
+
+      // Duplicates that a label or ARIA attribute points at break the relationship; the others are only invalid markup
+      const referenced = getReferencedIds($);
+      const describe = id => `#${id} (${counts.get(id)} elements)`;
+      const broken = duplicates.filter(id => referenced.has(id));
+      const unreferenced = duplicates.filter(id => !referenced.has(id));
+
+      return [
+        broken.length > 0 && {
+          message: `${broken.length} ids used by labels or ARIA attributes appear more than once`,
+          count: broken.length,
+          elements: broken.map(describe),
+          example: `<label for="${broken[0]}-2">…</label>\n<input id="${broken[0]}-2">`,
+          weight: Math.min(broken.length * 5, 30),
+          wcag: CRITERIA['1.3.1']
+        },
+        unreferenced.length > 0 && {
+          message: `${unreferenced.length} ids appear more than once`,
+          count: unreferenced.length,
+          elements: unreferenced.map(describe),
+          example: `<div id="${unreferenced[0]}-2">…</div>`,
+          severity: 'low',
+          weight: Math.min(unreferenced.length, 30),
+          wcag: CRITERIA['1.3.1']
+        }
+      ];
+    }
+  },
+  {
+    id: 'accessibility.aria-role',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 5,
+    requires: ['html'],
+    description: 'ARIA roles are valid',
+    recommendation: {
+      title: 'Use only valid ARIA roles',
+      impact: 'high',
+      effort: 'low',
+      details: 'Browsers ignore roles they do not know, so the element is announced as something other than what it looks like.'
+    },
+    run: ({ $ }) => {
+      const invalid = $('[role]').toArray().filter(element => clean($(element).attr('role')) && !getRole($, element));
+      if (invalid.length > 0) {
+        return {
+          message: `${invalid.length} elements use an invalid ARIA role`,
+          count: invalid.length,
+          elements: invalid.map(element => `${getSelector($, element)}: role="${clean($(element).attr('role'))}"`),
+          example: '<nav role="navigation">…</nav>',
+          weight: Math.min(invalid.length * 5, 30),
+          wcag: CRITERIA['4.1.2']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.aria-attributes',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 3,
+    requires: ['html'],
+    description: 'ARIA attributes are valid for their element and role',
+    recommendation: {
+      title: 'Fix invalid ARIA attributes',
+      impact: 'high',
+      effort: 'medium',
+      details: 'Misspelled attributes, invalid values, attributes the role does not support and missing required states all give screen readers wrong information.'
+    },
+    run: ({ $ }) => {
+      const problems = [];
+      $('*').each((i, element) => {
+        getAriaProblems($, element).forEach(problem => problems.push(`${getSelector($, element)}: ${problem}`));
+      });
+      if (problems.length > 0) {
+        return {
+          message: `${problems.length} invalid ARIA attributes`,
+          count: problems.length,
+          elements: problems,
+          example: '<div role="checkbox" aria-checked="false" tabindex="0">Subscribe</div>',
+          weight: Math.min(problems.length * 3, 30),
+          wcag: CRITERIA['4.1.2']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.landmarks',
+    category: 'accessibility',
+    severity: 'medium',
+    weight: 5,
+    requires: ['html'],
+    description: 'The page has exactly one main landmark',
+    recommendation: {
+      title: 'Wrap the main content in a <main> element',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Screen reader users jump straight to the main landmark to skip headers and navigation repeated on every page.'
+    },
+    run: ({ $ }) => {
+      const main = $('main, [role="main"]').toArray().filter(element => !isHidden($, element));
+      if (main.length !== 1) {
+        return {
+          message: main.length === 0 ? 'The page has no main landmark' : `The page has ${main.length} main landmarks`,
+          elements: main.length === 0 ? ['body'] : main.map(element => getSelector($, element)),
+          example: '<a href="#content">Skip to content</a>\n<header>…</header>\n<main id="content">…</main>',
+          wcag: CRITERIA['2.4.1']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.table-headers',
+    category: 'accessibility',
+    severity: 'medium',
+    weight: 5,
+    requires: ['html'],
+    description: 'Data tables have header cells',
+    recommendation: {
+      title: 'Mark up table headers',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Screen readers read header cells before each data cell. Without <th> elements, users hear values with no idea which column they belong to.'
+    },
+    run: ({ $ }) => {
+      const tables = $('table').toArray()
+        .filter(element => !isHidden($, element) && isDataTable($, element))
+        .filter(element => $(element).find('th, [role="columnheader"], [role="rowheader"], td[scope]').length === 0);
+      if (tables.length > 0) {
+        return {
+          message: `${tables.length} data tables have no header cells`,
+          count: tables.length,
+          elements: tables.map(element => getSelector($, element)),
+          example: '<table>\n  <tr><th scope="col">Plan</th><th scope="col">Price</th></tr>\n  <tr><td>Basic</td><td>$9</td></tr>\n</table>',
+          weight: Math.min(tables.length * 5, 30),
+          wcag: CRITERIA['1.3.1']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.tabindex',
+    category: 'accessibility',
+    severity: 'medium',
+    weight: 3,
+    requires: ['html'],
+    description: 'No element has a positive tabindex',
+    recommendation: {
+      title: 'Remove positive tabindex values',
+      impact: 'medium',
+      effort: 'low',
+      details: 'A positive tabindex moves the element ahead of everything else in the tab order, so keyboard focus jumps around the page.'
+    },
+    run: ({ $ }) => {
+      const positive = $('[tabindex]').toArray().filter(element => parseInt($(element).attr('tabindex'), 10) > 0);
+      if (positive.length > 0) {
+        return {
+          message: `${positive.length} elements have a positive tabindex`,
+          count: positive.length,
+          elements: positive.map(element => `${getSelector($, element)}: tabindex="${$(element).attr('tabindex')}"`),
+          example: '<div tabindex="0">…</div>',
+          weight: Math.min(positive.length * 3, 30),
+          wcag: CRITERIA['2.4.3']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.frame-title',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 5,
+    requires: ['html'],
+    description: 'Frames have a title',
+    recommendation: {
+      title: 'Give every iframe a title',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Screen readers announce frames by their title. Without one, users cannot tell a video embed from a map or an ad.'
+    },
+    run: ({ $ }) => {
+      const untitled = $('iframe, frame').toArray().filter(element => !isHidden($, element) &&
+        !clean($(element).attr('title')) && !clean($(element).attr('aria-label')) && !clean($(element).attr('aria-labelledby')));
+      if (untitled.length > 0) {
+        return {
+          message: `${untitled.length} frames have no title`,
+          count: untitled.length,
+          elements: untitled.map(element => getSelector($, element)),
+          example: `<iframe src="${$(untitled[0]).attr('src') || 'https://www.youtube.com/embed/…'}" title="Describe what the frame shows"></iframe>`,
+          weight: Math.min(untitled.length * 5, 30),
+          wcag: CRITERIA['4.1.2']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.heading-order',
+    category: 'accessibility',
+    severity: 'medium',
+    weight: 3,
+    requires: ['html'],
+    description: 'Headings do not skip levels',
+    recommendation: {
+      title: 'Use heading levels in order',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Screen reader users navigate by headings. Skipped levels make the outline look like content is missing.'
+    },
+    run: ({ $ }) => {
+      const headings = $('h1, h2, h3, h4, h5, h6, [role="heading"]').toArray()
+        .filter(element => !isHidden($, element))
+        .map(element => ({
+          // aria-level overrides the tag's own level, and role="heading" defaults to level 2
+          level: parseInt($(element).attr('aria-level'), 10) || (/^h[1-6]$/.test(element.name) ? parseInt(element.name.substring(1), 10) : 2),
+          text: getText($(element), 60)
+        }));
+      let previousLevel = 0;
+      const skipped = [];
+
+      headings.forEach(heading => {
+        if (heading.level > previousLevel + 1) {
+          skipped.push(`h${heading.level}: ${heading.text}`);
+        }
+        previousLevel = heading.level;
+      });
+
+      if (skipped.length > 0) {
+        return {
+          message: 'Heading structure may skip levels',
+          count: skipped.length,
+          elements: skipped,
+          example: '<h1>Page topic</h1>\n<h2>Section</h2>\n<h3>Subsection</h3>',
+          weight: Math.min(skipped.length * 3, 30),
+          wcag: CRITERIA['1.3.1']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.color-contrast',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 2,
+    requires: ['dom'],
+    description: 'Text meets the WCAG AA contrast ratio (4.5:1, or 3:1 for large text)',
+    recommendation: {
+      title: 'Increase text contrast',
+      impact: 'high',
+      effort: 'medium',
+      details: 'Text needs a contrast ratio of at least 4.5:1 against its background (3:1 for text from 24px, or 18.66px bold) to be readable.'
+    },
+    run: async ({ page }) => {
+      const { failures, needsReview } = await getContrastResults(page, 'AA');
+      if (failures.length > 0) {
+        const [worst] = failures;
+        return {
+          message: `${failures.length} text elements fail WCAG AA contrast`,
+          count: failures.length,
+          needsReview,
+          elements: failures.map(failure => failure.selector),
+          failures: failures.slice(0, MAX_REPORTED_FAILURES),
+          example: `${worst.selector} {\n  color: ${worst.suggested}; /* ${worst.ratio}:1 on ${worst.background}, needs ${worst.required}:1 */\n}`,
+          weight: Math.min(failures.length * 2, 30)
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.color-contrast-enhanced',
+    category: 'accessibility',
+    severity: 'low',
+    weight: 0,
+    requires: ['dom'],
+    description: 'Text meets the WCAG AAA contrast ratio (7:1, or 4.5:1 for large text)',
+    recommendation: {
+      title: 'Raise contrast to the AAA level',
+      impact: 'low',
+      effort: 'medium',
+      details: 'AAA asks for 7:1 (4.5:1 for large text). It is optional, but helps readers with low vision.'
+    },
+    run: async ({ page }) => {
+      // Elements that already fail AA are reported by accessibility.color-contrast
+      const { failures } = await getContrastResults(page, 'AAA');
+      const enhancedOnly = failures.filter(failure => failure.passes.AA);
+      if (enhancedOnly.length > 0) {
+        return {
+          message: `${enhancedOnly.length} text elements pass AA but fall short of WCAG AAA contrast`,
+          count: enhancedOnly.length,
+          elements: enhancedOnly.map(failure => failure.selector),
+          failures: enhancedOnly.slice(0, MAX_REPORTED_FAILURES)
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.focus-trap',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 25,
+    requires: ['keyboard'],
+    description: 'Keyboard focus can always move on',
+    recommendation: {
+      title: 'Let keyboard users tab out of every component',
+      impact: 'high',
+      effort: 'medium',
+      details: 'When Tab keeps cycling through the same elements and Escape does not release them, keyboard users are stuck and cannot reach the rest of the page.'
+    },
+    run: ({ keyboard }) => {
+      if (keyboard.trap) {
+        return {
+          message: `Keyboard focus is trapped in a cycle of ${keyboard.trap.length} elements`,
+          count: keyboard.trap.length,
+          elements: keyboard.trap,
+          example: "dialog.addEventListener('keydown', (event) => {\n  if (event.key === 'Escape') {\n    closeDialog();\n  }\n});",
+          wcag: CRITERIA['2.1.2']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.keyboard-access',
+    category: 'accessibility',
+    severity: 'high',
+    weight: 5,
+    requires: ['keyboard'],
+    description: 'Clickable elements can be reached with the keyboard',
+    recommendation: {
+      title: 'Use buttons and links for everything clickable',
+      impact: 'high',
+      effort: 'medium',
+      details: 'A click handler on a <div> or <span> works with a mouse only. Native buttons and links get keyboard focus and Enter/Space activation for free.'
+    },
+    run: ({ keyboard }) => {
+      const count = keyboard.clickOnly.length;
+      if (count > 0) {
+        return {
+          message: `${count} elements handle clicks but can't be reached with the keyboard`,
+          count,
+          elements: keyboard.clickOnly,
+          example: '<button type="button" class="card-toggle">Show details</button>',
+          weight: Math.min(count * 5, 30),
+          wcag: CRITERIA['2.1.1']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.focus-hidden',
+    category: 'accessibility',
+    severity: 'medium',
+    weight: 3,
+    requires: ['keyboard'],
+    description: 'Focusable elements are visible when they have focus',
+    recommendation: {
+      title: 'Hide invisible controls from the tab order',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Focus that lands on something off-screen, transparent or zero-sized leaves keyboard users guessing where they are. Hide the element with display:none or give it tabindex="-1".'
+    },
+    run: ({ keyboard }) => {
+      const count = keyboard.hidden.length;
+      if (count > 0) {
+        return {
+          message: `${count} elements receive focus while invisible`,
+          count,
+          elements: keyboard.hidden,
+          example: '<div class="offscreen-menu" hidden>…</div>',
+          weight: Math.min(count * 3, 20),
+          wcag: CRITERIA['2.4.11']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.focus-visible',
+    category: 'accessibility',
+    severity: 'medium',
+    weight: 2,
+    requires: ['keyboard'],
+    description: 'Focused elements show a visible focus indicator',
+    recommendation: {
+      title: 'Show where keyboard focus is',
+      impact: 'high',
+      effort: 'low',
+      details: 'Removing the outline without a replacement makes focus invisible. Style :focus-visible with an outline, border or shadow that stands out from the unfocused state.'
+    },
+    run: ({ keyboard }) => {
+      const count = keyboard.noIndicator.length;
+      if (count > 0) {
+        return {
+          message: `${count} elements show no visible change when they receive focus`,
+          count,
+          elements: keyboard.noIndicator,
+          example: ':focus-visible {\n  outline: 3px solid #1d4ed8;\n  outline-offset: 2px;\n}',
+          weight: Math.min(count * 2, 20),
+          wcag: CRITERIA['2.4.7']
+        };
+      }
+    }
+  },
+  {
+    id: 'accessibility.skip-link',
+    category: 'accessibility',
+    severity: 'medium',
+    weight: 5,
+    requires: ['keyboard'],
+    description: 'A working skip link leads past repeated navigation',
+    recommendation: {
+      title: 'Add a skip-to-content link',
+      impact: 'medium',
+      effort: 'low',
+      details: 'A link at the very start of the page that jumps to the main content saves keyboard users from tabbing through the whole header on every page.'
+    },
+    run: ({ keyboard }) => {
+      const example = '<a class="skip-link" href="#content">Skip to content</a>\n…\n<main id="content" tabindex="-1">…</main>';
+      const { skipLink } = keyboard;
+
+      if (skipLink && !skipLink.works) {
+        return {
+          message: skipLink.target ? `The skip link to ${skipLink.href} does not move keyboard focus` : `The skip link points to ${skipLink.href}, which does not exist`,
+          elements: [skipLink.selector],
+          example,
+          wcag: CRITERIA['2.4.1']
+        };
+      }
+      // Only pages with several tab stops ahead of the content need one
+      if (!skipLink && keyboard.stopsBeforeContent >= 3) {
+        return {
+          message: `No skip link, and keyboard users tab through ${keyboard.stopsBeforeContent} elements before the content`,
+          elements: ['body'],
+          example,
+          severity: 'low',
+          weight: 3,
+          wcag: CRITERIA['2.4.1']
+        };
+      }
+    }
+  }
+];
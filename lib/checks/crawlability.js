@@ -0,0 +1,302 @@
+const { normalizeUrl } = require('../urlUtils');
+const { parseRobotsDirectives, getMetaRobots, getHeaderRobots, getStaticTextLength, getSelector } = require('../pageSignals');
+
+// Crawlability checks run against the HTML and headers the server sends, before any JavaScript runs
+const getCanonical = ($, finalUrl) => {
+  const href = $('link[rel="canonical"]').first().attr('href') || '';
+  try {
+    return { href, url: new URL(href, finalUrl).href };
+  } catch (error) {
+    return { href, url: null };
+  }
+};
+
+module.exports = [
+  {
+    id: 'crawlability.redirect',
+    category: 'crawlability',
+    severity: 'low',
+    weight: 2,
+    description: 'Audited URL does not redirect',
+    recommendation: {
+      title: 'Link to the final URL directly',
+      impact: 'low',
+      effort: 'low',
+      details: 'Every redirect adds a round trip for visitors and crawlers. Update internal links, canonicals and the sitemap to the final URL.'
+    },
+    run: ({ url, finalUrl }) => {
+      // Compared in serialized form, so an origin typed without its trailing slash doesn't count as a redirect
+      if (finalUrl !== new URL(url).href) {
+        return {
+          message: `URL redirects to ${finalUrl}`,
+          elements: [`${url} → ${finalUrl}`],
+          example: `<a href="${finalUrl}">…</a>`
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.meta-noindex',
+    category: 'crawlability',
+    severity: 'high',
+    weight: 30,
+    requires: ['html'],
+    description: 'Meta robots tag allows indexing',
+    recommendation: {
+      title: 'Remove noindex from the meta robots tag',
+      impact: 'high',
+      effort: 'low',
+      details: 'A noindex directive keeps the page out of search results entirely. Only keep it on pages that should stay private.'
+    },
+    run: ({ $ }) => {
+      if (parseRobotsDirectives(getMetaRobots($)).noindex) {
+        return {
+          message: 'Meta robots tag blocks indexing (noindex)',
+          elements: $('meta[name="robots"], meta[name="googlebot"]').toArray().map(element => getSelector($, element)),
+          example: '<meta name="robots" content="index, follow">'
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.header-noindex',
+    category: 'crawlability',
+    severity: 'high',
+    weight: 30,
+    requires: ['headers'],
+    description: 'X-Robots-Tag header allows indexing',
+    recommendation: {
+      title: 'Remove noindex from the X-Robots-Tag header',
+      impact: 'high',
+      effort: 'medium',
+      details: 'The header is set by the server or CDN configuration, so look there rather than in the page HTML.'
+    },
+    run: ({ headers }) => {
+      const value = getHeaderRobots(headers);
+      if (parseRobotsDirectives(value).noindex) {
+        return {
+          message: 'X-Robots-Tag header blocks indexing (noindex)',
+          elements: [`X-Robots-Tag: ${value}`],
+          example: 'X-Robots-Tag: index, follow'
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.nofollow',
+    category: 'crawlability',
+    severity: 'medium',
+    weight: 10,
+    requires: ['html', 'headers'],
+    description: 'Robots directives allow links to be followed',
+    recommendation: {
+      title: 'Let crawlers follow the links on this page',
+      impact: 'medium',
+      effort: 'low',
+      details: 'With nofollow, crawlers stop at this page and the pages it links to are discovered more slowly.'
+    },
+    run: ({ $, headers }) => {
+      const metaNofollow = parseRobotsDirectives(getMetaRobots($)).nofollow;
+      const headerNofollow = parseRobotsDirectives(getHeaderRobots(headers)).nofollow;
+      if (metaNofollow || headerNofollow) {
+        return {
+          message: 'Robots directives prevent links from being followed (nofollow)',
+          elements: (metaNofollow ? ['meta[name="robots"]'] : []).concat(headerNofollow ? ['X-Robots-Tag header'] : []),
+          example: '<meta name="robots" content="index, follow">'
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.missing-canonical',
+    category: 'crawlability',
+    severity: 'medium',
+    weight: 5,
+    requires: ['html'],
+    description: 'Page declares a canonical URL',
+    recommendation: {
+      title: 'Add a canonical link',
+      impact: 'medium',
+      effort: 'low',
+      details: 'A canonical link tells search engines which URL to index when the same page is reachable at several addresses.'
+    },
+    run: ({ $, finalUrl }) => {
+      if ($('link[rel="canonical"]').length === 0) {
+        return {
+          message: 'Missing canonical URL',
+          elements: ['head'],
+          example: `<link rel="canonical" href="${normalizeUrl(finalUrl)}">`
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.multiple-canonicals',
+    category: 'crawlability',
+    severity: 'medium',
+    weight: 5,
+    requires: ['html'],
+    description: 'Page declares only one canonical URL',
+    recommendation: {
+      title: 'Keep a single canonical link',
+      impact: 'medium',
+      effort: 'low',
+      details: 'With conflicting canonicals search engines ignore all of them and pick a URL themselves.'
+    },
+    run: ({ $, finalUrl }) => {
+      const canonicals = $('link[rel="canonical"]').toArray();
+      if (canonicals.length > 1) {
+        return {
+          message: `${canonicals.length} canonical tags found (only one is allowed)`,
+          elements: canonicals.map(element => `link[rel="canonical"][href="${$(element).attr('href') || ''}"]`),
+          example: `<link rel="canonical" href="${normalizeUrl(finalUrl)}">`
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.canonical-mismatch',
+    category: 'crawlability',
+    severity: 'medium',
+    weight: 5,
+    requires: ['html'],
+    description: 'Canonical URL points to the page itself',
+    recommendation: {
+      title: 'Point the canonical link at this page',
+      impact: 'medium',
+      effort: 'low',
+      details: 'A canonical pointing elsewhere asks search engines to index that URL instead. Keep it only if this page is a true duplicate.'
+    },
+    run: ({ $, finalUrl }) => {
+      if ($('link[rel="canonical"]').length === 0) {
+        return;
+      }
+      const canonical = getCanonical($, finalUrl);
+      if (canonical.url && normalizeUrl(canonical.url) !== normalizeUrl(finalUrl)) {
+        return {
+          message: `Canonical URL points to a different page (${canonical.href})`,
+          elements: [`link[rel="canonical"][href="${canonical.href}"]`],
+          example: `<link rel="canonical" href="${normalizeUrl(finalUrl)}">`
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.invalid-canonical',
+    category: 'crawlability',
+    severity: 'medium',
+    weight: 5,
+    requires: ['html'],
+    description: 'Canonical URL is a valid URL',
+    recommendation: {
+      title: 'Fix the canonical URL',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Search engines ignore a canonical link they cannot parse. Use an absolute URL.'
+    },
+    run: ({ $, finalUrl }) => {
+      if ($('link[rel="canonical"]').length === 0) {
+        return;
+      }
+      const canonical = getCanonical($, finalUrl);
+      if (!canonical.url) {
+        return {
+          message: `Canonical URL is not a valid URL (${canonical.href})`,
+          elements: [`link[rel="canonical"][href="${canonical.href}"]`],
+          example: `<link rel="canonical" href="${normalizeUrl(finalUrl)}">`
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.javascript-only',
+    category: 'crawlability',
+    severity: 'high',
+    weight: 30,
+    requires: ['html'],
+    description: 'Page has visible text without JavaScript',
+    recommendation: {
+      title: 'Render the main content on the server',
+      impact: 'high',
+      effort: 'high',
+      details: 'Crawlers may index the page before its JavaScript runs, or not run it at all. Server-side rendering or pre-rendering puts the content in the HTML.'
+    },
+    run: ({ $ }) => {
+      if ($('script').length > 0 && getStaticTextLength($) === 0) {
+        return {
+          message: 'Page appears to be JavaScript-only with no visible content',
+          elements: ['body']
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.little-static-text',
+    category: 'crawlability',
+    severity: 'medium',
+    weight: 10,
+    requires: ['html'],
+    description: 'Page has at least 200 characters of text without JavaScript',
+    recommendation: {
+      title: 'Put more of the content in the initial HTML',
+      impact: 'medium',
+      effort: 'high',
+      details: 'Text that only appears after JavaScript runs may be indexed late or not at all.'
+    },
+    run: ({ $ }) => {
+      const textLength = getStaticTextLength($);
+      if ($('script').length > 0 && textLength > 0 && textLength < 200) {
+        return {
+          message: `Only ${textLength} characters of text are available before JavaScript runs`,
+          elements: ['body']
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.missing-noscript',
+    category: 'crawlability',
+    type: 'warning',
+    severity: 'low',
+    weight: 5,
+    requires: ['html'],
+    description: 'JavaScript-rendered pages have a <noscript> fallback',
+    recommendation: {
+      title: 'Add a <noscript> fallback',
+      impact: 'low',
+      effort: 'low',
+      details: 'A short summary and key links in <noscript> give crawlers that skip JavaScript something to index.'
+    },
+    run: ({ $ }) => {
+      if ($('script').length > 0 && getStaticTextLength($) < 200 && $('noscript').length === 0) {
+        return {
+          message: 'No <noscript> fallback for JavaScript-rendered content',
+          elements: ['body'],
+          example: '<noscript>\n  <p>Short summary of the page content.</p>\n  <a href="/">Home</a>\n</noscript>'
+        };
+      }
+    }
+  },
+  {
+    id: 'crawlability.hash-fragment',
+    category: 'crawlability',
+    severity: 'low',
+    weight: 2,
+    description: 'URL has no hash fragment',
+    recommendation: {
+      title: 'Use real paths instead of hash fragments',
+      impact: 'low',
+      effort: 'medium',
+      details: 'Search engines drop everything after #, so content behind hash routes is treated as the same page.'
+    },
+    run: ({ finalUrl }) => {
+      if (finalUrl.includes('#')) {
+        return {
+          message: 'URL contains hash fragments',
+          elements: [finalUrl]
+        };
+      }
+    }
+  }
+];
+
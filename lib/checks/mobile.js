@@ -0,0 +1,278 @@
+const { getViewport, parseViewport } = require('../pageSignals');
+
+// Mobile checks. The viewport checks read the HTML on every engine; the layout checks need the page
+// loaded on an emulated phone, so they only run on the browser engine
+
+// Lighthouse flags a maximum-scale below 5, since it stops people zooming in far enough to read
+const MIN_MAXIMUM_SCALE = 5;
+// Lighthouse fails pages where less than 60% of the text is at least 12px
+const MIN_LEGIBLE_PERCENT = 60;
+// Content on the phone may be trimmed a little, but more than this is a different page for mobile-first indexing
+const MAX_TEXT_LOSS_PERCENT = 10;
+const MAX_MISSING_LINKS_PERCENT = 10;
+
+const VIEWPORT_EXAMPLE = '<meta name="viewport" content="width=device-width, initial-scale=1">';
+
+module.exports = [
+  {
+    id: 'mobile.viewport',
+    category: 'mobile',
+    severity: 'high',
+    weight: 30,
+    requires: ['html'],
+    description: 'Page has a viewport meta tag',
+    recommendation: {
+      title: 'Add a viewport meta tag',
+      impact: 'high',
+      effort: 'low',
+      details: 'Without one, phones lay the page out at desktop width (980px) and shrink it to fit, so text is tiny and everything needs zooming.'
+    },
+    run: ({ $ }) => {
+      if (getViewport($) === null) {
+        return {
+          message: 'Missing viewport meta tag',
+          elements: ['head'],
+          example: VIEWPORT_EXAMPLE
+        };
+      }
+    }
+  },
+  {
+    id: 'mobile.viewport-width',
+    category: 'mobile',
+    severity: 'high',
+    weight: 20,
+    requires: ['html'],
+    description: 'Viewport width follows the device width',
+    recommendation: {
+      title: 'Set the viewport width to device-width',
+      impact: 'high',
+      effort: 'low',
+      details: 'A fixed viewport width such as width=1024 forces phones to render a desktop-sized page instead of the responsive layout.'
+    },
+    run: ({ $ }) => {
+      const content = getViewport($);
+      if (content === null) {
+        return;
+      }
+      const viewport = parseViewport(content);
+      if (viewport.width !== 'device-width') {
+        return {
+          message: viewport.width ? `Viewport width is fixed at ${viewport.width}` : 'Viewport does not set width=device-width',
+          elements: [`meta[name="viewport"][content="${content}"]`],
+          example: VIEWPORT_EXAMPLE
+        };
+      }
+    }
+  },
+  {
+    id: 'mobile.viewport-zoom',
+    category: 'mobile',
+    severity: 'medium',
+    weight: 10,
+    requires: ['html'],
+    description: 'Viewport allows zooming',
+    recommendation: {
+      title: 'Let visitors zoom the page',
+      impact: 'medium',
+      effort: 'low',
+      details: 'user-scalable=no and a low maximum-scale stop people with low vision from zooming in to read. Browsers on iOS ignore them anyway.'
+    },
+    run: ({ $ }) => {
+      const content = getViewport($);
+      if (content === null) {
+        return;
+      }
+      const viewport = parseViewport(content);
+      const maximumScale = parseFloat(viewport['maximum-scale']);
+      const problems = [];
+      if (['no', '0'].includes(viewport['user-scalable'])) {
+        problems.push(`user-scalable=${viewport['user-scalable']}`);
+      }
+      if (!isNaN(maximumScale) && maximumScale < MIN_MAXIMUM_SCALE) {
+        problems.push(`maximum-scale=${viewport['maximum-scale']}`);
+      }
+      if (problems.length > 0) {
+        return {
+          message: `Viewport blocks zooming (${problems.join(', ')})`,
+          elements: [`meta[name="viewport"][content="${content}"]`],
+          example: VIEWPORT_EXAMPLE
+        };
+      }
+    }
+  },
+  {
+    id: 'mobile.horizontal-scroll',
+    category: 'mobile',
+    severity: 'high',
+    weight: 20,
+    requires: ['mobile-layout'],
+    description: 'Page fits the screen without scrolling sideways',
+    recommendation: {
+      title: 'Make the page fit narrow screens',
+      impact: 'high',
+      effort: 'medium',
+      details: 'Content wider than the screen makes the whole page scroll sideways. Give images max-width: 100%, let tables scroll in their own container and avoid fixed widths.'
+    },
+    run: ({ mobileLayout }) => {
+      const { viewportWidth, documentWidth, overflowing } = mobileLayout;
+      if (documentWidth > viewportWidth + 1) {
+        return {
+          message: `Page is ${documentWidth}px wide on a ${viewportWidth}px screen and scrolls sideways`,
+          count: overflowing.length,
+          elements: overflowing.map(element => `${element.selector} (${element.width}px wide, ends at ${element.right}px)`),
+          example: 'img, video, iframe {\n  max-width: 100%;\n  height: auto;\n}\n.table-wrapper {\n  overflow-x: auto;\n}'
+        };
+      }
+    }
+  },
+  {
+    id: 'mobile.content-width',
+    category: 'mobile',
+    severity: 'medium',
+    weight: 10,
+    requires: ['mobile-layout'],
+    description: 'No content is cut off at the edge of the screen',
+    recommendation: {
+      title: 'Stop content running off the screen',
+      impact: 'medium',
+      effort: 'medium',
+      details: 'The page hides horizontal overflow, so anything wider than the screen is cut off and cannot be scrolled into view.'
+    },
+    run: ({ mobileLayout }) => {
+      const { viewportWidth, documentWidth, overflowing } = mobileLayout;
+      // When the page scrolls sideways the same elements are reported by mobile.horizontal-scroll
+      if (documentWidth <= viewportWidth + 1 && overflowing.length > 0) {
+        return {
+          message: `${overflowing.length} elements are wider than the ${viewportWidth}px screen and cut off`,
+          count: overflowing.length,
+          elements: overflowing.map(element => `${element.selector} (${element.width}px wide, ends at ${element.right}px)`),
+          example: `${overflowing[0].selector} {\n  max-width: 100%;\n}`
+        };
+      }
+    }
+  },
+  {
+    id: 'mobile.tap-target-size',
+    category: 'mobile',
+    severity: 'medium',
+    weight: 2,
+    requires: ['mobile-layout'],
+    description: 'Tap targets are at least 24px in both directions',
+    recommendation: {
+      title: 'Make buttons and links big enough to tap',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Targets smaller than 24px are hard to hit with a finger. Aim for 48px, using padding if the visible icon or text is smaller.'
+    },
+    run: ({ mobileLayout }) => {
+      const { small } = mobileLayout.tapTargets;
+      if (small.length > 0) {
+        return {
+          message: `${small.length} tap targets are smaller than 24px`,
+          count: small.length,
+          elements: small,
+          example: '.icon-button {\n  min-width: 48px;\n  min-height: 48px;\n  padding: 12px;\n}',
+          weight: Math.min(small.length * 2, 20)
+        };
+      }
+    }
+  },
+  {
+    id: 'mobile.tap-target-spacing',
+    category: 'mobile',
+    severity: 'medium',
+    weight: 2,
+    requires: ['mobile-layout'],
+    description: 'Tap targets have room around them',
+    recommendation: {
+      title: 'Space out links and buttons',
+      impact: 'medium',
+      effort: 'low',
+      details: 'When another target sits inside the 48px area around a small one, taps land on the wrong thing. Add margin or padding between them.'
+    },
+    run: ({ mobileLayout }) => {
+      const { crowded } = mobileLayout.tapTargets;
+      if (crowded.length > 0) {
+        return {
+          message: `${crowded.length} tap targets are too close to another one`,
+          count: crowded.length,
+          elements: crowded.slice(0, 50),
+          example: 'nav a {\n  display: inline-block;\n  padding: 12px 8px;\n}',
+          weight: Math.min(crowded.length * 2, 20)
+        };
+      }
+    }
+  },
+  {
+    id: 'mobile.font-size',
+    category: 'mobile',
+    severity: 'medium',
+    weight: 15,
+    requires: ['mobile-layout'],
+    description: 'At least 60% of the text is 12px or larger on a phone',
+    recommendation: {
+      title: 'Use legible font sizes',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Text under 12px on a phone makes visitors pinch and zoom. Use a base font size of 16px and keep small print to a minimum.'
+    },
+    run: ({ mobileLayout }) => {
+      const { legiblePercent, small } = mobileLayout.text;
+      if (small.length === 0) {
+        return;
+      }
+
+      // A little small print is worth pointing out but only costs points once it is a large share of the text
+      return {
+        message: `${100 - legiblePercent}% of the text is smaller than 12px on a phone`,
+        elements: small,
+        example: 'body {\n  font-size: 16px;\n}',
+        ...(legiblePercent >= MIN_LEGIBLE_PERCENT && { severity: 'low', weight: 0 })
+      };
+    }
+  },
+  {
+    id: 'mobile.content-parity',
+    category: 'mobile',
+    severity: 'medium',
+    weight: 10,
+    requires: ['mobile-layout', 'desktop-content'],
+    description: 'The phone gets the same content and links as desktop',
+    recommendation: {
+      title: 'Serve the same content to phones',
+      impact: 'high',
+      effort: 'medium',
+      details: 'Google indexes the mobile version of a page. Text and links left out on phones are missing from search, even though desktop visitors see them.'
+    },
+    run: ({ mobileLayout, desktopContent }) => {
+      const mobile = mobileLayout.content;
+      const findings = [];
+
+      const textLoss = desktopContent.textLength > 0
+        ? Math.round(((desktopContent.textLength - mobile.textLength) / desktopContent.textLength) * 100)
+        : 0;
+      if (textLoss > MAX_TEXT_LOSS_PERCENT) {
+        findings.push({
+          message: `The phone version has ${textLoss}% less text than desktop (${mobile.textLength} vs ${desktopContent.textLength} characters)`,
+          elements: ['body']
+        });
+      }
+
+      const mobileLinks = new Set(mobile.links);
+      const missing = desktopContent.links.filter(link => !mobileLinks.has(link));
+      if (missing.length > 0) {
+        const missingPercent = Math.round((missing.length / desktopContent.links.length) * 100);
+        findings.push({
+          message: `${missing.length} links on the desktop version are missing on phones`,
+          count: missing.length,
+          elements: missing,
+          // A few navigation differences are common and only cost points once they add up
+          ...(missingPercent <= MAX_MISSING_LINKS_PERCENT && { severity: 'low', weight: 0 })
+        });
+      }
+
+      return findings;
+    }
+  }
+];
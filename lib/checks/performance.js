@@ -0,0 +1,504 @@
+// Performance checks on the document and the resources its HTML loads, measured without a browser.
+// Load times can't be measured that way, so time savings are estimated on Lighthouse's simulated mobile
+// connection: 150ms round trips at 1.6Mbps
+const NETWORK = { rttMs: 150, throughputKbps: 1638.4 };
+
+// DNS, TCP and TLS each take a round trip before anything can be requested from a new origin
+const CONNECTION_SETUP_RTTS = 3;
+
+const DAY_SECONDS = 24 * 60 * 60;
+// Files that change with each release should have versioned URLs, so they can be cached for a long time
+const MIN_CACHE_TTL = 30 * DAY_SECONDS;
+// Lighthouse starts failing total byte weight at about 2.6MB
+const MAX_PAGE_BYTES = 2667 * 1024;
+const MAX_REQUESTS = 75;
+
+const STATIC_TYPES = ['stylesheet', 'script', 'image', 'font'];
+
+// The image most likely to be the Largest Contentful Paint should load within a couple of seconds on mobile
+const MAX_HERO_BYTES = 200 * 1024;
+
+const transferTime = (bytes) => Math.round((bytes * 8) / NETWORK.throughputKbps);
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const formatTtl = (seconds) => {
+  if (seconds === null) return 'no cache lifetime set';
+  if (seconds === 0) return 'not cacheable';
+  if (seconds < 3600) return `cached for ${Math.round(seconds / 60)} minutes`;
+  if (seconds < DAY_SECONDS) return `cached for ${Math.round(seconds / 3600)} hours`;
+  return `cached for ${Math.round(seconds / DAY_SECONDS)} days`;
+};
+
+const getLoaded = (resources) => resources.items.filter(resource => resource.status >= 200 && resource.status < 300);
+
+const sumBytes = (resources) => resources.reduce((total, resource) => total + resource.transferSize, 0);
+
+// Images the page shows several times are listed once
+const uniqueImages = (items) => items.filter((item, index) => items.findIndex(other => other.url === item.url) === index);
+
+const formatSize = (size) => `${size.width}×${size.height}`;
+
+// Where the image fold and sizes come from HTML attributes rather than a browser, the messages say so
+const onFirstScreen = (images) => images.estimated ? 'among the first images in the HTML' : 'on the first screen';
+
+module.exports = [
+  {
+    id: 'performance.text-compression',
+    category: 'performance',
+    severity: 'medium',
+    weight: 15,
+    requires: ['resources'],
+    description: 'Text files are compressed',
+    recommendation: {
+      title: 'Enable gzip or brotli compression',
+      impact: 'high',
+      effort: 'low',
+      details: 'HTML, CSS, JavaScript and SVG usually shrink by 60-80% when compressed. Turn on gzip, or brotli where the server supports it, for every text type.'
+    },
+    run: ({ resources }) => {
+      const uncompressed = getLoaded(resources).filter(resource => resource.compressionSavings > 0);
+      if (uncompressed.length === 0) {
+        return;
+      }
+
+      const savingsBytes = uncompressed.reduce((total, resource) => total + resource.compressionSavings, 0);
+      const savingsMs = transferTime(savingsBytes);
+      return {
+        message: `${uncompressed.length} text files are sent uncompressed; compression would save ${formatBytes(savingsBytes)}`,
+        count: uncompressed.length,
+        elements: uncompressed.map(resource => `${resource.url} (${formatBytes(resource.transferSize)}, ${formatBytes(resource.compressionSavings)} smaller with gzip)`),
+        example: '# nginx\ngzip on;\ngzip_types text/css application/javascript application/json image/svg+xml;',
+        savingsBytes,
+        savingsMs,
+        ...(savingsMs >= 1000 && { severity: 'high' }),
+        ...(savingsMs < 300 && { severity: 'low', weight: 5 })
+      };
+    }
+  },
+  {
+    id: 'performance.cache-ttl',
+    category: 'performance',
+    severity: 'medium',
+    weight: 10,
+    requires: ['resources'],
+    description: 'Static files can be cached for at least 30 days',
+    recommendation: {
+      title: 'Cache static files for longer',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Scripts, stylesheets, images and fonts with a short cache lifetime are downloaded again on every visit. Give versioned files a long max-age.'
+    },
+    run: ({ resources }) => {
+      const shortLived = getLoaded(resources).filter(resource => STATIC_TYPES.includes(resource.type) &&
+        (resource.cacheTtl === null || resource.cacheTtl < MIN_CACHE_TTL));
+      const describe = resource => `${resource.url} (${formatTtl(resource.cacheTtl)}, ${formatBytes(resource.transferSize)})`;
+      const ownFiles = shortLived.filter(resource => !resource.thirdParty);
+      const thirdParty = shortLived.filter(resource => resource.thirdParty);
+      const findings = [];
+
+      if (ownFiles.length > 0) {
+        findings.push({
+          message: `${ownFiles.length} static files are cached for less than 30 days`,
+          count: ownFiles.length,
+          elements: ownFiles.map(describe),
+          example: 'Cache-Control: public, max-age=31536000, immutable',
+          savingsBytes: sumBytes(ownFiles),
+          weight: Math.min(ownFiles.length * 2, 10)
+        });
+      }
+      // Another site's caching headers can't be changed from here, so they are only listed
+      if (thirdParty.length > 0) {
+        findings.push({
+          message: `${thirdParty.length} third-party files are cached for less than 30 days`,
+          count: thirdParty.length,
+          elements: thirdParty.map(describe),
+          savingsBytes: sumBytes(thirdParty),
+          severity: 'low',
+          weight: 0
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'performance.cache-headers',
+    category: 'performance',
+    severity: 'low',
+    weight: 3,
+    requires: ['resources'],
+    description: 'Caching headers are complete and current',
+    recommendation: {
+      title: 'Send Cache-Control and a validator',
+      impact: 'low',
+      effort: 'low',
+      details: 'Cache-Control replaces Expires, which relies on the visitor\'s clock. An ETag or Last-Modified lets browsers revalidate an expired file with a small 304 instead of downloading it again.'
+    },
+    run: ({ resources }) => {
+      const loaded = getLoaded(resources).filter(resource => !resource.thirdParty);
+      const findings = [];
+
+      const expiresOnly = loaded.filter(resource => resource.expires && !resource.cacheControl);
+      if (expiresOnly.length > 0) {
+        findings.push({
+          message: `${expiresOnly.length} files set Expires without Cache-Control`,
+          count: expiresOnly.length,
+          elements: expiresOnly.map(resource => `${resource.url} (Expires: ${resource.expires})`),
+          example: 'Cache-Control: public, max-age=31536000'
+        });
+      }
+
+      // Files that expire soon are requested again, and without a validator the whole file comes back
+      const unvalidated = loaded.filter(resource => (resource.type === 'document' || resource.cacheTtl === null || resource.cacheTtl < MIN_CACHE_TTL) &&
+        !resource.etag && !resource.lastModified);
+      if (unvalidated.length > 0) {
+        findings.push({
+          message: `${unvalidated.length} files have neither an ETag nor a Last-Modified header`,
+          count: unvalidated.length,
+          elements: unvalidated.map(resource => resource.url),
+          example: 'ETag: "5f3c-1a2b3c"\nLast-Modified: Tue, 14 Oct 2025 09:00:00 GMT'
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'performance.render-blocking',
+    category: 'performance',
+    severity: 'medium',
+    weight: 15,
+    requires: ['resources'],
+    description: 'No scripts or stylesheets hold up the first render',
+    recommendation: {
+      title: 'Eliminate render-blocking resources',
+      impact: 'high',
+      effort: 'medium',
+      details: 'Nothing is drawn until the stylesheets and the synchronous scripts in <head> have downloaded. Defer scripts, inline the critical CSS and load the rest without blocking.'
+    },
+    run: ({ resources }) => {
+      const blocking = getLoaded(resources).filter(resource => resource.renderBlocking);
+      if (blocking.length === 0) {
+        return;
+      }
+
+      // They download in parallel, so together they cost one round trip plus the time to transfer all of them
+      const savingsMs = NETWORK.rttMs + transferTime(sumBytes(blocking));
+      const script = blocking.find(resource => resource.type === 'script');
+      return {
+        message: `${blocking.length} scripts and stylesheets block the first render`,
+        count: blocking.length,
+        elements: blocking.map(resource => `${resource.url} (${resource.type}, ${formatBytes(resource.transferSize)})`),
+        example: script
+          ? `<script src="${script.url}" defer></script>`
+          : '<link rel="preload" href="/styles.css" as="style" onload="this.rel=\'stylesheet\'">',
+        savingsMs,
+        ...(savingsMs >= 1000 && { severity: 'high' }),
+        ...(savingsMs < 300 && { severity: 'low', weight: 5 })
+      };
+    }
+  },
+  {
+    id: 'performance.preconnect',
+    category: 'performance',
+    severity: 'medium',
+    weight: 5,
+    requires: ['resources'],
+    description: 'Critical third-party origins are preconnected',
+    recommendation: {
+      title: 'Preconnect to required origins',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Render-blocking files and fonts from another origin wait for a new connection first. A preconnect hint lets the browser open it while the HTML is still being read.'
+    },
+    run: ({ resources, finalUrl }) => {
+      const pageOrigin = new URL(finalUrl).origin;
+      const critical = getLoaded(resources).filter(resource => resource.renderBlocking || resource.type === 'font');
+      const origins = Array.from(new Set(critical.map(resource => new URL(resource.url).origin)))
+        .filter(origin => origin !== pageOrigin && !resources.preconnect.includes(origin));
+      if (origins.length === 0) {
+        return;
+      }
+
+      // A dns-prefetch hint has already saved the DNS lookup
+      const savingsMs = Math.max(...origins.map(origin => (CONNECTION_SETUP_RTTS - (resources.dnsPrefetch.includes(origin) ? 1 : 0)) * NETWORK.rttMs));
+      return {
+        message: `${origins.length} origins serving critical files are not preconnected`,
+        count: origins.length,
+        elements: origins,
+        example: origins.map(origin => `<link rel="preconnect" href="${origin}" crossorigin>`).join('\n'),
+        savingsMs
+      };
+    }
+  },
+  {
+    id: 'performance.page-weight',
+    category: 'performance',
+    severity: 'medium',
+    weight: 10,
+    requires: ['resources'],
+    description: 'The page downloads less than 2.6MB',
+    recommendation: {
+      title: 'Reduce the page weight',
+      impact: 'medium',
+      effort: 'medium',
+      details: 'Every byte costs visitors on mobile data time and money. Resize and compress images, serve WebP or AVIF, and drop unused scripts.'
+    },
+    run: ({ resources }) => {
+      if (resources.transferSize > MAX_PAGE_BYTES) {
+        const largest = resources.items.slice().sort((a, b) => b.transferSize - a.transferSize).slice(0, 10);
+        return {
+          message: `The page and the files it loads weigh ${formatBytes(resources.transferSize)}`,
+          elements: largest.map(resource => `${resource.url} (${resource.type}, ${formatBytes(resource.transferSize)})`)
+        };
+      }
+    }
+  },
+  {
+    id: 'performance.request-count',
+    category: 'performance',
+    severity: 'low',
+    weight: 5,
+    requires: ['resources'],
+    description: `The HTML references fewer than ${MAX_REQUESTS} files`,
+    recommendation: {
+      title: 'Load fewer files',
+      impact: 'low',
+      effort: 'medium',
+      details: 'Each file is another request competing for the connection. Combine small images into sprites or SVG, and drop scripts and styles the page doesn\'t use.'
+    },
+    run: ({ resources }) => {
+      if (resources.requests > MAX_REQUESTS) {
+        return {
+          message: `The page makes ${resources.requests} requests before any JavaScript runs`,
+          count: resources.requests
+        };
+      }
+    }
+  },
+  {
+    id: 'performance.image-format',
+    category: 'performance',
+    severity: 'medium',
+    weight: 10,
+    requires: ['images'],
+    description: 'Images use WebP or AVIF',
+    recommendation: {
+      title: 'Serve images in modern formats',
+      impact: 'medium',
+      effort: 'medium',
+      details: 'WebP and AVIF files are usually a quarter to a half smaller than JPEG or PNG at the same quality, and every current browser supports them. Offer them through <picture> with the old file as a fallback.'
+    },
+    run: ({ images }) => {
+      const convertible = uniqueImages(images.items.filter(image => image.savings.format > 0));
+      if (convertible.length === 0) {
+        return;
+      }
+
+      const savingsBytes = convertible.reduce((total, image) => total + image.savings.format, 0);
+      const savingsMs = transferTime(savingsBytes);
+      return {
+        message: `${convertible.length} images could be served as WebP or AVIF, saving about ${formatBytes(savingsBytes)}`,
+        count: convertible.length,
+        elements: convertible.map(image => `${image.url} (${image.format.toUpperCase()}, ${formatBytes(image.transferSize)}, about ${formatBytes(image.savings.format)} smaller)`),
+        example: '<picture>\n  <source srcset="/images/hero.avif" type="image/avif">\n  <source srcset="/images/hero.webp" type="image/webp">\n  <img src="/images/hero.jpg" alt="..." width="1200" height="600">\n</picture>',
+        savingsBytes,
+        savingsMs,
+        ...(savingsMs >= 1000 && { severity: 'high' }),
+        ...(savingsMs < 300 && { severity: 'low', weight: 3 })
+      };
+    }
+  },
+  {
+    id: 'performance.image-size',
+    category: 'performance',
+    severity: 'medium',
+    weight: 10,
+    requires: ['images'],
+    description: 'Images are no larger than they are displayed',
+    recommendation: {
+      title: 'Resize oversized images',
+      impact: 'medium',
+      effort: 'low',
+      details: 'An image with many more pixels than the box it\'s shown in is downloaded and then scaled down by the browser. Export it at no more than twice its displayed size.'
+    },
+    run: ({ images }) => {
+      const oversized = uniqueImages(images.items.filter(image => image.savings.resize > 0));
+      if (oversized.length === 0) {
+        return;
+      }
+
+      const savingsBytes = oversized.reduce((total, image) => total + image.savings.resize, 0);
+      const savingsMs = transferTime(savingsBytes);
+      return {
+        message: `${oversized.length} images are larger than they are displayed; resizing would save about ${formatBytes(savingsBytes)}`,
+        count: oversized.length,
+        elements: oversized.map(image => `${image.url} (${formatSize(image.intrinsic)} ${image.rendered ? `shown at ${formatSize(image.rendered)}` : `declared as ${formatSize(image.declared)}`}, about ${formatBytes(image.savings.resize)} smaller)`),
+        savingsBytes,
+        savingsMs,
+        ...(savingsMs >= 1000 && { severity: 'high' }),
+        ...(savingsMs < 300 && { severity: 'low', weight: 3 })
+      };
+    }
+  },
+  {
+    id: 'performance.responsive-images',
+    category: 'performance',
+    severity: 'low',
+    weight: 5,
+    requires: ['images'],
+    description: 'Large images offer smaller versions with srcset and sizes',
+    recommendation: {
+      title: 'Add srcset and sizes to large images',
+      impact: 'medium',
+      effort: 'medium',
+      details: 'With srcset listing several widths and sizes saying how wide the image is shown, phones download a small version instead of the one made for large screens.'
+    },
+    run: ({ images }) => {
+      const findings = [];
+
+      const single = uniqueImages(images.items.filter(image => image.savings.mobile > 0));
+      if (single.length > 0) {
+        const savingsBytes = single.reduce((total, image) => total + image.savings.mobile, 0);
+        findings.push({
+          message: `${single.length} large images have no srcset, so phones download them at full size; smaller versions would save about ${formatBytes(savingsBytes)}`,
+          count: single.length,
+          elements: single.map(image => `${image.url} (${image.intrinsic.width}px wide, ${formatBytes(image.transferSize)})`),
+          example: '<img src="/images/photo-1200.jpg"\n     srcset="/images/photo-480.jpg 480w, /images/photo-800.jpg 800w, /images/photo-1200.jpg 1200w"\n     sizes="(max-width: 600px) 100vw, 50vw"\n     alt="..." width="1200" height="800">',
+          savingsBytes,
+          savingsMs: transferTime(savingsBytes)
+        });
+      }
+
+      // Without sizes the browser assumes the image fills the screen and picks a candidate to match
+      const unsized = uniqueImages(images.items.filter(image => image.srcset && /\d+w\b/.test(image.srcset) && !image.sizes));
+      if (unsized.length > 0) {
+        findings.push({
+          message: `${unsized.length} images list widths in srcset without a sizes attribute`,
+          count: unsized.length,
+          elements: unsized.map(image => `${image.selector} (${image.url})`),
+          example: 'sizes="(max-width: 600px) 100vw, 600px"',
+          weight: 2
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'performance.image-dimensions',
+    category: 'performance',
+    severity: 'medium',
+    weight: 10,
+    requires: ['images'],
+    description: 'Images have width and height attributes that match the file',
+    recommendation: {
+      title: 'Set width and height on images',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Without width and height the browser doesn\'t know how much room an image needs until it has loaded, so the content below it jumps down (layout shift, CLS). Set both to the file\'s size and let CSS scale it with height: auto.'
+    },
+    run: ({ images }) => {
+      const findings = [];
+
+      // Hidden images take up no room, so they can't shift anything
+      const unsized = images.items.filter(image => image.missingDimensions && (images.estimated || image.rendered));
+      if (unsized.length > 0) {
+        const first = unsized.find(image => image.intrinsic) || unsized[0];
+        findings.push({
+          message: `${unsized.length} images have no width and height attributes, which causes layout shifts`,
+          count: unsized.length,
+          elements: unsized.map(image => `${image.selector} (${image.url})`),
+          example: `<img src="${first.url}" alt="..." width="${first.intrinsic ? first.intrinsic.width : 800}" height="${first.intrinsic ? first.intrinsic.height : 600}">`,
+          weight: Math.min(unsized.length * 2, 10)
+        });
+      }
+
+      const distorted = images.items.filter(image => image.distorted);
+      if (distorted.length > 0) {
+        findings.push({
+          message: `${distorted.length} images are displayed at different proportions than the file, which stretches them`,
+          count: distorted.length,
+          elements: distorted.map(image => `${image.url} (${formatSize(image.intrinsic)} ${image.rendered ? 'shown at' : 'declared as'} ${formatSize(image.rendered || image.declared)})`),
+          example: 'img { height: auto; }\n/* or, to crop instead of stretching */\nimg { object-fit: cover; }',
+          severity: 'low',
+          weight: 3
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'performance.offscreen-images',
+    category: 'performance',
+    severity: 'medium',
+    weight: 10,
+    requires: ['images'],
+    description: 'Images below the fold are lazy-loaded',
+    recommendation: {
+      title: 'Lazy-load images below the fold',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Images further down the page compete with the first screen for bandwidth. With loading="lazy" they are only downloaded as the visitor scrolls towards them.'
+    },
+    run: ({ images }) => {
+      const eager = uniqueImages(images.items.filter(image => image.savings.offscreen > 0));
+      if (eager.length === 0) {
+        return;
+      }
+
+      const savingsBytes = images.deferrableBytes;
+      const savingsMs = transferTime(savingsBytes);
+      return {
+        message: images.estimated
+          ? `${eager.length} images after the first few in the HTML load immediately; lazy loading the ones below the fold would defer up to ${formatBytes(savingsBytes)}`
+          : `${eager.length} images below the fold load immediately; lazy loading would defer ${formatBytes(savingsBytes)}`,
+        count: eager.length,
+        elements: eager.map(image => `${image.url} (${formatBytes(image.transferSize)})`),
+        example: `<img src="${eager[0].url}" alt="..." loading="lazy" width="800" height="600">`,
+        savingsBytes,
+        savingsMs,
+        ...(savingsMs >= 1000 && { severity: 'high' }),
+        ...(savingsMs < 300 && { severity: 'low', weight: 3 })
+      };
+    }
+  },
+  {
+    id: 'performance.hero-image',
+    category: 'performance',
+    severity: 'medium',
+    weight: 10,
+    requires: ['images'],
+    description: 'The main image on the first screen is small and loads eagerly',
+    recommendation: {
+      title: 'Optimize the hero image',
+      impact: 'high',
+      effort: 'low',
+      details: 'The largest image on the first screen is usually the Largest Contentful Paint. Keep it under 200 KB, never lazy-load it, and give it fetchpriority="high" so it starts downloading early.'
+    },
+    run: ({ images }) => {
+      const hero = images.items.find(image => image.hero);
+      if (!hero) {
+        return;
+      }
+
+      const findings = [];
+      if (hero.transferSize > MAX_HERO_BYTES) {
+        findings.push({
+          message: `The largest image ${onFirstScreen(images)} weighs ${formatBytes(hero.transferSize)}`,
+          elements: [`${hero.url} (${hero.format ? hero.format.toUpperCase() : 'unknown format'}${hero.intrinsic ? `, ${formatSize(hero.intrinsic)}` : ''}, ${formatBytes(hero.transferSize)})`],
+          example: `<link rel="preload" as="image" href="${hero.url}" fetchpriority="high">`,
+          savingsBytes: hero.transferSize - MAX_HERO_BYTES,
+          ...(hero.transferSize > MAX_HERO_BYTES * 3 && { severity: 'high' })
+        });
+      }
+      // A lazy image waits for layout before it is requested, which pushes back the Largest Contentful Paint
+      if (hero.loading === 'lazy') {
+        findings.push({
+          message: `The largest image ${onFirstScreen(images)} is lazy-loaded, which delays the Largest Contentful Paint`,
+          elements: [`${hero.selector} (${hero.url})`],
+          example: `<img src="${hero.url}" alt="..." fetchpriority="high">`
+        });
+      }
+      return findings;
+    }
+  }
+];
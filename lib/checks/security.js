@@ -0,0 +1,597 @@
+const { getSelector } = require('../pageSignals');
+const {
+  getHeader,
+  parseHsts,
+  getCspPolicies,
+  getRestricting,
+  allowsInline,
+  everyPolicyAllows,
+  getCookies,
+  getReferrerPolicy
+} = require('../securityHeaders');
+
+// Security checks read the response headers and raw HTML of the page, so every engine runs them the same way
+
+// Browsers only remember HSTS long enough to matter from about six months; the preload list wants a year
+const MIN_HSTS_MAX_AGE = 15552000;
+const PRELOAD_MAX_AGE = 31536000;
+
+// Cookies with these names usually carry a login or session, where script access is a real risk
+const SESSION_COOKIE = /sess|sid|auth|token|jwt|login|remember/i;
+
+const isHttps = (finalUrl) => /^https:/i.test(finalUrl || '');
+
+const isInsecureUrl = (value) => /^\s*http:\/\//i.test(value || '');
+
+// Subresources that can read or change the page are blocked outright when loaded over HTTP; images and media only warn
+const ACTIVE_CONTENT = [
+  { selector: 'script[src]', attribute: 'src' },
+  { selector: 'link[href]', attribute: 'href', filter: rel => /\b(stylesheet|preload|modulepreload|manifest)\b/i.test(rel) },
+  { selector: 'iframe[src], frame[src]', attribute: 'src' },
+  { selector: 'object[data]', attribute: 'data' },
+  { selector: 'embed[src]', attribute: 'src' }
+];
+const PASSIVE_CONTENT = [
+  { selector: 'img[src], audio[src], video[src], source[src], track[src]', attribute: 'src' },
+  { selector: 'img[srcset], source[srcset]', attribute: 'srcset' },
+  { selector: 'video[poster]', attribute: 'poster' }
+];
+
+const findInsecure = ($, targets) => {
+  const found = [];
+  targets.forEach(({ selector, attribute, filter }) => {
+    $(selector).each((i, element) => {
+      const $element = $(element);
+      if (filter && !filter($element.attr('rel') || '')) {
+        return;
+      }
+      // srcset lists candidates as "url width, url width"
+      const urls = attribute === 'srcset'
+        ? ($element.attr('srcset') || '').split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+        : [$element.attr(attribute)];
+      urls.filter(isInsecureUrl).forEach(value => {
+        // getSelector skips <script>, which cheerio does not treat as a plain tag
+        found.push(`${getSelector($, element) || element.name} → ${value.trim()}`);
+      });
+    });
+  });
+  return found;
+};
+
+// Server, framework and CMS versions tell an attacker which known vulnerabilities to try. A bare
+// "Server: nginx" says little, but the other headers exist only to name the software
+const BANNER_HEADERS = ['server', 'x-powered-by', 'x-aspnet-version', 'x-aspnetmvc-version', 'x-generator'];
+const HAS_VERSION = /\d+\.\d+/;
+
+// OpenSSL verification errors in words
+const CERTIFICATE_ERRORS = {
+  CERT_HAS_EXPIRED: 'Certificate has expired',
+  CERT_NOT_YET_VALID: 'Certificate is not valid yet',
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'Certificate is self-signed',
+  SELF_SIGNED_CERT_IN_CHAIN: 'Certificate chain ends in an untrusted self-signed root',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'Certificate chain is incomplete or the issuer is not trusted',
+  UNABLE_TO_GET_ISSUER_CERT: 'Certificate chain is incomplete or the issuer is not trusted',
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'Certificate chain is incomplete or the issuer is not trusted',
+  CERT_REVOKED: 'Certificate has been revoked',
+  CERT_SIGNATURE_FAILURE: 'Certificate signature is invalid'
+};
+
+const OUTDATED_PROTOCOLS = ['SSLv2', 'SSLv3', 'TLSv1', 'TLSv1.1'];
+const WEAK_CIPHER = /RC4|3DES|DES-CBC|NULL|EXPORT|MD5|anon/i;
+const PERMANENT_REDIRECTS = [301, 308];
+
+module.exports = [
+  {
+    id: 'security.https',
+    category: 'security',
+    severity: 'high',
+    weight: 30,
+    description: 'Page is served over HTTPS',
+    recommendation: {
+      title: 'Serve the site over HTTPS',
+      impact: 'high',
+      effort: 'medium',
+      details: 'Over plain HTTP anyone on the network can read and change the page. Browsers mark such pages as not secure and Google ranks HTTPS pages higher. Certificates are free from Let\'s Encrypt.'
+    },
+    run: ({ url, finalUrl }) => {
+      if (!isHttps(finalUrl || url)) {
+        return {
+          message: isHttps(url) ? `HTTPS URL redirects to insecure ${finalUrl}` : 'Page is served over plain HTTP',
+          elements: [finalUrl || url],
+          example: 'server {\n  listen 80;\n  return 301 https://$host$request_uri;\n}'
+        };
+      }
+    }
+  },
+  {
+    id: 'security.hsts',
+    category: 'security',
+    severity: 'high',
+    weight: 15,
+    requires: ['headers'],
+    description: 'HTTPS is enforced with a Strict-Transport-Security header',
+    recommendation: {
+      title: 'Enable HTTP Strict Transport Security',
+      impact: 'high',
+      effort: 'low',
+      details: 'HSTS makes browsers go straight to HTTPS on later visits, so the first request can\'t be intercepted and downgraded. Start with a short max-age, then raise it to a year once every subdomain works over HTTPS.'
+    },
+    run: ({ url, finalUrl, headers }) => {
+      // Browsers ignore the header on plain HTTP, and security.https already covers that case
+      if (!isHttps(finalUrl || url)) {
+        return;
+      }
+
+      const example = 'Strict-Transport-Security: max-age=31536000; includeSubDomains; preload';
+      const value = getHeader(headers, 'strict-transport-security');
+      if (!value) {
+        return { message: 'Missing Strict-Transport-Security header', elements: ['Strict-Transport-Security'], example };
+      }
+
+      const hsts = parseHsts(value);
+      const elements = [`Strict-Transport-Security: ${value}`];
+      if (hsts.maxAge === null || hsts.maxAge < MIN_HSTS_MAX_AGE) {
+        return {
+          message: hsts.maxAge === null
+            ? 'Strict-Transport-Security header has no valid max-age, so browsers ignore it'
+            : `Strict-Transport-Security max-age is only ${hsts.maxAge} seconds (recommended: at least ${MIN_HSTS_MAX_AGE})`,
+          elements,
+          example,
+          severity: 'medium',
+          weight: hsts.maxAge === null || hsts.maxAge === 0 ? 15 : 8
+        };
+      }
+
+      const findings = [];
+      if (!hsts.includeSubDomains) {
+        findings.push({ message: 'Strict-Transport-Security does not cover subdomains (includeSubDomains)', elements, example, severity: 'low', weight: 3 });
+      }
+      if (hsts.preload && (!hsts.includeSubDomains || hsts.maxAge < PRELOAD_MAX_AGE)) {
+        findings.push({
+          message: 'Strict-Transport-Security asks for preload but does not meet the preload list requirements (max-age of a year and includeSubDomains)',
+          elements,
+          example,
+          severity: 'medium',
+          weight: 5
+        });
+      } else if (!hsts.preload) {
+        // Preloading is hard to undo, so it is suggested without costing points
+        findings.push({ message: 'Domain is not marked for the HSTS preload list', elements, example, severity: 'low', weight: 0 });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'security.csp',
+    category: 'security',
+    severity: 'medium',
+    weight: 10,
+    requires: ['headers'],
+    description: 'Content Security Policy restricts where scripts can come from',
+    recommendation: {
+      title: 'Add a strict Content Security Policy',
+      impact: 'high',
+      effort: 'high',
+      details: 'A CSP is the main defence against cross-site scripting. Allowing \'unsafe-inline\' or \'unsafe-eval\' for scripts undoes most of that protection; use nonces or hashes for inline scripts instead. Try a new policy with Content-Security-Policy-Report-Only first.'
+    },
+    run: ({ headers, $ }) => {
+      const example = 'Content-Security-Policy: default-src \'self\'; script-src \'self\' \'nonce-{random}\'; object-src \'none\'; base-uri \'self\'';
+      const policies = getCspPolicies(headers, $);
+
+      if (policies.length === 0) {
+        const reportOnly = getHeader(headers, 'content-security-policy-report-only');
+        return {
+          message: reportOnly ? 'Content Security Policy is only reported, not enforced' : 'Missing Content-Security-Policy header',
+          elements: [reportOnly ? `Content-Security-Policy-Report-Only: ${reportOnly}` : 'Content-Security-Policy'],
+          example
+        };
+      }
+
+      const elements = policies.map(policy => `${policy.source === 'meta' ? '<meta http-equiv> ' : ''}${Object.entries(policy.directives).map(([name, sources]) => [name, ...sources].join(' ')).join('; ')}`);
+      if (getRestricting(policies, 'script-src').length === 0) {
+        return { message: 'Content Security Policy does not restrict scripts (no script-src or default-src)', elements, example };
+      }
+
+      const findings = [];
+      if (everyPolicyAllows(policies, 'script-src', sources => sources.includes('*') || sources.includes('http:') || sources.includes('https:'))) {
+        findings.push({ message: 'Content Security Policy lets scripts load from any host', elements, example });
+      }
+      if (everyPolicyAllows(policies, 'script-src', allowsInline)) {
+        findings.push({ message: 'Content Security Policy allows inline scripts (\'unsafe-inline\')', elements, example });
+      }
+      if (everyPolicyAllows(policies, 'script-src', sources => sources.includes("'unsafe-eval'"))) {
+        findings.push({ message: 'Content Security Policy allows eval() (\'unsafe-eval\')', elements, example, weight: 5 });
+      }
+      // Inline styles are much harder to exploit and often needed, so they are only pointed out
+      if (everyPolicyAllows(policies, 'style-src', allowsInline)) {
+        findings.push({ message: 'Content Security Policy allows inline styles (\'unsafe-inline\')', elements, example, severity: 'low', weight: 0 });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'security.clickjacking',
+    category: 'security',
+    severity: 'medium',
+    weight: 10,
+    requires: ['headers'],
+    description: 'Page can\'t be framed by other sites',
+    recommendation: {
+      title: 'Stop other sites from framing the page',
+      impact: 'medium',
+      effort: 'low',
+      details: 'A page that can be loaded in a hidden frame can be used for clickjacking, tricking visitors into clicking buttons they can\'t see. Send frame-ancestors in the CSP, with X-Frame-Options for older browsers.'
+    },
+    run: ({ headers }) => {
+      const frameAncestors = getCspPolicies(headers, null).some(policy => policy.directives['frame-ancestors']);
+      if (frameAncestors) {
+        return;
+      }
+
+      const frameOptions = (getHeader(headers, 'x-frame-options') || '').toUpperCase();
+      if (['DENY', 'SAMEORIGIN'].includes(frameOptions)) {
+        return;
+      }
+      return {
+        message: frameOptions
+          ? `X-Frame-Options value "${frameOptions}" is not supported by modern browsers and no CSP frame-ancestors is set`
+          : 'Neither X-Frame-Options nor CSP frame-ancestors is set',
+        elements: [frameOptions ? `X-Frame-Options: ${frameOptions}` : 'X-Frame-Options'],
+        example: 'Content-Security-Policy: frame-ancestors \'self\'\nX-Frame-Options: SAMEORIGIN'
+      };
+    }
+  },
+  {
+    id: 'security.content-type-options',
+    category: 'security',
+    severity: 'medium',
+    weight: 5,
+    requires: ['headers'],
+    description: 'X-Content-Type-Options is set to nosniff',
+    recommendation: {
+      title: 'Send X-Content-Type-Options: nosniff',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Without it, browsers may guess a file\'s type from its contents and run an uploaded file as a script or stylesheet.'
+    },
+    run: ({ headers }) => {
+      const value = getHeader(headers, 'x-content-type-options');
+      if (!value || value.toLowerCase() !== 'nosniff') {
+        return {
+          message: value ? `X-Content-Type-Options is "${value}" instead of nosniff` : 'Missing X-Content-Type-Options header',
+          elements: [value ? `X-Content-Type-Options: ${value}` : 'X-Content-Type-Options'],
+          example: 'X-Content-Type-Options: nosniff'
+        };
+      }
+    }
+  },
+  {
+    id: 'security.referrer-policy',
+    category: 'security',
+    severity: 'low',
+    weight: 3,
+    requires: ['headers'],
+    description: 'Referrer-Policy keeps full URLs from leaking to other sites',
+    recommendation: {
+      title: 'Set a Referrer-Policy',
+      impact: 'low',
+      effort: 'low',
+      details: 'The Referer header sends the page address to every site it links to or loads from. URLs can contain search terms, ids or tokens, so send only the origin across sites.'
+    },
+    run: ({ headers, $ }) => {
+      const example = 'Referrer-Policy: strict-origin-when-cross-origin';
+      const policy = getReferrerPolicy(headers, $);
+      if (!policy) {
+        const value = getHeader(headers, 'referrer-policy');
+        return {
+          message: value ? `Referrer-Policy "${value}" is not a valid policy` : 'Missing Referrer-Policy header',
+          elements: [value ? `Referrer-Policy: ${value}` : 'Referrer-Policy'],
+          example
+        };
+      }
+      if (['unsafe-url', 'no-referrer-when-downgrade'].includes(policy)) {
+        return {
+          message: `Referrer-Policy "${policy}" sends the full URL to other sites`,
+          elements: [`Referrer-Policy: ${policy}`],
+          example,
+          severity: 'medium',
+          weight: 5
+        };
+      }
+    }
+  },
+  {
+    id: 'security.permissions-policy',
+    category: 'security',
+    severity: 'low',
+    weight: 3,
+    requires: ['headers'],
+    description: 'Permissions-Policy limits the browser features the page and its frames can use',
+    recommendation: {
+      title: 'Add a Permissions-Policy',
+      impact: 'low',
+      effort: 'low',
+      details: 'Turning off features the site doesn\'t use, such as the camera, microphone and geolocation, stops embedded third-party content from asking for them.'
+    },
+    run: ({ headers }) => {
+      if (getHeader(headers, 'permissions-policy')) {
+        return;
+      }
+      const featurePolicy = getHeader(headers, 'feature-policy');
+      return {
+        message: featurePolicy ? 'Only the deprecated Feature-Policy header is set' : 'Missing Permissions-Policy header',
+        elements: [featurePolicy ? `Feature-Policy: ${featurePolicy}` : 'Permissions-Policy'],
+        example: 'Permissions-Policy: camera=(), microphone=(), geolocation=(), payment=()'
+      };
+    }
+  },
+  {
+    id: 'security.cookies',
+    category: 'security',
+    severity: 'medium',
+    weight: 10,
+    requires: ['headers'],
+    description: 'Cookies are set with the Secure, HttpOnly and SameSite flags',
+    recommendation: {
+      title: 'Set Secure, HttpOnly and SameSite on cookies',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Secure keeps cookies off plain HTTP, HttpOnly keeps them away from scripts (and from cross-site scripting), and SameSite stops them being sent with requests from other sites.'
+    },
+    run: ({ url, finalUrl, headers }) => {
+      const cookies = getCookies(headers);
+      const https = isHttps(finalUrl || url);
+      const example = 'Set-Cookie: session=…; Path=/; Secure; HttpOnly; SameSite=Lax';
+      const findings = [];
+      const report = (matching, message, severity, weight) => {
+        if (matching.length > 0) {
+          findings.push({ message: message(matching.length), count: matching.length, elements: matching.map(cookie => cookie.name), example, severity, weight });
+        }
+      };
+
+      report(cookies.filter(cookie => cookie.sameSite === 'none' && !cookie.secure),
+        count => `${count} cookies use SameSite=None without Secure and are rejected by browsers`, 'high', 10);
+      if (https) {
+        report(cookies.filter(cookie => !cookie.secure),
+          count => `${count} cookies are missing the Secure flag`, 'medium', 8);
+      }
+      report(cookies.filter(cookie => !cookie.httpOnly && SESSION_COOKIE.test(cookie.name)),
+        count => `${count} session cookies are readable by scripts (no HttpOnly)`, 'medium', 8);
+      // Analytics and consent cookies are meant to be read by scripts
+      report(cookies.filter(cookie => !cookie.httpOnly && !SESSION_COOKIE.test(cookie.name)),
+        count => `${count} other cookies are readable by scripts (no HttpOnly)`, 'low', 0);
+      report(cookies.filter(cookie => !cookie.sameSite),
+        count => `${count} cookies do not set SameSite`, 'low', 2);
+
+      return findings;
+    }
+  },
+  {
+    id: 'security.mixed-content',
+    category: 'security',
+    severity: 'high',
+    weight: 20,
+    requires: ['html'],
+    description: 'HTTPS page loads nothing over plain HTTP',
+    recommendation: {
+      title: 'Load every resource over HTTPS',
+      impact: 'high',
+      effort: 'low',
+      details: 'Browsers block scripts, stylesheets and frames loaded over HTTP on an HTTPS page, which breaks the page, and flag HTTP images as not secure. Change the URLs to https://, or add upgrade-insecure-requests to the CSP while you do.'
+    },
+    run: ({ url, finalUrl, headers, $ }) => {
+      if (!isHttps(finalUrl || url)) {
+        return;
+      }
+
+      const active = findInsecure($, ACTIVE_CONTENT);
+      const passive = findInsecure($, PASSIVE_CONTENT);
+      const forms = $('form[action]').toArray()
+        .filter(element => isInsecureUrl($(element).attr('action')))
+        .map(element => `${getSelector($, element)} → ${$(element).attr('action').trim()}`);
+
+      // Browsers rewrite the URLs to HTTPS under this directive, so the page still works if the hosts support it
+      const upgraded = getCspPolicies(headers, $).some(policy => policy.directives['upgrade-insecure-requests']);
+      const downgrade = upgraded ? { severity: 'low', weight: 0 } : {};
+      const suffix = upgraded ? ' (upgraded by the CSP)' : '';
+      const example = 'Content-Security-Policy: upgrade-insecure-requests';
+
+      const findings = [];
+      if (active.length > 0) {
+        findings.push({ message: `${active.length} scripts, stylesheets or frames are loaded over HTTP${suffix}`, count: active.length, elements: active, example, ...downgrade });
+      }
+      if (passive.length > 0) {
+        findings.push({ message: `${passive.length} images or media files are loaded over HTTP${suffix}`, count: passive.length, elements: passive, example, severity: 'medium', weight: 10, ...downgrade });
+      }
+      if (forms.length > 0) {
+        findings.push({ message: `${forms.length} forms submit over HTTP`, count: forms.length, elements: forms, example: '<form action="https://…" method="post">', severity: 'high', weight: 15 });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'security.server-banner',
+    category: 'security',
+    severity: 'low',
+    weight: 5,
+    requires: ['headers'],
+    description: 'Responses do not reveal server or framework versions',
+    recommendation: {
+      title: 'Hide server and framework versions',
+      impact: 'low',
+      effort: 'low',
+      details: 'Version numbers in headers and the generator meta tag tell attackers exactly which known vulnerabilities to try. Turn them off in the server and CMS configuration (for example server_tokens off in nginx).'
+    },
+    run: ({ headers, $ }) => {
+      const banners = BANNER_HEADERS
+        .map(name => ({ name, value: getHeader(headers, name) }))
+        .filter(({ name, value }) => value && (name !== 'server' || HAS_VERSION.test(value)))
+        .map(({ name, value }) => `${name.replace(/(^|-)\w/g, match => match.toUpperCase())}: ${value}`);
+
+      const generator = $ ? $('meta[name="generator"]').attr('content') : null;
+      if (generator && HAS_VERSION.test(generator)) {
+        banners.push(`<meta name="generator" content="${generator}">`);
+      }
+
+      if (banners.length > 0) {
+        return {
+          message: `${banners.length} headers or tags reveal server software`,
+          count: banners.length,
+          elements: banners,
+          example: '# nginx\nserver_tokens off;\n# Express\napp.disable(\'x-powered-by\');'
+        };
+      }
+    }
+  },
+  {
+    id: 'security.certificate',
+    category: 'security',
+    severity: 'high',
+    weight: 40,
+    requires: ['certificate'],
+    description: 'TLS certificate is valid and issued by a trusted authority',
+    recommendation: {
+      title: 'Install a valid, trusted certificate',
+      impact: 'high',
+      effort: 'low',
+      details: 'Browsers show a full-page warning instead of the site when the certificate is expired, self-signed or not trusted, and crawlers stop there too. Renew it, serve the full chain including intermediates, and automate renewal (for example with certbot).'
+    },
+    run: ({ tls }) => {
+      const { authorized, authorizationError, subject, issuer, validTo } = tls.certificate;
+      if (!authorized) {
+        return {
+          message: CERTIFICATE_ERRORS[authorizationError] || `Certificate is not trusted (${authorizationError})`,
+          elements: [`${subject} issued by ${issuer}, valid until ${validTo}`],
+          example: 'certbot --nginx -d example.com -d www.example.com'
+        };
+      }
+    }
+  },
+  {
+    id: 'security.certificate-hostname',
+    category: 'security',
+    severity: 'high',
+    weight: 40,
+    requires: ['certificate'],
+    description: 'Certificate covers the site\'s apex and www hosts',
+    recommendation: {
+      title: 'Get a certificate that names every host',
+      impact: 'high',
+      effort: 'low',
+      details: 'A certificate only works for the hosts in its subject alternative names. Include both example.com and www.example.com so visitors are not warned whichever they type.'
+    },
+    run: ({ tls }) => {
+      const { hostnames, altNames } = tls.certificate;
+      const [audited, ...others] = hostnames;
+      const example = `certbot certonly -d ${hostnames.map(entry => entry.host).join(' -d ')}`;
+
+      if (!audited.covered) {
+        return {
+          message: `Certificate does not cover ${audited.host}`,
+          elements: altNames.length > 0 ? altNames : ['No subject alternative names'],
+          example
+        };
+      }
+
+      // The other host only matters when it exists in DNS
+      const uncovered = others.filter(entry => entry.resolves && !entry.covered);
+      if (uncovered.length > 0) {
+        return {
+          message: `Certificate does not cover ${uncovered.map(entry => entry.host).join(', ')}, which also resolves`,
+          elements: altNames,
+          example,
+          severity: 'medium',
+          weight: 10
+        };
+      }
+    }
+  },
+  {
+    id: 'security.certificate-expiry',
+    category: 'security',
+    severity: 'medium',
+    weight: 10,
+    requires: ['certificate'],
+    description: 'Certificate is not about to expire',
+    recommendation: {
+      title: 'Renew the certificate',
+      impact: 'high',
+      effort: 'low',
+      details: 'When the certificate expires, visitors get a security warning instead of the site. Automatic renewal usually starts 30 days before expiry, so a certificate this close to it suggests renewal is failing.'
+    },
+    run: ({ tls }) => {
+      const { daysUntilExpiry, validTo } = tls.certificate;
+      // An expired certificate is reported by security.certificate
+      if (daysUntilExpiry === null || daysUntilExpiry < 0 || daysUntilExpiry > 30) {
+        return;
+      }
+      return {
+        message: `Certificate expires in ${daysUntilExpiry} days`,
+        elements: [`Valid until ${validTo}`],
+        example: 'certbot renew',
+        ...(daysUntilExpiry <= 14 && { severity: 'high', weight: 20 })
+      };
+    }
+  },
+  {
+    id: 'security.tls-protocol',
+    category: 'security',
+    severity: 'high',
+    weight: 15,
+    requires: ['certificate'],
+    description: 'Server negotiates TLS 1.2 or newer with a strong cipher',
+    recommendation: {
+      title: 'Turn off outdated TLS versions and ciphers',
+      impact: 'high',
+      effort: 'low',
+      details: 'TLS 1.0 and 1.1 are deprecated and refused by current browsers, and ciphers such as RC4 and 3DES can be broken. Enable TLS 1.2 and 1.3 only.'
+    },
+    run: ({ tls }) => {
+      const { protocol, cipher } = tls.certificate;
+      const example = '# nginx\nssl_protocols TLSv1.2 TLSv1.3;\nssl_prefer_server_ciphers off;';
+      const findings = [];
+      if (OUTDATED_PROTOCOLS.includes(protocol)) {
+        findings.push({ message: `Server's best protocol is ${protocol}`, elements: [`${protocol} ${cipher || ''}`.trim()], example });
+      }
+      if (cipher && WEAK_CIPHER.test(cipher)) {
+        findings.push({ message: `Server picked the weak cipher ${cipher}`, elements: [cipher], example, severity: 'medium', weight: 8 });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'security.https-redirect',
+    category: 'security',
+    severity: 'high',
+    weight: 15,
+    requires: ['https-redirect'],
+    description: 'http:// redirects to https:// in one permanent hop',
+    recommendation: {
+      title: 'Redirect HTTP to HTTPS in a single permanent redirect',
+      impact: 'high',
+      effort: 'low',
+      details: 'Visitors and old links still arrive over http://. Send them straight to the final https:// URL with a 301 or 308, without stopping at other hosts on the way, so no request stays unencrypted and link value passes on.'
+    },
+    run: ({ tls }) => {
+      const { url, hops, finalUrl, redirects } = tls.redirect;
+      const elements = hops.map(hop => `${hop.status || hop.error} ${hop.url}${hop.location ? ` → ${hop.location}` : ''}`);
+      const example = 'server {\n  listen 80;\n  server_name example.com www.example.com;\n  return 301 https://example.com$request_uri;\n}';
+
+      if (redirects === 0) {
+        return { message: `${url} is served without redirecting to HTTPS`, elements, example };
+      }
+      if (!/^https:/i.test(finalUrl) || hops[hops.length - 1].location) {
+        return { message: `${url} never reaches an HTTPS page`, elements, example };
+      }
+
+      const findings = [];
+      if (redirects > 1) {
+        findings.push({ message: `${url} takes ${redirects} redirects to reach HTTPS`, elements, example, severity: 'medium', weight: 5 });
+      }
+      if (!PERMANENT_REDIRECTS.includes(hops[0].status)) {
+        findings.push({ message: `${url} redirects with a temporary ${hops[0].status} instead of a permanent 301 or 308`, elements, example, severity: 'medium', weight: 5 });
+      }
+      return findings;
+    }
+  }
+];
@@ -0,0 +1,879 @@
+const { getLinkCounts, getSelector, getText } = require('../pageSignals');
+const { describeEntity } = require('../structuredData');
+
+// On-page SEO checks. Each check returns nothing when the page passes, or a finding describing the problem
+const getTitle = ($) => $('title').first().text().trim();
+const getMetaDescription = ($) => ($('meta[name="description"]').attr('content') || '').trim();
+// One line per place a checked URL is used: https://example.com/old (404) in nav > a:nth-of-type(2) "Pricing"
+const describeLink = (link, outcome) => link.occurrences.map(occurrence =>
+  `${link.url} (${outcome}) in ${occurrence.element}${occurrence.text ? ` "${occurrence.text}"` : ''}`);
+const describeFailure = (link) => describeLink(link, link.error || link.status);
+
+// Facebook and LinkedIn show a 1.91:1 banner and drop images under 200 pixels; X's summary card is a small square
+const SHARE_IMAGE = { minimum: { width: 200, height: 200 }, recommended: { width: 1200, height: 630 }, ratio: 1.91 };
+const SUMMARY_CARD_IMAGE = { minimum: { width: 144, height: 144 }, recommended: { width: 144, height: 144 }, ratio: 1 };
+const MAX_SHARE_RATIO_DIFFERENCE = 0.1;
+// LinkedIn and X reject share images over 5 MB; Facebook allows 8 MB
+const MAX_SHARE_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const escapeAttribute = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+// Something to start a meta description from: the first paragraph of real text on the page
+const suggestDescription = ($) => {
+  const paragraph = $('p').toArray().map(element => getText($(element), 155)).find(text => text.length >= 50);
+  return paragraph || 'Summarise what this page offers and why someone should visit it, in 120-160 characters.';
+};
+
+// Turns an image filename like red-running-shoes.jpg into "Red running shoes"
+const suggestAlt = (src) => {
+  const name = decodeURIComponent((src || '').split(/[?#]/)[0].split('/').pop() || '')
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/[-_]+/g, ' ')
+    .replace(/\d{3,}/g, '')
+    .trim();
+  return name.length > 2 ? name.charAt(0).toUpperCase() + name.slice(1) : 'Describe what the image shows';
+};
+
+module.exports = [
+  {
+    id: 'seo.missing-title',
+    category: 'seo',
+    severity: 'high',
+    weight: 25,
+    requires: ['html'],
+    description: 'Page has a <title> tag',
+    recommendation: {
+      title: 'Add a title tag',
+      impact: 'high',
+      effort: 'low',
+      details: 'The title is the headline of your search result. Keep it to 30-60 characters with the main keyword first.'
+    },
+    run: ({ $, finalUrl }) => {
+      if ($('title').length === 0) {
+        const topic = getText($('h1').first(), 45) || 'Main keyword or page topic';
+        return {
+          message: 'Missing title tag',
+          elements: ['head'],
+          example: `<title>${topic} | ${new URL(finalUrl).hostname}</title>`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.title-length',
+    category: 'seo',
+    severity: 'medium',
+    weight: 10,
+    requires: ['html'],
+    description: 'Title is 30-60 characters long',
+    recommendation: {
+      title: 'Rewrite the title to 30-60 characters',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Long titles are cut off in search results and short ones waste space that could describe the page.'
+    },
+    run: ({ $, finalUrl }) => {
+      const title = getTitle($);
+      const length = title.length;
+      if ($('title').length > 0 && (length < 30 || length > 60)) {
+        const suggestion = length > 60
+          ? title.slice(0, 60).slice(0, title.slice(0, 60).lastIndexOf(' ')).trim()
+          : `${title || getText($('h1').first(), 40)} | ${new URL(finalUrl).hostname}`;
+        return {
+          message: `Title is ${length} characters (recommended: 30-60)`,
+          elements: ['title'],
+          example: `<title>${suggestion}</title>`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.missing-meta-description',
+    category: 'seo',
+    severity: 'high',
+    weight: 15,
+    requires: ['html'],
+    description: 'Page has a meta description',
+    recommendation: {
+      title: 'Add a meta description',
+      impact: 'high',
+      effort: 'low',
+      details: 'Search engines often show the meta description under your title. A clear one improves click-through rates.'
+    },
+    run: ({ $ }) => {
+      if ($('meta[name="description"]').length === 0) {
+        return {
+          message: 'Missing meta description',
+          elements: ['head'],
+          example: `<meta name="description" content="${escapeAttribute(suggestDescription($))}">`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.meta-description-length',
+    category: 'seo',
+    severity: 'medium',
+    weight: 5,
+    requires: ['html'],
+    description: 'Meta description is 120-160 characters long',
+    recommendation: {
+      title: 'Rewrite the meta description to 120-160 characters',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Descriptions outside this range are truncated or replaced with text the search engine picks from the page.'
+    },
+    run: ({ $ }) => {
+      const description = getMetaDescription($);
+      const length = description.length;
+      if ($('meta[name="description"]').length > 0 && (length < 120 || length > 160)) {
+        const suggestion = length > 160
+          ? description.slice(0, 157).slice(0, description.slice(0, 157).lastIndexOf(' ')).trim()
+          : suggestDescription($);
+        return {
+          message: `Meta description is ${length} characters (recommended: 120-160)`,
+          elements: ['meta[name="description"]'],
+          example: `<meta name="description" content="${escapeAttribute(suggestion)}">`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.missing-h1',
+    category: 'seo',
+    severity: 'high',
+    weight: 20,
+    requires: ['html'],
+    description: 'Page has an H1 heading',
+    recommendation: {
+      title: 'Add an H1 heading',
+      impact: 'high',
+      effort: 'low',
+      details: 'The H1 tells search engines and readers what the page is about. Use one that matches the title.'
+    },
+    run: ({ $ }) => {
+      if ($('h1').length === 0) {
+        return {
+          message: 'Missing H1 heading',
+          elements: ['body'],
+          example: `<h1>${getTitle($) || 'Main topic of the page'}</h1>`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.multiple-h1',
+    category: 'seo',
+    severity: 'medium',
+    weight: 15,
+    requires: ['html'],
+    description: 'Page has only one H1 heading',
+    recommendation: {
+      title: 'Keep a single H1 and demote the others',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Several H1s blur the main topic. Keep the one that describes the page and turn the rest into H2s.'
+    },
+    run: ({ $ }) => {
+      const headings = $('h1').toArray();
+      if (headings.length > 1) {
+        return {
+          message: `${headings.length} H1 headings found (should have only one)`,
+          elements: headings.map(element => getSelector($, element)),
+          example: `<h2>${getText($(headings[1]), 80) || 'Section heading'}</h2>`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.image-alt',
+    category: 'seo',
+    type: 'warning',
+    severity: 'medium',
+    weight: 15,
+    requires: ['html'],
+    description: 'Images have alt text',
+    recommendation: {
+      title: 'Add alt text to images',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Alt text lets search engines understand images and shows them in image search. Decorative images can use alt="".'
+    },
+    run: ({ $, finalUrl }) => {
+      const total = $('img').length;
+      const missing = $('img:not([alt])').toArray();
+      if (missing.length === 0) {
+        return;
+      }
+
+      const sources = missing.map(element => {
+        const src = $(element).attr('src');
+        if (!src) {
+          return getSelector($, element);
+        }
+        try {
+          return new URL(src, finalUrl).href;
+        } catch (error) {
+          return src;
+        }
+      });
+      const firstSrc = $(missing[0]).attr('src') || 'image.jpg';
+
+      // A few gaps are worth flagging but only cost points once coverage drops below 80%
+      const coverage = Math.round(((total - missing.length) / total) * 100);
+      return {
+        message: `${missing.length} images are missing alt text`,
+        type: 'warning',
+        elements: sources,
+        example: `<img src="${escapeAttribute(firstSrc)}" alt="${escapeAttribute(suggestAlt(firstSrc))}">`,
+        ...(coverage >= 80 && { severity: 'low', weight: 0 })
+      };
+    }
+  },
+  {
+    id: 'seo.mostly-external-links',
+    category: 'seo',
+    severity: 'low',
+    weight: 10,
+    requires: ['html'],
+    description: 'Most links point within the site',
+    recommendation: {
+      title: 'Link to more of your own pages',
+      impact: 'low',
+      effort: 'medium',
+      details: 'Internal links help search engines discover your other pages and spread ranking signals across the site.'
+    },
+    run: ({ $, finalUrl }) => {
+      const { internal, external } = getLinkCounts($, finalUrl);
+      if (external > internal) {
+        return { message: `${external} of ${internal + external} links point to other sites` };
+      }
+    }
+  },
+  {
+    id: 'seo.missing-structured-data',
+    category: 'seo',
+    severity: 'low',
+    weight: 5,
+    requires: ['html', 'structured-data'],
+    description: 'Page has structured data',
+    recommendation: {
+      title: 'Add JSON-LD structured data',
+      impact: 'medium',
+      effort: 'medium',
+      details: 'Structured data makes the page eligible for rich results such as ratings, prices and breadcrumbs.'
+    },
+    run: ({ $, finalUrl, structuredData }) => {
+      // Markup that doesn't parse is reported by the syntax check instead
+      if (structuredData.entities.length === 0 && structuredData.syntaxErrors.length === 0) {
+        const origin = new URL(finalUrl).origin;
+        const data = {
+          '@context': 'https://schema.org',
+          '@type': 'WebSite',
+          name: getTitle($) || new URL(finalUrl).hostname,
+          url: `${origin}/`
+        };
+        return {
+          message: 'No structured data found in JSON-LD, microdata or RDFa',
+          elements: ['head'],
+          example: `<script type="application/ld+json">\n${JSON.stringify(data, null, 2)}\n</script>`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.structured-data-syntax',
+    category: 'seo',
+    severity: 'medium',
+    weight: 10,
+    requires: ['structured-data'],
+    description: 'JSON-LD blocks are valid JSON',
+    recommendation: {
+      title: 'Fix invalid JSON-LD',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Search engines skip a JSON-LD block that doesn\'t parse, along with everything in it. Trailing commas, unescaped quotes and comments are the usual causes.'
+    },
+    run: ({ structuredData }) => {
+      const invalid = structuredData.syntaxErrors;
+      if (invalid.length > 0) {
+        return {
+          message: `${invalid.length} JSON-LD blocks are not valid JSON`,
+          count: invalid.length,
+          elements: invalid.map(block => `${block.source}: ${block.message}`),
+          example: invalid[0].snippet
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.structured-data-errors',
+    category: 'seo',
+    severity: 'medium',
+    weight: 15,
+    requires: ['structured-data'],
+    description: 'Structured data has the properties rich results require',
+    recommendation: {
+      title: 'Fix structured data errors',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Items missing a required property, or with a malformed date or price, aren\'t eligible for rich results. Check them with Google\'s Rich Results Test after fixing.'
+    },
+    run: ({ structuredData }) => {
+      const invalid = structuredData.entities.filter(entity => entity.errors.length > 0);
+      if (invalid.length > 0) {
+        return {
+          message: `${invalid.length} structured data items have errors that rule out rich results`,
+          count: invalid.length,
+          elements: invalid.reduce((lines, entity) => lines.concat(entity.errors.map(error => `${describeEntity(entity)}: ${error}`)), []),
+          weight: Math.min(invalid.length * 5, 15)
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.structured-data-warnings',
+    category: 'seo',
+    severity: 'low',
+    weight: 3,
+    requires: ['structured-data'],
+    description: 'Structured data has the recommended properties',
+    recommendation: {
+      title: 'Complete your structured data',
+      impact: 'low',
+      effort: 'low',
+      details: 'Recommended properties such as images, ratings and dates make a rich result more complete and more likely to be shown.'
+    },
+    run: ({ structuredData }) => {
+      const incomplete = structuredData.entities.filter(entity => entity.warnings.length > 0);
+      if (incomplete.length > 0) {
+        return {
+          message: `${incomplete.length} structured data items are missing recommended properties`,
+          count: incomplete.length,
+          elements: incomplete.reduce((lines, entity) => lines.concat(entity.warnings.map(warning => `${describeEntity(entity)}: ${warning}`)), [])
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.open-graph',
+    category: 'seo',
+    severity: 'medium',
+    weight: 10,
+    requires: ['html', 'social'],
+    description: 'Page has the required Open Graph tags',
+    recommendation: {
+      title: 'Add Open Graph tags',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Facebook and LinkedIn build a shared link\'s preview from og:title, og:type, og:image and og:url, and X uses them when its own tags are missing. Without og:image a share has no picture.'
+    },
+    run: ({ $, finalUrl, social }) => {
+      const findings = [];
+      const present = Object.keys(social.openGraph).length > 0;
+      const tags = {
+        'og:title': social.previews.facebook.title || getTitle($) || new URL(finalUrl).hostname,
+        'og:type': 'website',
+        'og:image': `${new URL(finalUrl).origin}/images/share.jpg`,
+        'og:url': finalUrl
+      };
+      const example = properties => properties
+        .map(property => `<meta property="${property}" content="${escapeAttribute(tags[property] || '')}">`).join('\n');
+
+      if (!present) {
+        findings.push({
+          message: 'No Open Graph tags; shared links fall back to the page title and show no image',
+          elements: ['head'],
+          example: example(['og:title', 'og:type', 'og:image', 'og:url', 'og:description'])
+        });
+      } else if (social.missing.length > 0) {
+        // Platforms fill in a missing title or URL from the page, but not a missing image
+        findings.push({
+          message: `Missing required Open Graph properties: ${social.missing.join(', ')}`,
+          count: social.missing.length,
+          elements: social.missing,
+          example: example(social.missing),
+          weight: social.missing.includes('og:image') ? 10 : 5
+        });
+      }
+      if (present && !social.openGraph['og:description']) {
+        const source = social.fallbacks.find(fallback => fallback.property === 'og:description');
+        findings.push({
+          message: source ? 'No og:description; platforms use the meta description instead' : 'No og:description or meta description, so shares have no summary',
+          elements: ['head'],
+          example: `<meta property="og:description" content="${escapeAttribute(social.previews.facebook.description || suggestDescription($))}">`,
+          severity: 'low',
+          weight: source ? 0 : 3
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'seo.social-image',
+    category: 'seo',
+    severity: 'medium',
+    weight: 10,
+    requires: ['social'],
+    description: 'Share image loads at a size social platforms display well',
+    recommendation: {
+      title: 'Fix the social share image',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Use an absolute URL to a JPEG or PNG of 1200×630 pixels (1.91:1) and under 5 MB. Smaller images are shown as a thumbnail or not at all, and other proportions are cropped.'
+    },
+    run: ({ social }) => {
+      const findings = [];
+      [social.image, social.twitterImage].filter(Boolean).forEach(image => {
+        // A summary card on X shows a small square instead of a wide banner
+        const target = image.property === 'twitter:image' && social.card === 'summary' ? SUMMARY_CARD_IMAGE : SHARE_IMAGE;
+        const name = `${image.property} ${image.value}`;
+
+        if (image.relative && image.url) {
+          findings.push({
+            message: `${image.property} is a relative URL, which platforms don't resolve`,
+            elements: [name],
+            example: `<meta ${image.property === 'og:image' ? 'property' : 'name'}="${image.property}" content="${escapeAttribute(image.url)}">`,
+            weight: 5
+          });
+        }
+        if (!(image.status >= 200 && image.status < 300)) {
+          findings.push({
+            message: `${image.property} doesn't load (${image.status || image.error})`,
+            elements: [image.url || image.value],
+            severity: 'high'
+          });
+          return;
+        }
+        if (!image.usable) {
+          findings.push({
+            message: `${image.property} is ${image.format ? image.format.toUpperCase() : image.contentType || 'not an image'}, which social platforms don't display`,
+            elements: [image.url]
+          });
+          return;
+        }
+        if (image.transferSize > MAX_SHARE_IMAGE_BYTES) {
+          findings.push({
+            message: `${image.property} is ${Math.round(image.transferSize / 1024 / 1024 * 10) / 10} MB, over the 5 MB LinkedIn and X accept`,
+            elements: [image.url],
+            weight: 5
+          });
+        }
+        if (!image.width || !image.height) {
+          return;
+        }
+        const size = `${image.width}×${image.height}`;
+        if (image.width < target.minimum.width || image.height < target.minimum.height) {
+          findings.push({
+            message: `${image.property} is ${size}, below the ${target.minimum.width}×${target.minimum.height} minimum for a preview image`,
+            elements: [image.url],
+            weight: 5
+          });
+        } else if (image.width < target.recommended.width || image.height < target.recommended.height) {
+          findings.push({
+            message: `${image.property} is ${size}, smaller than the recommended ${target.recommended.width}×${target.recommended.height}`,
+            elements: [image.url],
+            severity: 'low',
+            weight: 2
+          });
+        }
+        if (Math.abs((image.width / image.height) / target.ratio - 1) > MAX_SHARE_RATIO_DIFFERENCE) {
+          findings.push({
+            message: `${image.property} is ${size}, a ${Math.round(image.width / image.height * 100) / 100}:1 image that will be cropped to ${target.ratio}:1`,
+            elements: [image.url],
+            severity: 'low',
+            weight: 2
+          });
+        }
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'seo.twitter-card',
+    category: 'seo',
+    severity: 'low',
+    weight: 5,
+    requires: ['social'],
+    description: 'Page declares a valid Twitter Card for X',
+    recommendation: {
+      title: 'Add a twitter:card tag',
+      impact: 'low',
+      effort: 'low',
+      details: 'X only shows a preview card when twitter:card names a card type. Title, description and image fall back to the Open Graph tags, so one tag is often enough.'
+    },
+    run: ({ finalUrl, social }) => {
+      const image = social.twitterImage || social.image;
+      const suggested = `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`;
+      if (!social.card) {
+        return {
+          message: 'No twitter:card tag, so X shows links to this page without a preview card',
+          elements: ['head'],
+          example: suggested,
+          weight: 3
+        };
+      }
+      if (!social.validCard) {
+        return {
+          message: `twitter:card "${social.card}" is not a card type X recognises (summary, summary_large_image, app or player)`,
+          elements: [`twitter:card ${social.card}`],
+          example: suggested,
+          severity: 'medium'
+        };
+      }
+      if (social.card === 'summary_large_image' && !image) {
+        return {
+          message: 'twitter:card is summary_large_image but there is no twitter:image or og:image',
+          elements: ['twitter:card summary_large_image'],
+          example: `<meta name="twitter:image" content="${new URL(finalUrl).origin}/images/share.jpg">`,
+          severity: 'medium'
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.robots-txt-blocked',
+    category: 'seo',
+    severity: 'high',
+    weight: 30,
+    requires: ['robots-txt'],
+    description: 'robots.txt lets crawlers fetch the page',
+    recommendation: {
+      title: 'Unblock this page in robots.txt',
+      impact: 'high',
+      effort: 'low',
+      details: 'Blocked pages cannot be crawled, so search engines can only index them from links, without their content.'
+    },
+    run: ({ robotsTxt, finalUrl }) => {
+      // An unavailable robots.txt also blocks crawling, but that is reported by seo.robots-txt-unavailable
+      if (robotsTxt.found && robotsTxt.blocked) {
+        const rules = Object.keys(robotsTxt.access)
+          .filter(agent => !robotsTxt.access[agent].allowed && robotsTxt.access[agent].matchedRule)
+          .map(agent => `${agent}: ${robotsTxt.access[agent].matchedRule}`);
+        return {
+          message: 'robots.txt blocks this page for at least one crawler',
+          elements: [robotsTxt.url].concat(rules),
+          example: `User-agent: *\nAllow: ${new URL(finalUrl).pathname}`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.robots-txt-missing',
+    category: 'seo',
+    severity: 'low',
+    weight: 5,
+    requires: ['robots-txt'],
+    description: 'Site has a robots.txt file',
+    recommendation: {
+      title: 'Add a robots.txt file',
+      impact: 'low',
+      effort: 'low',
+      details: 'A robots.txt file tells crawlers what they may fetch and where your sitemap is.'
+    },
+    run: ({ robotsTxt, finalUrl }) => {
+      if (robotsTxt.status === 'not-found') {
+        return {
+          message: 'No robots.txt file found',
+          elements: [robotsTxt.url],
+          example: `User-agent: *\nAllow: /\n\nSitemap: ${new URL(finalUrl).origin}/sitemap.xml`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.robots-txt-unavailable',
+    category: 'seo',
+    severity: 'high',
+    weight: 10,
+    requires: ['robots-txt'],
+    description: 'robots.txt can be fetched',
+    recommendation: {
+      title: 'Make robots.txt respond reliably',
+      impact: 'high',
+      effort: 'medium',
+      details: 'When robots.txt errors or times out, search engines treat the whole site as blocked until it responds.'
+    },
+    run: ({ robotsTxt }) => {
+      if (robotsTxt.status !== 'found' && robotsTxt.status !== 'not-found') {
+        return {
+          message: `robots.txt is unavailable (${robotsTxt.error || `HTTP ${robotsTxt.statusCode}`})`,
+          elements: [robotsTxt.url]
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.robots-txt-syntax',
+    category: 'seo',
+    severity: 'medium',
+    weight: 3,
+    requires: ['robots-txt'],
+    description: 'robots.txt has no syntax errors',
+    recommendation: {
+      title: 'Fix the robots.txt syntax errors',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Crawlers ignore lines they cannot parse, so a typo can silently drop a rule.'
+    },
+    run: ({ robotsTxt }) => {
+      if (robotsTxt.errors.length > 0) {
+        return {
+          message: `robots.txt has ${robotsTxt.errors.length} syntax errors`,
+          elements: robotsTxt.errors.map(error => `${robotsTxt.url} line ${error.line}: ${error.message}`)
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.missing-sitemap',
+    category: 'seo',
+    severity: 'medium',
+    weight: 3,
+    requires: ['sitemap'],
+    description: 'Site has an XML sitemap',
+    recommendation: {
+      title: 'Publish an XML sitemap',
+      impact: 'medium',
+      effort: 'medium',
+      details: 'A sitemap lists the pages you want indexed. Reference it from robots.txt so every crawler finds it.'
+    },
+    run: ({ sitemap, finalUrl }) => {
+      if (!sitemap.present) {
+        const origin = new URL(finalUrl).origin;
+        return {
+          message: 'No XML sitemap found',
+          elements: [`${origin}/sitemap.xml`],
+          example: `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n  <url><loc>${origin}/</loc></url>\n</urlset>\n\n# robots.txt\nSitemap: ${origin}/sitemap.xml`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.page-not-in-sitemap',
+    category: 'seo',
+    severity: 'low',
+    weight: 2,
+    requires: ['sitemap'],
+    description: 'Page is listed in the sitemap',
+    recommendation: {
+      title: 'Add this page to the sitemap',
+      impact: 'low',
+      effort: 'low',
+      details: 'Pages missing from the sitemap are found more slowly, and only if something links to them.'
+    },
+    run: ({ sitemap, finalUrl }) => {
+      if (sitemap.present && !sitemap.auditedUrlListed) {
+        return {
+          message: 'This page is not listed in the sitemap',
+          elements: sitemap.sitemaps.map(entry => entry.url),
+          example: `<url>\n  <loc>${finalUrl}</loc>\n  <lastmod>${new Date().toISOString().slice(0, 10)}</lastmod>\n</url>`
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.sitemap-errors',
+    category: 'seo',
+    severity: 'medium',
+    weight: 3,
+    requires: ['sitemap'],
+    description: 'Sitemaps have no errors',
+    recommendation: {
+      title: 'Fix the sitemap errors',
+      impact: 'medium',
+      effort: 'medium',
+      details: 'Search engines may skip a sitemap, or the broken part of it, when it has errors.'
+    },
+    run: ({ sitemap }) => {
+      if (sitemap.errors && sitemap.errors.length > 0) {
+        return {
+          message: `Sitemaps have ${sitemap.errors.length} errors`,
+          elements: sitemap.errors
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.sitemap-urls',
+    category: 'seo',
+    severity: 'medium',
+    weight: 10,
+    requires: ['sitemap'],
+    description: 'URLs listed in the sitemap load directly',
+    recommendation: {
+      title: 'List only live, final URLs in the sitemap',
+      impact: 'medium',
+      effort: 'low',
+      details: 'A sitemap should only list pages that return 200. Remove pages that are gone and replace redirected URLs with where they redirect to, or crawlers learn to trust the sitemap less.'
+    },
+    run: ({ sitemap }) => {
+      // Only sampled when the audit asked for it
+      if (!sitemap.sample) {
+        return;
+      }
+      const findings = [];
+      const { notFound, redirects } = sitemap.sample;
+      if (notFound.length > 0) {
+        findings.push({
+          message: `${notFound.length} of ${sitemap.sample.checked} sampled sitemap URLs no longer exist`,
+          count: notFound.length,
+          elements: notFound.map(entry => `${entry.url} (${entry.status})`),
+          weight: Math.min(notFound.length * 2, 10)
+        });
+      }
+      if (redirects.length > 0) {
+        findings.push({
+          message: `${redirects.length} of ${sitemap.sample.checked} sampled sitemap URLs redirect`,
+          count: redirects.length,
+          elements: redirects.map(entry => `${entry.url} (${entry.status}) → ${entry.location}`),
+          severity: 'low',
+          weight: Math.min(redirects.length, 5)
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'seo.broken-links',
+    category: 'seo',
+    severity: 'high',
+    weight: 5,
+    requires: ['link-check'],
+    description: 'Links on the page work',
+    recommendation: {
+      title: 'Fix broken links',
+      impact: 'high',
+      effort: 'low',
+      details: 'Links that return an error are a dead end for visitors and waste crawl budget. Point them at the current page or remove them.'
+    },
+    run: ({ linkCheck }) => {
+      const broken = linkCheck.broken.filter(link => link.type === 'link');
+      if (broken.length > 0) {
+        return {
+          message: `${broken.length} links are broken`,
+          count: broken.length,
+          elements: broken.flatMap(describeFailure),
+          weight: Math.min(broken.length * 5, 25)
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.broken-resources',
+    category: 'seo',
+    severity: 'high',
+    weight: 5,
+    requires: ['link-check'],
+    description: 'Images, scripts, stylesheets and frames load',
+    recommendation: {
+      title: 'Fix missing images, scripts and stylesheets',
+      impact: 'high',
+      effort: 'low',
+      details: 'A resource that fails to load leaves a broken image, missing styles or a feature that doesn\'t work. Update the URL or remove the reference.'
+    },
+    run: ({ linkCheck }) => {
+      const broken = linkCheck.broken.filter(link => link.type !== 'link');
+      if (broken.length > 0) {
+        return {
+          message: `${broken.length} resources fail to load`,
+          count: broken.length,
+          elements: broken.flatMap(describeFailure),
+          weight: Math.min(broken.length * 5, 25)
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.link-timeouts',
+    category: 'seo',
+    severity: 'medium',
+    weight: 2,
+    requires: ['link-check'],
+    description: 'Linked pages and resources respond in time',
+    recommendation: {
+      title: 'Check links that time out',
+      impact: 'medium',
+      effort: 'low',
+      details: 'These URLs did not answer in time. The server may be down or overloaded; if it stays that way, link somewhere else.'
+    },
+    run: ({ linkCheck }) => {
+      const { timeouts } = linkCheck;
+      if (timeouts.length > 0) {
+        return {
+          message: `${timeouts.length} links or resources timed out`,
+          count: timeouts.length,
+          elements: timeouts.flatMap(link => describeLink(link, 'timed out')),
+          weight: Math.min(timeouts.length * 2, 10)
+        };
+      }
+    }
+  },
+  {
+    id: 'seo.redirected-links',
+    category: 'seo',
+    severity: 'low',
+    weight: 2,
+    requires: ['link-check'],
+    description: 'Links point straight at their destination',
+    recommendation: {
+      title: 'Link to the final URL instead of a redirect',
+      impact: 'low',
+      effort: 'low',
+      details: 'Every redirect is an extra round trip for visitors and crawlers. Update links to point at the URL they end up on.'
+    },
+    run: ({ linkCheck }) => {
+      const describeChain = link => describeLink(link, link.redirects.map(hop => hop.status).join(' → ') + ` → ${link.finalUrl}`);
+      const chains = linkCheck.redirected.filter(link => link.redirects.length > 1);
+      const single = linkCheck.redirected.filter(link => link.redirects.length === 1);
+      const findings = [];
+
+      if (chains.length > 0) {
+        findings.push({
+          message: `${chains.length} links go through a chain of redirects`,
+          count: chains.length,
+          elements: chains.flatMap(describeChain),
+          weight: Math.min(chains.length * 2, 10)
+        });
+      }
+      // A single redirect, such as a trailing slash being added, is common and only noted
+      if (single.length > 0) {
+        findings.push({
+          message: `${single.length} links redirect once`,
+          count: single.length,
+          elements: single.flatMap(describeChain),
+          severity: 'low',
+          weight: 0
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'seo.insecure-links',
+    category: 'seo',
+    severity: 'medium',
+    weight: 2,
+    requires: ['link-check'],
+    description: 'Links from an HTTPS page use HTTPS',
+    recommendation: {
+      title: 'Link to the https:// version of pages',
+      impact: 'medium',
+      effort: 'low',
+      details: 'Following an http:// link drops visitors onto an unencrypted connection, even if the site then redirects them, and leaks the referring page.'
+    },
+    run: ({ linkCheck }) => {
+      // Resources loaded over http:// are mixed content and reported by security.mixed-content
+      const insecure = linkCheck.insecure.filter(link => link.type === 'link');
+      if (insecure.length > 0) {
+        return {
+          message: `${insecure.length} links point to http:// URLs`,
+          count: insecure.length,
+          elements: insecure.flatMap(link => describeLink(link, link.finalUrl.startsWith('https:') ? 'redirects to HTTPS' : 'HTTP only')),
+          example: `<a href="${insecure[0].url.replace(/^http:/, 'https:')}">`,
+          weight: Math.min(insecure.length * 2, 10)
+        };
+      }
+    }
+  }
+];
@@ -0,0 +1,127 @@
+// WCAG 2.x contrast math: https://www.w3.org/TR/WCAG22/#dfn-contrast-ratio
+
+const THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+// Parses the rgb()/rgba() strings getComputedStyle returns; anything else is treated as unknown
+const parseColor = (value) => {
+  const match = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+  if (match[4] && match[4].endsWith('%')) {
+    alpha /= 100;
+  }
+
+  return { r: parseFloat(match[1]), g: parseFloat(match[2]), b: parseFloat(match[3]), a: Math.min(Math.max(alpha, 0), 1) };
+};
+
+// Source-over compositing of a (possibly translucent) color on an opaque backdrop
+const blend = (top, backdrop) => ({
+  r: top.r * top.a + backdrop.r * (1 - top.a),
+  g: top.g * top.a + backdrop.g * (1 - top.a),
+  b: top.b * top.a + backdrop.b * (1 - top.a),
+  a: 1
+});
+
+// Stacks background layers from the element outwards; the page canvas behind them is white
+const resolveBackground = (layers) => {
+  let background = { r: 255, g: 255, b: 255, a: 1 };
+  for (let index = layers.length - 1; index >= 0; index--) {
+    const layer = typeof layers[index] === 'string' ? parseColor(layers[index]) : layers[index];
+    if (layer && layer.a > 0) {
+      background = blend(layer, background);
+    }
+  }
+  return background;
+};
+
+const relativeLuminance = ({ r, g, b }) => {
+  const channel = (value) => {
+    const srgb = value / 255;
+    return srgb <= 0.03928 ? srgb / 12.92 : Math.pow((srgb + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+};
+
+const contrastRatio = (foreground, background) => {
+  const lighter = Math.max(relativeLuminance(foreground), relativeLuminance(background));
+  const darker = Math.min(relativeLuminance(foreground), relativeLuminance(background));
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Large text is at least 18pt (24px), or 14pt (18.66px) when bold
+const isLargeText = (fontSizePx, fontWeight) => {
+  const weight = fontWeight === 'bold' || fontWeight === 'bolder' ? 700 : parseInt(fontWeight, 10) || 400;
+  return fontSizePx >= 24 || (fontSizePx >= 18.66 && weight >= 700);
+};
+
+const requiredRatio = (largeText, level = 'AA') => THRESHOLDS[level][largeText ? 'large' : 'normal'];
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+
+// Evaluates one text sample ({ color, backgrounds, fontSize, fontWeight }) against both conformance levels
+const evaluateContrast = (sample) => {
+  const foregroundColor = parseColor(sample.color);
+  if (!foregroundColor) {
+    return null;
+  }
+
+  const background = resolveBackground(sample.backgrounds || []);
+  const foreground = foregroundColor.a < 1 ? blend(foregroundColor, background) : foregroundColor;
+  const largeText = isLargeText(parseFloat(sample.fontSize) || 16, sample.fontWeight);
+  // WCAG compares the exact ratio, so 4.499:1 fails AA even though it displays as 4.5:1
+  const ratio = contrastRatio(foreground, background);
+
+  return {
+    foreground: toHex(foreground),
+    background: toHex(background),
+    ratio: Math.round(ratio * 100) / 100,
+    largeText,
+    required: { AA: requiredRatio(largeText, 'AA'), AAA: requiredRatio(largeText, 'AAA') },
+    passes: { AA: ratio >= requiredRatio(largeText, 'AA'), AAA: ratio >= requiredRatio(largeText, 'AAA') }
+  };
+};
+
+const fromHex = (hex) => ({
+  r: parseInt(hex.slice(1, 3), 16),
+  g: parseInt(hex.slice(3, 5), 16),
+  b: parseInt(hex.slice(5, 7), 16),
+  a: 1
+});
+
+// Closest text color to the original that reaches the required ratio, found by mixing it towards black or white
+const suggestForeground = (foregroundHex, backgroundHex, required) => {
+  const foreground = fromHex(foregroundHex);
+  const background = fromHex(backgroundHex);
+  const target = relativeLuminance(background) > 0.18 ? { r: 0, g: 0, b: 0 } : { r: 255, g: 255, b: 255 };
+
+  for (let step = 1; step <= 20; step++) {
+    const amount = step / 20;
+    const candidate = {
+      r: foreground.r + (target.r - foreground.r) * amount,
+      g: foreground.g + (target.g - foreground.g) * amount,
+      b: foreground.b + (target.b - foreground.b) * amount
+    };
+    if (contrastRatio(candidate, background) >= required) {
+      return toHex(candidate);
+    }
+  }
+  return toHex(target);
+};
+
+module.exports = {
+  parseColor,
+  blend,
+  resolveBackground,
+  relativeLuminance,
+  contrastRatio,
+  isLargeText,
+  requiredRatio,
+  evaluateContrast,
+  suggestForeground
+};
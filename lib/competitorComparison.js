@@ -0,0 +1,192 @@
+const { mapLimit } = require('./concurrency');
+
+// Measurable values compared between sites, and which direction is better
+const COMPARED_METRICS = [
+  {
+    id: 'structured-data',
+    label: 'Valid structured data items',
+    better: 'higher',
+    read: results => results.seo && results.seo.structuredData && !results.seo.structuredData.error ? results.seo.structuredData.valid : undefined
+  },
+  {
+    id: 'alt-text-coverage',
+    label: 'Image alt text coverage (%)',
+    better: 'higher',
+    read: results => results.seo && results.seo.images && !results.seo.images.error ? results.seo.images.altTextCoverage : undefined
+  },
+  {
+    id: 'lcp',
+    label: 'Largest Contentful Paint (ms)',
+    better: 'lower',
+    read: results => results.performance && results.performance.coreWebVitals ? results.performance.coreWebVitals.lcp : undefined
+  },
+  {
+    id: 'cls',
+    label: 'Cumulative Layout Shift',
+    better: 'lower',
+    read: results => results.performance && results.performance.coreWebVitals ? results.performance.coreWebVitals.cls : undefined
+  },
+  {
+    id: 'fid',
+    label: 'First Input Delay (ms)',
+    better: 'lower',
+    read: results => results.performance && results.performance.coreWebVitals ? results.performance.coreWebVitals.fid : undefined
+  },
+  {
+    id: 'page-weight',
+    label: 'Page weight (bytes)',
+    better: 'lower',
+    read: results => results.performance && results.performance.resources ? results.performance.resources.transferSize : undefined
+  },
+  {
+    id: 'requests',
+    label: 'Requests',
+    better: 'lower',
+    read: results => results.performance && results.performance.resources ? results.performance.resources.requests : undefined
+  }
+];
+
+class CompetitorComparison {
+  constructor(auditor, options = {}) {
+    this.auditor = auditor;
+    this.history = options.history || null;
+    this.concurrency = options.concurrency || 2;
+  }
+
+  async compare(primaryUrl, competitorUrls, options = {}) {
+    const urls = [primaryUrl].concat(competitorUrls);
+
+    const sites = await mapLimit(urls, this.concurrency, async (url, index) => {
+      const role = index === 0 ? 'primary' : 'competitor';
+      try {
+        let results = await this.auditor.auditWebsite(url, options);
+        if (this.history) {
+          results = await this.history.record(results);
+        }
+        return { url, role, results };
+      } catch (error) {
+        console.error(`Comparison audit failed for ${url}:`, error.message);
+        return { url, role, error: error.message };
+      }
+    });
+
+    const primary = sites[0];
+    if (primary.error) {
+      throw new Error(`Unable to audit ${primaryUrl}: ${primary.error}`);
+    }
+
+    const audited = sites.filter(site => !site.error);
+    const categories = this.getCategories(primary.results);
+
+    return {
+      timestamp: new Date().toISOString(),
+      primary: primary.results,
+      sites: sites.map(site => ({
+        url: site.url,
+        role: site.role,
+        ...(site.error && { error: site.error }),
+        ...(site.results && { id: site.results.id, overallScore: site.results.overallScore })
+      })),
+      categories,
+      matrix: this.buildMatrix(audited, categories),
+      losses: this.findLosses(primary, audited.filter(site => site.role === 'competitor'))
+    };
+  }
+
+  getCategories(results) {
+    return Object.keys(results).filter(key => {
+      const section = results[key];
+      return section && typeof section === 'object' && typeof section.score === 'number';
+    });
+  }
+
+  rank(values) {
+    // Ties share a rank, e.g. scores 90, 90, 80 rank 1, 1, 3
+    return values.map(value => 1 + values.filter(other => other > value).length);
+  }
+
+  buildMatrix(sites, categories) {
+    const matrix = {};
+
+    categories.concat('overall').forEach(category => {
+      const scores = sites.map(site => category === 'overall'
+        ? site.results.overallScore
+        : (site.results[category] ? site.results[category].score : 0));
+      const ranks = this.rank(scores);
+
+      matrix[category] = sites.map((site, index) => ({
+        url: site.url,
+        role: site.role,
+        score: scores[index],
+        rank: ranks[index]
+      }));
+    });
+
+    return matrix;
+  }
+
+  findLosses(primary, competitors) {
+    const losses = [];
+
+    // Checks the primary site fails that at least one competitor passes. Only a breakdown entry marked
+    // passed counts: a skipped check or an errored category means the competitor was never tested
+    const primaryIssues = this.collectIssues(primary.results);
+    primaryIssues.forEach(issue => {
+      const passing = competitors.filter(competitor => {
+        const section = competitor.results[issue.category];
+        return Boolean(section && !section.error && (section.breakdown || [])
+          .some(entry => entry.id === issue.id && entry.status === 'passed'));
+      });
+      if (passing.length > 0) {
+        losses.push({
+          id: issue.id,
+          type: 'issue',
+          category: issue.category,
+          severity: issue.severity,
+          message: issue.message,
+          competitors: passing.map(competitor => competitor.url)
+        });
+      }
+    });
+
+    // Metrics where a competitor is measurably ahead
+    COMPARED_METRICS.forEach(metric => {
+      const primaryValue = metric.read(primary.results);
+      if (primaryValue === undefined) {
+        return;
+      }
+
+      const ahead = competitors
+        .map(competitor => ({ url: competitor.url, value: metric.read(competitor.results) }))
+        .filter(({ value }) => value !== undefined &&
+          (metric.better === 'higher' ? value > primaryValue : value < primaryValue));
+
+      if (ahead.length > 0) {
+        losses.push({
+          id: `metric.${metric.id}`,
+          type: 'metric',
+          label: metric.label,
+          better: metric.better,
+          primaryValue,
+          competitors: ahead
+        });
+      }
+    });
+
+    return losses;
+  }
+
+  collectIssues(results) {
+    const issues = new Map();
+    this.getCategories(results).forEach(category => {
+      (results[category].issues || []).forEach(issue => {
+        if (issue.id) {
+          issues.set(issue.id, { ...issue, category });
+        }
+      });
+    });
+    return issues;
+  }
+}
+
+module.exports = CompetitorComparison;
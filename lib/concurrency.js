@@ -0,0 +1,17 @@
+// Runs an async iterator over items with at most `limit` calls in flight, preserving result order
+const mapLimit = async (items, limit, iterator) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await iterator(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+};
+
+module.exports = { mapLimit };
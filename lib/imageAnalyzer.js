@@ -0,0 +1,245 @@
+const ResourceAnalyzer = require('./resourceAnalyzer');
+const { mapLimit } = require('./concurrency');
+const { MOBILE_DEVICE } = require('./mobileLayout');
+const { getSelector } = require('./pageSignals');
+
+// Without a browser there is no fold, so the first few images in the HTML are taken to be on the first screen
+const ABOVE_FOLD_IMAGES = 3;
+
+// An image may have twice the pixels of the box it's drawn in, for high-density screens
+const DISPLAY_DENSITY = 2;
+
+// Device pixels across the phone the mobile audit emulates, the most an image needs there
+const MOBILE_IMAGE_WIDTH = Math.round(MOBILE_DEVICE.viewport.width * MOBILE_DEVICE.viewport.deviceScaleFactor);
+
+// Rough share of the file WebP saves at comparable quality, from Google's WebP compression studies
+const FORMAT_SAVINGS = { jpeg: 0.3, png: 0.26, gif: 0.5, bmp: 0.9 };
+const MODERN_TYPES = /^image\/(webp|avif)$/i;
+
+// Lighthouse ignores savings below these sizes, since they don't change load time
+const MIN_RESIZE_SAVINGS = 4096;
+const MIN_FORMAT_SAVINGS = 8192;
+const MIN_OFFSCREEN_SAVINGS = 2048;
+
+// Displayed proportions more than 5% off the file's are visibly stretched
+const MAX_ASPECT_DIFFERENCE = 0.05;
+
+const parsePixels = (value) => /^\s*\d+(\.\d+)?(px)?\s*$/i.test(value || '') ? Math.round(parseFloat(value)) : null;
+
+const resolveImageUrl = (value, pageUrl) => {
+  try {
+    const url = new URL(value, pageUrl);
+    url.hash = '';
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Runs in the page: every image with the box it's drawn in and the file the browser picked for it
+const collectImages = (maxImages) => {
+  const selectorFor = (element) => {
+    const parts = [];
+    let current = element;
+    while (current && parts.length < 4) {
+      const tag = current.tagName.toLowerCase();
+      if (current.id) {
+        parts.unshift(`${tag}#${current.id}`);
+        break;
+      }
+      const siblings = current.parentElement ? Array.from(current.parentElement.children).filter(sibling => sibling.tagName === current.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      if (tag === 'body') {
+        break;
+      }
+      current = current.parentElement;
+    }
+    return parts.join(' > ');
+  };
+  const pixels = value => /^\s*\d+(\.\d+)?(px)?\s*$/i.test(value || '') ? Math.round(parseFloat(value)) : null;
+
+  return Array.from(document.images).slice(0, maxImages).map(image => {
+    const rect = image.getBoundingClientRect();
+    const style = window.getComputedStyle(image);
+    const visible = rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    const width = pixels(image.getAttribute('width'));
+    const height = pixels(image.getAttribute('height'));
+    return {
+      // Lazy images that haven't loaded yet have no currentSrc
+      url: image.currentSrc || image.src,
+      selector: selectorFor(image),
+      alt: image.getAttribute('alt'),
+      loading: (image.getAttribute('loading') || '').toLowerCase() || null,
+      srcset: image.getAttribute('srcset'),
+      sizes: image.getAttribute('sizes'),
+      declared: width && height ? { width, height } : null,
+      missingDimensions: !image.hasAttribute('width') || !image.hasAttribute('height'),
+      rendered: visible ? { width: Math.round(rect.width), height: Math.round(rect.height) } : null,
+      aboveFold: visible && rect.top + window.scrollY < window.innerHeight,
+      // Any other object-fit crops or letterboxes the image instead of stretching it
+      stretched: style.objectFit === 'fill'
+    };
+  });
+};
+
+class ImageAnalyzer {
+  constructor(options = {}) {
+    this.maxImages = options.maxImages || 100;
+    this.concurrency = options.concurrency || 6;
+    this.resourceAnalyzer = new ResourceAnalyzer(options);
+  }
+
+  // Images in the HTML as the server sent it, sized by their width and height attributes
+  findImages($, pageUrl) {
+    const images = [];
+    $('img').each((i, element) => {
+      const $element = $(element);
+      if ($element.parents('noscript').length > 0) {
+        return;
+      }
+
+      const srcset = $element.attr('srcset') || null;
+      const src = ($element.attr('src') || '').trim() || (srcset ? srcset.trim().split(/\s+/)[0].replace(/,$/, '') : '');
+      const url = src && resolveImageUrl(src, pageUrl);
+      if (!url) {
+        return;
+      }
+
+      const width = parsePixels($element.attr('width'));
+      const height = parsePixels($element.attr('height'));
+      const sources = $element.parent().is('picture') ? $element.siblings('source').toArray() : [];
+      images.push({
+        url,
+        selector: getSelector($, element) || 'img',
+        alt: $element.attr('alt') !== undefined ? $element.attr('alt') : null,
+        loading: ($element.attr('loading') || '').toLowerCase() || null,
+        srcset,
+        sizes: $element.attr('sizes') || null,
+        declared: width && height ? { width, height } : null,
+        missingDimensions: $element.attr('width') === undefined || $element.attr('height') === undefined,
+        rendered: null,
+        aboveFold: images.length < ABOVE_FOLD_IMAGES,
+        // A <picture> offering WebP or AVIF serves that to every current browser instead of the <img> file
+        modernSource: sources.some(source => MODERN_TYPES.test($(source).attr('type') || ''))
+      });
+    });
+    return images;
+  }
+
+  // Images as the browser laid them out in a loaded page
+  async measureImages(page) {
+    const images = await page.evaluate(collectImages, this.maxImages);
+    return images.filter(image => /^https?:/.test(image.url)).map(image => ({ ...image, url: resolveImageUrl(image.url, page.url()) }));
+  }
+
+  // Savings for one image, in bytes, from each fix that applies to it
+  describe(image, resource, estimated) {
+    const loaded = Boolean(resource) && resource.status >= 200 && resource.status < 300;
+    const info = loaded ? resource.image : null;
+    const bytes = loaded ? resource.transferSize : 0;
+    const format = info ? info.format : null;
+    const intrinsic = info && info.width && info.height ? { width: info.width, height: info.height } : null;
+    const displayed = image.rendered || image.declared;
+    const savings = { resize: 0, format: 0, mobile: 0, offscreen: 0 };
+    let kept = 1;
+
+    // Without a browser it's unknown which srcset candidate gets picked, so only single-file images are sized
+    if (intrinsic && displayed && format !== 'svg' && !(estimated && image.srcset)) {
+      const ratio = Math.min(1, (displayed.width * DISPLAY_DENSITY * displayed.height * DISPLAY_DENSITY) / (intrinsic.width * intrinsic.height));
+      if (bytes * (1 - ratio) >= MIN_RESIZE_SAVINGS) {
+        savings.resize = Math.round(bytes * (1 - ratio));
+        kept = ratio;
+      }
+    }
+    // Counted on what's left after resizing, so the two savings add up
+    if (FORMAT_SAVINGS[format] && !image.modernSource && bytes * kept * FORMAT_SAVINGS[format] >= MIN_FORMAT_SAVINGS) {
+      savings.format = Math.round(bytes * kept * FORMAT_SAVINGS[format]);
+    }
+    // A large image without a srcset is sent whole to phones too
+    if (intrinsic && format !== 'svg' && !image.srcset && intrinsic.width > MOBILE_IMAGE_WIDTH &&
+      (!displayed || displayed.width * DISPLAY_DENSITY > MOBILE_IMAGE_WIDTH)) {
+      const mobile = bytes * (1 - Math.pow(MOBILE_IMAGE_WIDTH / intrinsic.width, 2));
+      savings.mobile = mobile >= MIN_RESIZE_SAVINGS ? Math.round(mobile) : 0;
+    }
+    if (loaded && !image.aboveFold && image.loading !== 'lazy' && bytes >= MIN_OFFSCREEN_SAVINGS) {
+      savings.offscreen = bytes;
+    }
+
+    // Stretched when drawn at other proportions than the file's; CSS may still fix this up in a static read
+    const shown = image.rendered ? (image.stretched ? image.rendered : null) : image.declared;
+    const distorted = Boolean(intrinsic && shown && format !== 'svg') &&
+      Math.abs((shown.width / shown.height) / (intrinsic.width / intrinsic.height) - 1) > MAX_ASPECT_DIFFERENCE;
+
+    return {
+      ...image,
+      status: resource ? resource.status : null,
+      ...(resource && resource.error && { error: resource.error }),
+      contentType: loaded ? resource.contentType : null,
+      format,
+      transferSize: bytes,
+      intrinsic,
+      distorted,
+      savings,
+      savingsBytes: savings.resize + savings.format
+    };
+  }
+
+  // `options.fetched` reuses files another analyzer already downloaded; `options.estimated` marks
+  // images read from static HTML, whose displayed size and position are guesses
+  async analyze(candidates, pageUrl, options = {}) {
+    const images = candidates.slice(0, this.maxImages);
+    const downloads = new Map((options.fetched || []).filter(resource => resource.type === 'image' && 'image' in resource)
+      .map(resource => [resource.url, resource]));
+    const missing = Array.from(new Set(images.map(image => image.url))).filter(url => !downloads.has(url));
+    const fetched = await mapLimit(missing, this.concurrency,
+      url => this.resourceAnalyzer.fetchResource({ url, type: 'image', renderBlocking: false }, pageUrl));
+    fetched.forEach(resource => downloads.set(resource.url, resource));
+
+    const items = images.map(image => this.describe(image, downloads.get(image.url), options.estimated));
+
+    // The hero is the biggest image on the first screen, usually the Largest Contentful Paint. Without a
+    // browser an image with no width and height attributes is assumed to be shown at the file's size
+    const area = (item) => {
+      const size = item.rendered || item.declared || (options.estimated && item.intrinsic);
+      return size ? size.width * size.height : 0;
+    };
+    const hero = items.filter(item => item.aboveFold && item.transferSize > 0)
+      .sort((a, b) => area(b) - area(a) || b.transferSize - a.transferSize)[0];
+    if (hero) {
+      hero.hero = true;
+    }
+
+    // Totals count each file once however often the page shows it, and it can only be deferred if no copy is on the first screen
+    const byUrl = new Map();
+    items.forEach(item => {
+      const file = byUrl.get(item.url);
+      byUrl.set(item.url, file ? {
+        transferSize: file.transferSize,
+        savingsBytes: Math.max(file.savingsBytes, item.savingsBytes),
+        offscreen: Math.min(file.offscreen, item.savings.offscreen)
+      } : { transferSize: item.transferSize, savingsBytes: item.savingsBytes, offscreen: item.savings.offscreen });
+    });
+    // A file that is downloaded anyway for another copy gains nothing from lazy loading
+    items.forEach(item => {
+      if (byUrl.get(item.url).offscreen === 0) {
+        item.savings.offscreen = 0;
+      }
+    });
+    const files = Array.from(byUrl.values());
+    const sum = key => files.reduce((total, file) => total + file[key], 0);
+
+    return {
+      total: candidates.length,
+      analyzed: items.length,
+      truncated: candidates.length > images.length,
+      estimated: Boolean(options.estimated),
+      transferSize: sum('transferSize'),
+      savingsBytes: sum('savingsBytes'),
+      deferrableBytes: sum('offscreen'),
+      hero: hero ? hero.url : null,
+      items
+    };
+  }
+}
+
+module.exports = ImageAnalyzer;
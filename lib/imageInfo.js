@@ -0,0 +1,94 @@
+// Reads an image's format and pixel dimensions from the first bytes of the file, without decoding it
+
+const isSofMarker = marker => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+// JPEG keeps its dimensions in the start-of-frame segment, after any metadata segments
+const readJpeg = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (isSofMarker(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    // Restart markers and the like carry no length
+    offset += marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9) ? 2 : 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const readWebp = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+// AVIF stores the size in an image spatial extents ('ispe') property box
+const readAvif = (buffer) => {
+  const offset = buffer.indexOf('ispe');
+  return offset === -1 ? null : { width: buffer.readUInt32BE(offset + 8), height: buffer.readUInt32BE(offset + 12) };
+};
+
+// SVGs scale to any size; the width and height attributes or the viewBox give the size they're drawn at by default
+const readSvg = (text) => {
+  const root = (text.match(/<svg\b[^>]*>/i) || [''])[0];
+  const attribute = name => {
+    const match = root.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'));
+    return match ? Math.round(parseFloat(match[1])) : null;
+  };
+  const viewBox = root.match(/\sviewBox\s*=\s*["']\s*[\d.-]+[\s,]+[\d.-]+[\s,]+([\d.]+)[\s,]+([\d.]+)/i);
+  const width = attribute('width') || (viewBox ? Math.round(parseFloat(viewBox[1])) : null);
+  const height = attribute('height') || (viewBox ? Math.round(parseFloat(viewBox[2])) : null);
+  return width && height ? { width, height } : null;
+};
+
+const getImageInfo = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  try {
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+      return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      return { format: 'jpeg', ...(readJpeg(buffer) || { width: null, height: null }) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+      return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      return { format: 'webp', ...(readWebp(buffer) || { width: null, height: null }) };
+    }
+    if (buffer.toString('ascii', 4, 8) === 'ftyp' && ['avif', 'avis'].includes(buffer.toString('ascii', 8, 12))) {
+      return { format: 'avif', ...(readAvif(buffer) || { width: null, height: null }) };
+    }
+    if (buffer.toString('ascii', 0, 2) === 'BM') {
+      return { format: 'bmp', width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+    }
+    const text = buffer.toString('utf8', 0, Math.min(buffer.length, 4096));
+    if (/<svg\b/i.test(text)) {
+      return { format: 'svg', ...(readSvg(text) || { width: null, height: null }) };
+    }
+  } catch (error) {
+    // A truncated header reads past the end of the buffer
+  }
+  return null;
+};
+
+module.exports = { getImageInfo };
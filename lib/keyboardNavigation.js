@@ -0,0 +1,309 @@
+// Drives a loaded page with the keyboard the way a keyboard-only user would, for the keyboard accessibility checks
+
+// Where the in-page helpers keep their state between evaluate calls
+const STATE_KEY = '__websiteAuditorKeyboard';
+
+const MAX_TAB_STOPS = 150;
+const MAX_CLICK_CANDIDATES = 200;
+// A skip link only helps when it is one of the first few things focus lands on
+const SKIP_LINK_STOPS = 3;
+const CLICK_EVENTS = ['click', 'mousedown', 'mouseup', 'pointerdown', 'pointerup'];
+
+// Styles a focus indicator usually changes
+const FOCUS_STYLE_PROPERTIES = [
+  'outline-style',
+  'outline-width',
+  'outline-color',
+  'outline-offset',
+  'box-shadow',
+  'border-top-color',
+  'border-right-color',
+  'border-bottom-color',
+  'border-left-color',
+  'border-bottom-width',
+  'background-color',
+  'color',
+  'text-decoration-line'
+];
+
+// Runs in the page: remembers the unfocused styles of every tabbable element and the elements that look
+// clickable but can't be tabbed to
+const preparePage = (key, properties, limit) => {
+  const NATIVE_FOCUSABLE = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, summary, audio[controls], video[controls], [contenteditable]:not([contenteditable="false"])';
+
+  const isTabbable = (element) => {
+    const tabindex = parseInt(element.getAttribute('tabindex'), 10);
+    return isNaN(tabindex) ? element.matches(NATIVE_FOCUSABLE) && !element.disabled : tabindex >= 0;
+  };
+
+  const selectorFor = (element) => {
+    const parts = [];
+    let current = element;
+    while (current && parts.length < 4) {
+      const tag = current.tagName.toLowerCase();
+      if (current.id) {
+        parts.unshift(`${tag}#${current.id}`);
+        break;
+      }
+      const siblings = current.parentElement ? Array.from(current.parentElement.children).filter(sibling => sibling.tagName === current.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      if (tag === 'body') {
+        break;
+      }
+      current = current.parentElement;
+    }
+    return parts.join(' > ');
+  };
+
+  const elements = Array.from(document.body.querySelectorAll('*'));
+  const styles = new WeakMap();
+  elements.filter(isTabbable).forEach(element => {
+    const style = window.getComputedStyle(element);
+    styles.set(element, properties.map(property => style.getPropertyValue(property)));
+  });
+
+  // Clicks inside a tabbable element or a label end up on something keyboard users can reach
+  const insideControl = (element) => {
+    for (let current = element.parentElement; current; current = current.parentElement) {
+      if (current.tagName === 'LABEL' || isTabbable(current)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const clickCandidates = elements.filter(element => {
+    if (isTabbable(element) || element.tagName === 'LABEL' || insideControl(element)) {
+      return false;
+    }
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 &&
+      (element.hasAttribute('onclick') || window.getComputedStyle(element).cursor === 'pointer');
+  }).slice(0, limit);
+
+  window[key] = { styles, ids: new WeakMap(), nextId: 1, selectorFor, clickCandidates, url: window.location.href };
+};
+
+// Runs in the page: puts focus back at the top of the document and undoes the URL change from following a skip link
+const resetFocus = (key) => {
+  if (document.activeElement && document.activeElement !== document.body) {
+    document.activeElement.blur();
+  }
+
+  // Focusing a temporary element at the top and removing it moves the sequential focus starting point there
+  const marker = document.createElement('span');
+  marker.tabIndex = -1;
+  document.body.prepend(marker);
+  marker.focus();
+  marker.remove();
+  window.scrollTo(0, 0);
+
+  if (window.location.href !== window[key].url) {
+    window.history.replaceState(window.history.state, '', window[key].url);
+  }
+};
+
+// Runs in the page: the element that has focus after a key press, or null when focus is back on the document
+const describeFocus = (key, properties) => {
+  const state = window[key];
+  const element = document.activeElement;
+  if (!element || element === document.body || element === document.documentElement) {
+    return null;
+  }
+  if (!state.ids.has(element)) {
+    state.ids.set(element, state.nextId++);
+  }
+
+  const style = window.getComputedStyle(element);
+  const rect = element.getBoundingClientRect();
+  let opacity = 1;
+  for (let current = element; current; current = current.parentElement) {
+    opacity *= parseFloat(window.getComputedStyle(current).opacity);
+  }
+  // Skip links are usually moved into view on focus, so visibility is judged while the element has focus
+  const onPage = rect.right + window.scrollX > 0 && rect.bottom + window.scrollY > 0;
+  const visible = rect.width * rect.height > 1 && onPage && opacity > 0 && style.visibility !== 'hidden';
+
+  // Any change between the unfocused and focused styles counts as an indicator, but an outline only when it is drawn
+  const before = state.styles.get(element);
+  let indicator = null;
+  if (before && element.tagName !== 'IFRAME') {
+    const outlineDrawn = style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0;
+    indicator = properties
+      .filter((property, index) => style.getPropertyValue(property) !== before[index])
+      .some(property => !property.startsWith('outline') || outlineDrawn);
+  }
+
+  // The main landmark, or the first H1 on pages without one, is where the content starts
+  const main = document.querySelector('main, [role="main"]');
+  const contentStart = main || document.querySelector('h1');
+  const beforeContent = Boolean(contentStart && !contentStart.contains(element) &&
+    (contentStart.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_PRECEDING));
+
+  const stop = {
+    id: state.ids.get(element),
+    selector: state.selectorFor(element),
+    tag: element.tagName.toLowerCase(),
+    text: (element.innerText || element.getAttribute('aria-label') || element.value || '').replace(/\s+/g, ' ').trim().slice(0, 60),
+    frame: element.tagName === 'IFRAME' || element.tagName === 'FRAME',
+    visible,
+    indicator,
+    beforeContent
+  };
+
+  const href = element.tagName === 'A' ? element.getAttribute('href') || '' : '';
+  if (/^#./.test(href)) {
+    let id = href.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch (error) {
+      // Look the fragment up as written
+    }
+    const target = document.getElementById(id) || document.getElementsByName(id)[0] || null;
+    stop.href = href;
+    stop.target = target ? state.selectorFor(target) : null;
+    stop.targetsMain = Boolean(target && main && (target === main || target.contains(main) || main.contains(target)));
+  }
+
+  return stop;
+};
+
+// Runs in the page: whether focus has moved to or past the element the link points at
+const focusFollowsTarget = (href) => {
+  let id = href.slice(1);
+  try {
+    id = decodeURIComponent(id);
+  } catch (error) {
+    // Look the fragment up as written
+  }
+  const target = document.getElementById(id) || document.getElementsByName(id)[0];
+  const active = document.activeElement;
+  if (!target || !active || active === document.body) {
+    return false;
+  }
+  return target === active || target.contains(active) ||
+    Boolean(target.compareDocumentPosition(active) & Node.DOCUMENT_POSITION_FOLLOWING);
+};
+
+// Tabs through the page until focus leaves the document, wraps round, or keeps circling the same elements
+const walkFocusOrder = async (page) => {
+  const stops = [];
+  const positions = new Map();
+  let trap = null;
+  let complete = false;
+
+  for (let press = 0; press < MAX_TAB_STOPS; press++) {
+    await page.keyboard.press('Tab');
+    const stop = await page.evaluate(describeFocus, STATE_KEY, FOCUS_STYLE_PROPERTIES);
+
+    if (!stop || (stops.length > 0 && stop.id === stops[0].id)) {
+      complete = true;
+      break;
+    }
+
+    // Tabbing through a frame's contents keeps focus on the frame element in this document
+    const previous = stops[stops.length - 1];
+    if (previous && previous.id === stop.id && stop.frame) {
+      continue;
+    }
+
+    if (positions.has(stop.id)) {
+      trap = stops.slice(positions.get(stop.id));
+      break;
+    }
+    positions.set(stop.id, stops.length);
+    stops.push(stop);
+  }
+
+  // Escape is a standard way out, so a dialog that closes on Escape is not a trap
+  if (trap) {
+    await page.keyboard.press('Escape');
+    await page.keyboard.press('Tab');
+    const escaped = await page.evaluate(describeFocus, STATE_KEY, FOCUS_STYLE_PROPERTIES);
+    if (!escaped || !trap.some(stop => stop.id === escaped.id)) {
+      trap = null;
+    }
+  }
+
+  return { stops, trap, complete };
+};
+
+// Follows the skip link with Enter and checks that the next Tab continues from its target
+const testSkipLink = async (page, stops) => {
+  const index = stops.slice(0, SKIP_LINK_STOPS).findIndex(stop => stop.href &&
+    (/skip|jump|main|content/i.test(stop.text) || stop.targetsMain));
+  if (index === -1) {
+    return null;
+  }
+
+  const link = stops[index];
+  let works = false;
+  if (link.target) {
+    await page.evaluate(resetFocus, STATE_KEY);
+    for (let press = 0; press <= index; press++) {
+      await page.keyboard.press('Tab');
+    }
+    await page.keyboard.press('Enter');
+    await page.keyboard.press('Tab');
+    works = await page.evaluate(focusFollowsTarget, link.href);
+  }
+
+  return { selector: link.selector, href: link.href, target: link.target, works };
+};
+
+// Click listeners are only visible through the DevTools protocol. Listeners delegated to an ancestor
+// (as most frameworks do) can't be attributed to an element, so only listeners on the element itself count
+const findClickOnlyElements = async (page) => {
+  const client = await page.createCDPSession();
+  try {
+    const { result } = await client.send('Runtime.evaluate', { expression: `window.${STATE_KEY}.clickCandidates` });
+    const { result: properties } = await client.send('Runtime.getProperties', { objectId: result.objectId, ownProperties: true });
+    const selectors = await page.evaluate(key => window[key].clickCandidates.map(element => window[key].selectorFor(element)), STATE_KEY);
+
+    const clickOnly = [];
+    for (const property of properties) {
+      if (!/^\d+$/.test(property.name) || !property.value || !property.value.objectId) {
+        continue;
+      }
+      const { listeners } = await client.send('DOMDebugger.getEventListeners', { objectId: property.value.objectId });
+      if (listeners.some(listener => CLICK_EVENTS.includes(listener.type))) {
+        clickOnly.push(selectors[property.name]);
+      }
+    }
+    return clickOnly;
+  } finally {
+    await client.detach();
+  }
+};
+
+// Focus order, traps, invisible focus, missing focus indicators, click-only elements and the skip link of a loaded page
+const auditKeyboard = async (page) => {
+  await page.evaluate(preparePage, STATE_KEY, FOCUS_STYLE_PROPERTIES, MAX_CLICK_CANDIDATES);
+
+  try {
+    const clickOnly = await findClickOnlyElements(page);
+
+    await page.evaluate(resetFocus, STATE_KEY);
+    const { stops, trap, complete } = await walkFocusOrder(page);
+    const skipLink = trap ? null : await testSkipLink(page, stops);
+
+    return {
+      focusOrder: stops.map(({ selector, tag, text, visible, indicator }) => ({ selector, tag, text, visible, indicator })),
+      complete,
+      trap: trap ? trap.map(stop => stop.selector) : null,
+      hidden: stops.filter(stop => !stop.visible).map(stop => stop.selector),
+      noIndicator: stops.filter(stop => stop.visible && stop.indicator === false).map(stop => stop.selector),
+      clickOnly,
+      skipLink,
+      stopsBeforeContent: stops.filter(stop => stop.beforeContent).length
+    };
+  } finally {
+    // Leave the page as the other checks expect it
+    await page.evaluate(resetFocus, STATE_KEY);
+    await page.evaluate((key) => {
+      delete window[key];
+    }, STATE_KEY);
+  }
+};
+
+module.exports = { auditKeyboard };
@@ -0,0 +1,257 @@
+// Lighthouse scores the crawl-related audits as part of SEO; they feed our crawlability category instead
+const CRAWLABILITY_AUDITS = ['http-status-code', 'is-crawlable', 'robots-txt', 'canonical', 'hreflang', 'crawlable-anchors'];
+
+// Likewise the audits in Lighthouse's "Mobile Friendly" SEO group feed our mobile category
+const MOBILE_AUDITS = ['viewport', 'font-size', 'tap-targets'];
+
+// Lighthouse doesn't look at security headers; its best practices "Trust and Safety" group is the closest match
+const SECURITY_GROUP = 'best-practices-trust-safety';
+
+// Lighthouse weighs every SEO audit equally, so these are singled out as the ones that keep a page out of search
+const CRITICAL_SEO_AUDITS = ['http-status-code', 'is-crawlable', 'robots-txt', 'document-title'];
+
+// Audits that don't produce a pass/fail result
+const UNSCORED_MODES = ['notApplicable', 'manual', 'informative', 'error'];
+
+// Lighthouse treats anything below 0.9 as not passing
+const PASSING_SCORE = 0.9;
+
+const TYPES = { high: 'error', medium: 'warning', low: 'info' };
+
+// Most affected elements kept per issue
+const MAX_ELEMENTS = 20;
+
+const toScore = (category) => (category && typeof category.score === 'number' ? Math.round(category.score * 100) : 0);
+
+const isScored = (audit) => !UNSCORED_MODES.includes(audit.scoreDisplayMode) && typeof audit.score === 'number';
+
+const isFailing = (audit) => isScored(audit) && audit.score < PASSING_SCORE;
+
+const getSavings = (audit) => {
+  const details = audit.details || {};
+  return {
+    savingsMs: Math.round(details.overallSavingsMs || (audit.metricSavings && audit.metricSavings.LCP) || 0),
+    savingsBytes: Math.round(details.overallSavingsBytes || 0)
+  };
+};
+
+// Selectors, URLs or snippets from the audit's detail table
+const getElements = (audit) => {
+  const items = (audit.details && audit.details.items) || [];
+  const elements = items.map(item => {
+    if (item.node) {
+      return item.node.selector || item.node.snippet;
+    }
+    if (item.source && item.source.url) {
+      return item.source.url;
+    }
+    return item.url || null;
+  }).filter(element => typeof element === 'string' && element);
+
+  return Array.from(new Set(elements)).slice(0, MAX_ELEMENTS);
+};
+
+const getSeverity = (category, audit, weight) => {
+  if (category === 'mobile') {
+    return audit.id === 'viewport' ? 'high' : 'medium';
+  }
+  if (category === 'security') {
+    return audit.id === 'is-on-https' ? 'high' : 'medium';
+  }
+  if (category === 'seo' || category === 'crawlability') {
+    return CRITICAL_SEO_AUDITS.includes(audit.id) ? 'high' : 'medium';
+  }
+
+  // Accessibility weights follow axe impact: 10 critical, 7 serious, 3 moderate
+  if (weight >= 7) return 'high';
+  if (weight >= 3) return 'medium';
+  if (weight > 0) return 'low';
+
+  // Unweighted performance audits are ranked by how much time they could save
+  const { savingsMs } = getSavings(audit);
+  if (savingsMs >= 1000) return 'high';
+  if (savingsMs >= 300) return 'medium';
+  return 'low';
+};
+
+const toIssue = (category, audit, weight) => {
+  const severity = getSeverity(category, audit, weight);
+  const issue = {
+    id: `${category}.lighthouse.${audit.id}`,
+    type: TYPES[severity],
+    severity,
+    message: audit.displayValue ? `${audit.title} (${audit.displayValue})` : audit.title,
+    description: audit.description,
+    elements: getElements(audit)
+  };
+
+  const { savingsMs, savingsBytes } = getSavings(audit);
+  if (savingsMs > 0) issue.savingsMs = savingsMs;
+  if (savingsBytes > 0) issue.savingsBytes = savingsBytes;
+
+  return issue;
+};
+
+const getAuditRefs = (lhr, categoryId) => {
+  const category = lhr.categories[categoryId];
+  return category ? category.auditRefs.map(ref => ({ ...ref, audit: lhr.audits[ref.id] })).filter(ref => ref.audit) : [];
+};
+
+// Points each scored audit costs, matching how Lighthouse averages audit scores by weight
+const getBreakdown = (category, refs) => {
+  const scored = refs.filter(ref => isScored(ref.audit));
+  const totalWeight = scored.reduce((total, ref) => total + ref.weight, 0);
+
+  return scored.map(ref => ({
+    id: `${category}.lighthouse.${ref.id}`,
+    status: isFailing(ref.audit) ? 'failed' : 'passed',
+    penalty: totalWeight > 0 ? Math.round(ref.weight / totalWeight * (1 - ref.audit.score) * 1000) / 10 : 0
+  }));
+};
+
+const numericValue = (lhr, id) => {
+  const audit = lhr.audits[id];
+  return audit && typeof audit.numericValue === 'number' ? Math.round(audit.numericValue * 1000) / 1000 : null;
+};
+
+const mapPerformance = (lhr) => {
+  const refs = getAuditRefs(lhr, 'performance');
+  const opportunities = [];
+  const diagnostics = [];
+  const issues = [];
+
+  refs.forEach(ref => {
+    const { audit } = ref;
+    if (ref.group === 'metrics') {
+      return;
+    }
+
+    if (audit.details && audit.details.type === 'opportunity') {
+      if (isFailing(audit)) {
+        opportunities.push({ id: audit.id, title: audit.title, displayValue: audit.displayValue || '', ...getSavings(audit) });
+        issues.push(toIssue('performance', audit, ref.weight));
+      }
+      return;
+    }
+
+    if (isFailing(audit) || (audit.scoreDisplayMode === 'informative' && ref.group === 'diagnostics' && audit.displayValue)) {
+      diagnostics.push({ id: audit.id, title: audit.title, displayValue: audit.displayValue || '' });
+    }
+    if (isFailing(audit)) {
+      issues.push(toIssue('performance', audit, ref.weight));
+    }
+  });
+
+  opportunities.sort((a, b) => b.savingsMs - a.savingsMs);
+
+  return {
+    coreWebVitals: {
+      lcp: numericValue(lhr, 'largest-contentful-paint'),
+      // Lighthouse has no real input to time, so it reports the worst delay the main thread could cause instead of FID
+      maxPotentialFid: numericValue(lhr, 'max-potential-fid'),
+      cls: numericValue(lhr, 'cumulative-layout-shift'),
+      fcp: numericValue(lhr, 'first-contentful-paint'),
+      tbt: numericValue(lhr, 'total-blocking-time'),
+      si: numericValue(lhr, 'speed-index')
+    },
+    metrics: {
+      firstContentfulPaint: numericValue(lhr, 'first-contentful-paint'),
+      largestContentfulPaint: numericValue(lhr, 'largest-contentful-paint'),
+      totalBlockingTime: numericValue(lhr, 'total-blocking-time'),
+      speedIndex: numericValue(lhr, 'speed-index'),
+      timeToInteractive: numericValue(lhr, 'interactive'),
+      serverResponseTime: numericValue(lhr, 'server-response-time')
+    },
+    opportunities,
+    diagnostics,
+    issues,
+    breakdown: getBreakdown('performance', refs),
+    score: toScore(lhr.categories.performance)
+  };
+};
+
+const mapAccessibility = (lhr) => {
+  const refs = getAuditRefs(lhr, 'accessibility');
+
+  return {
+    issues: refs.filter(ref => isFailing(ref.audit)).map(ref => toIssue('accessibility', ref.audit, ref.weight)),
+    breakdown: getBreakdown('accessibility', refs),
+    score: toScore(lhr.categories.accessibility),
+    passedAudits: refs.filter(ref => isScored(ref.audit) && ref.audit.score >= PASSING_SCORE).length,
+    manualChecks: refs.filter(ref => ref.audit.scoreDisplayMode === 'manual').length
+  };
+};
+
+// Scores a subset of a category's audits among themselves, the way Lighthouse averages its category scores
+const scoreAmong = (breakdown) => (breakdown.length > 0
+  ? Math.round(100 - breakdown.reduce((total, entry) => total + entry.penalty, 0))
+  : 100);
+
+const mapSEO = (lhr) => {
+  const refs = getAuditRefs(lhr, 'seo');
+  const seoRefs = refs.filter(ref => !CRAWLABILITY_AUDITS.includes(ref.id) && !MOBILE_AUDITS.includes(ref.id));
+  const breakdown = getBreakdown('seo', seoRefs);
+
+  return {
+    issues: seoRefs.filter(ref => isFailing(ref.audit)).map(ref => toIssue('seo', ref.audit, ref.weight)),
+    breakdown,
+    score: scoreAmong(breakdown)
+  };
+};
+
+const mapCrawlability = (lhr) => {
+  const refs = getAuditRefs(lhr, 'seo').filter(ref => CRAWLABILITY_AUDITS.includes(ref.id));
+  const breakdown = getBreakdown('crawlability', refs);
+  const score = scoreAmong(breakdown);
+
+  return {
+    issues: refs.filter(ref => isFailing(ref.audit)).map(ref => toIssue('crawlability', ref.audit, ref.weight)),
+    breakdown,
+    score,
+    url: lhr.finalDisplayedUrl || lhr.finalUrl
+  };
+};
+
+const mapMobile = (lhr) => {
+  const refs = getAuditRefs(lhr, 'seo').filter(ref => MOBILE_AUDITS.includes(ref.id));
+  const breakdown = getBreakdown('mobile', refs);
+
+  return {
+    issues: refs.filter(ref => isFailing(ref.audit)).map(ref => toIssue('mobile', ref.audit, ref.weight)),
+    breakdown,
+    score: scoreAmong(breakdown),
+    device: lhr.configSettings && lhr.configSettings.formFactor
+  };
+};
+
+const mapSecurity = (lhr) => {
+  const refs = getAuditRefs(lhr, 'best-practices').filter(ref => ref.group === SECURITY_GROUP);
+  const breakdown = getBreakdown('security', refs);
+  const https = lhr.audits['is-on-https'];
+
+  return {
+    issues: refs.filter(ref => isFailing(ref.audit)).map(ref => toIssue('security', ref.audit, ref.weight)),
+    breakdown,
+    score: scoreAmong(breakdown),
+    https: Boolean(https && https.score === 1)
+  };
+};
+
+// Maps a Lighthouse result (LHR) onto the result shape the other engines produce
+const mapLighthouseResult = (lhr) => ({
+  performance: mapPerformance(lhr),
+  seo: mapSEO(lhr),
+  accessibility: mapAccessibility(lhr),
+  crawlability: mapCrawlability(lhr),
+  mobile: mapMobile(lhr),
+  security: mapSecurity(lhr),
+  lighthouse: {
+    version: lhr.lighthouseVersion,
+    fetchTime: lhr.fetchTime,
+    finalUrl: lhr.finalDisplayedUrl || lhr.finalUrl,
+    categories: Object.keys(lhr.categories).reduce((scores, id) => ({ ...scores, [id]: toScore(lhr.categories[id]) }), {}),
+    runWarnings: lhr.runWarnings || []
+  }
+});
+
+module.exports = { mapLighthouseResult };
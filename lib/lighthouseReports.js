@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Vercel only allows writes under /tmp
+const DEFAULT_DIR = process.env.VERCEL
+  ? path.join('/tmp', 'lighthouse')
+  : path.join(__dirname, '..', 'data', 'lighthouse');
+
+const REPORT_ID = /^[0-9a-f-]{36}$/;
+
+// Raw Lighthouse results are large, so they live in their own files instead of the audit history
+class LighthouseReports {
+  constructor(options = {}) {
+    this.dirPath = options.dirPath || process.env.LIGHTHOUSE_REPORTS_DIR || DEFAULT_DIR;
+  }
+
+  async save(lhr) {
+    const id = crypto.randomUUID();
+
+    await fs.promises.mkdir(this.dirPath, { recursive: true });
+    await fs.promises.writeFile(this.getPath(id), JSON.stringify(lhr));
+
+    return id;
+  }
+
+  // Returns the file path of a stored report, or null when there is none
+  async find(id) {
+    if (!REPORT_ID.test(id)) {
+      return null;
+    }
+
+    try {
+      await fs.promises.access(this.getPath(id));
+      return this.getPath(id);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getPath(id) {
+    return path.join(this.dirPath, `${id}.json`);
+  }
+}
+
+module.exports = LighthouseReports;
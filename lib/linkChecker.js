@@ -0,0 +1,188 @@
+const axios = require('axios');
+const { mapLimit } = require('./concurrency');
+const { getSelector, getText } = require('./pageSignals');
+
+// Elements whose URLs are checked, and the attribute each one loads from
+const LINK_SOURCES = [
+  { selector: 'a[href]', attribute: 'href', type: 'link' },
+  { selector: 'img[src]', attribute: 'src', type: 'image' },
+  { selector: 'script[src]', attribute: 'src', type: 'script' },
+  { selector: 'link[rel~="stylesheet"][href]', attribute: 'href', type: 'stylesheet' },
+  { selector: 'iframe[src]', attribute: 'src', type: 'iframe' }
+];
+
+// Servers that don't implement HEAD properly answer with these, so the request is repeated as a GET
+const HEAD_UNSUPPORTED = [403, 404, 405, 406, 429, 500, 501, 503];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// Places a URL is used on the page; a link in every page's footer only needs listing a few times
+const MAX_OCCURRENCES = 5;
+
+class LinkChecker {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent;
+    this.timeout = options.timeout || 8000;
+    this.maxLinks = options.maxLinks || 150;
+    this.maxRedirects = options.maxRedirects || 5;
+    // At most `concurrency` hosts are checked at once, with `hostConcurrency` requests to each and a pause
+    // between requests to the same host, so a page full of internal links doesn't hammer its own server
+    this.concurrency = options.concurrency || 6;
+    this.hostConcurrency = options.hostConcurrency || 2;
+    this.hostDelay = options.hostDelay !== undefined ? options.hostDelay : 100;
+  }
+
+  // Every http(s) URL the page links to or loads, with the elements that use it
+  extractLinks($, pageUrl) {
+    const links = new Map();
+
+    LINK_SOURCES.forEach(({ selector, attribute, type }) => {
+      $(selector).each((i, element) => {
+        const value = ($(element).attr(attribute) || '').trim();
+        if (!value || value.startsWith('#')) {
+          return;
+        }
+
+        let url;
+        try {
+          url = new URL(value, pageUrl);
+        } catch (error) {
+          return;
+        }
+        if (!/^https?:$/.test(url.protocol)) {
+          return;
+        }
+        // The fragment is never sent to the server
+        url.hash = '';
+
+        if (!links.has(url.href)) {
+          links.set(url.href, { url: url.href, type, count: 0, occurrences: [] });
+        }
+        const link = links.get(url.href);
+        link.count++;
+        if (link.occurrences.length < MAX_OCCURRENCES) {
+          const $element = $(element);
+          link.occurrences.push({
+            type,
+            element: getSelector($, element) || element.name,
+            text: type === 'link'
+              ? getText($element, 100) || $element.find('img[alt]').attr('alt') || $element.attr('aria-label') || ''
+              : $element.attr('alt') || $element.attr('title') || ''
+          });
+        }
+      });
+    });
+
+    return Array.from(links.values());
+  }
+
+  async check($, pageUrl) {
+    const startedAt = Date.now();
+    const found = this.extractLinks($, pageUrl);
+    const links = found.slice(0, this.maxLinks);
+    const pageIsHttps = pageUrl.startsWith('https:');
+
+    const byHost = new Map();
+    links.forEach(link => {
+      const host = new URL(link.url).host;
+      byHost.set(host, (byHost.get(host) || []).concat(link));
+    });
+
+    const checked = (await mapLimit(Array.from(byHost.values()), this.concurrency, hostLinks =>
+      mapLimit(hostLinks, this.hostConcurrency, async (link) => {
+        const result = await this.checkUrl(link.url);
+        if (this.hostDelay > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.hostDelay));
+        }
+        return {
+          ...link,
+          ...result,
+          insecure: pageIsHttps && link.url.startsWith('http:')
+        };
+      })
+    )).flat();
+
+    // Back in page order, since grouping by host shuffled them
+    const order = new Map(links.map((link, index) => [link.url, index]));
+    checked.sort((a, b) => order.get(a.url) - order.get(b.url));
+
+    return {
+      pageUrl,
+      duration: Date.now() - startedAt,
+      found: found.length,
+      checked: checked.length,
+      truncated: found.length > links.length,
+      ok: checked.filter(link => link.status >= 200 && link.status < 300).length,
+      broken: checked.filter(link => link.status >= 400 || (link.error && !link.timedOut)),
+      timeouts: checked.filter(link => link.timedOut),
+      redirected: checked.filter(link => link.redirects.length > 0),
+      insecure: checked.filter(link => link.insecure)
+    };
+  }
+
+  // Follows redirects one hop at a time so the whole chain can be reported
+  async checkUrl(url) {
+    const redirects = [];
+    let current = url;
+
+    for (let hop = 0; hop <= this.maxRedirects; hop++) {
+      let response;
+      try {
+        response = await this.request(current);
+      } catch (error) {
+        const timedOut = TIMEOUT_CODES.includes(error.code);
+        return {
+          status: null,
+          error: timedOut ? `Timed out after ${this.timeout}ms` : error.code || error.message,
+          ...(timedOut && { timedOut: true }),
+          finalUrl: current,
+          redirects
+        };
+      }
+
+      const location = response.status >= 300 && response.status < 400 ? response.headers.location : null;
+      if (!location) {
+        return { status: response.status, finalUrl: current, redirects };
+      }
+
+      let next;
+      try {
+        next = new URL(location, current).href;
+      } catch (error) {
+        return { status: response.status, error: 'Invalid redirect Location', finalUrl: current, redirects };
+      }
+      redirects.push({ url: current, status: response.status, location: next });
+      current = next;
+    }
+
+    return { status: null, error: `More than ${this.maxRedirects} redirects`, finalUrl: current, redirects };
+  }
+
+  // HEAD first, since it skips the body; GET when the server won't answer HEAD properly
+  async request(url) {
+    const options = {
+      timeout: this.timeout,
+      maxRedirects: 0,
+      headers: this.userAgent ? { 'User-Agent': this.userAgent } : {},
+      validateStatus: () => true
+    };
+
+    try {
+      const response = await axios.head(url, options);
+      if (!HEAD_UNSUPPORTED.includes(response.status)) {
+        return response;
+      }
+    } catch (error) {
+      // A server that is too slow for HEAD won't be faster for GET
+      if (TIMEOUT_CODES.includes(error.code)) {
+        throw error;
+      }
+    }
+
+    const response = await axios.get(url, { ...options, responseType: 'stream' });
+    // Only the status matters, so the body is never downloaded
+    response.data.destroy();
+    return response;
+  }
+}
+
+module.exports = LinkChecker;
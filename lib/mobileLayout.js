@@ -0,0 +1,194 @@
+// Phone emulation and the layout measurements the mobile checks read
+
+// Lighthouse's default mobile device, so the browser and lighthouse engines judge the same screen
+const MOBILE_DEVICE = {
+  name: 'Moto G Power',
+  userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+  viewport: {
+    width: 412,
+    height: 823,
+    deviceScaleFactor: 1.75,
+    isMobile: true,
+    hasTouch: true,
+    isLandscape: false
+  }
+};
+
+const LIMITS = {
+  // WCAG 2.5.8 sets 24px as the minimum target size; Google recommends 48px with nothing else inside that area
+  minTapTarget: 24,
+  comfortableTapTarget: 48,
+  minFontSize: 12,
+  maxTapTargets: 500,
+  maxReported: 20
+};
+
+const MAX_LINKS = 2000;
+
+// Runs in the page: horizontal overflow, tap targets and font sizes as they appear on the emulated screen
+const measureLayout = (limits) => {
+  const selectorFor = (element) => {
+    const parts = [];
+    let current = element;
+    while (current && parts.length < 4) {
+      const tag = current.tagName.toLowerCase();
+      if (current.id) {
+        parts.unshift(`${tag}#${current.id}`);
+        break;
+      }
+      const siblings = current.parentElement ? Array.from(current.parentElement.children).filter(sibling => sibling.tagName === current.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      if (tag === 'body') {
+        break;
+      }
+      current = current.parentElement;
+    }
+    return parts.join(' > ');
+  };
+
+  const isRendered = (element, rect) => {
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  // Without a device-width viewport the page is laid out wider and zoomed out, so sizes shrink on screen by this factor
+  const scale = window.visualViewport ? window.visualViewport.scale : 1;
+  const viewportWidth = window.innerWidth;
+  const documentWidth = document.documentElement.scrollWidth;
+
+  // Elements that stick out past the right edge of the screen. Carousels and tables inside their own
+  // scrolling or clipping container are fine; only the page itself clipping them counts
+  const clipsOverflow = (element) => {
+    for (let current = element.parentElement; current && current !== document.body && current !== document.documentElement; current = current.parentElement) {
+      if (window.getComputedStyle(current).overflowX !== 'visible') {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const overflowing = [];
+  const reported = new Set();
+  Array.from(document.body.querySelectorAll('*')).forEach(element => {
+    const rect = element.getBoundingClientRect();
+    const left = rect.left + window.scrollX;
+    const right = rect.right + window.scrollX;
+    if (right <= viewportWidth + 1 || left >= viewportWidth || !isRendered(element, rect) || clipsOverflow(element)) {
+      return;
+    }
+    // Only the outermost element of each overflowing block is listed
+    for (let current = element.parentElement; current; current = current.parentElement) {
+      if (reported.has(current)) {
+        return;
+      }
+    }
+    reported.add(element);
+    overflowing.push({ selector: selectorFor(element), width: Math.round(rect.width), right: Math.round(right) });
+  });
+
+  // Tap targets, except links inside a sentence, which WCAG exempts from the size requirement
+  const targets = Array.from(document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, summary, [role="button"], [role="link"], [role="checkbox"], [role="tab"], [onclick]'))
+    .map(element => ({ element, rect: element.getBoundingClientRect() }))
+    .filter(({ element, rect }) => isRendered(element, rect))
+    .filter(({ element }) => {
+      const parent = element.parentElement;
+      const inline = window.getComputedStyle(element).display === 'inline';
+      return !(inline && parent && parent.textContent.trim().length > element.textContent.trim().length);
+    })
+    .slice(0, limits.maxTapTargets)
+    .map(({ element, rect }) => ({
+      element,
+      rect,
+      width: Math.round(rect.width * scale),
+      height: Math.round(rect.height * scale)
+    }));
+
+  const small = targets.filter(target => target.width < limits.minTapTarget || target.height < limits.minTapTarget);
+
+  // A target is crowded when another one falls inside the fingertip-sized area centered on it
+  const crowded = [];
+  targets.forEach(target => {
+    if (target.width >= limits.comfortableTapTarget && target.height >= limits.comfortableTapTarget) {
+      return;
+    }
+    const half = limits.comfortableTapTarget / scale / 2;
+    const centerX = target.rect.left + target.rect.width / 2;
+    const centerY = target.rect.top + target.rect.height / 2;
+    const neighbour = targets.find(other => other !== target &&
+      !other.element.contains(target.element) && !target.element.contains(other.element) &&
+      other.rect.left < centerX + half && other.rect.right > centerX - half &&
+      other.rect.top < centerY + half && other.rect.bottom > centerY - half);
+    if (neighbour) {
+      crowded.push(`${selectorFor(target.element)} is too close to ${selectorFor(neighbour.element)}`);
+    }
+  });
+
+  // Share of the visible text, by character, that is rendered at a legible size
+  let totalCharacters = 0;
+  let smallCharacters = 0;
+  const smallText = new Map();
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const element = walker.currentNode.parentElement;
+    const length = walker.currentNode.textContent.trim().length;
+    if (!element || length === 0 || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(element.tagName) || !isRendered(element, element.getBoundingClientRect())) {
+      continue;
+    }
+    const fontSize = parseFloat(window.getComputedStyle(element).fontSize) * scale;
+    totalCharacters += length;
+    if (fontSize < limits.minFontSize) {
+      smallCharacters += length;
+      if (!smallText.has(element) && smallText.size < limits.maxReported) {
+        smallText.set(element, `${selectorFor(element)} (${Math.round(fontSize * 10) / 10}px)`);
+      }
+    }
+  }
+
+  return {
+    viewportWidth,
+    documentWidth,
+    scale: Math.round(scale * 1000) / 1000,
+    overflowing: overflowing.slice(0, limits.maxReported),
+    tapTargets: {
+      total: targets.length,
+      small: small.map(target => `${selectorFor(target.element)} (${target.width}×${target.height}px)`),
+      crowded
+    },
+    text: {
+      totalCharacters,
+      smallCharacters,
+      legiblePercent: totalCharacters > 0 ? Math.round(((totalCharacters - smallCharacters) / totalCharacters) * 100) : 100,
+      small: Array.from(smallText.values())
+    }
+  };
+};
+
+// Runs in the page: the text and links in the document, whether or not they are currently shown
+const summarizeContent = (maxLinks) => {
+  const body = document.body.cloneNode(true);
+  body.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+
+  const links = new Set();
+  document.querySelectorAll('a[href]').forEach(link => {
+    if (/^https?:/.test(link.href) && links.size < maxLinks) {
+      links.add(link.href.split('#')[0]);
+    }
+  });
+
+  return {
+    textLength: body.textContent.replace(/\s+/g, ' ').trim().length,
+    links: Array.from(links),
+    images: document.images.length,
+    headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length
+  };
+};
+
+const getContentSummary = (page) => page.evaluate(summarizeContent, MAX_LINKS);
+
+// Layout measurements and content of a page that was loaded on the emulated phone
+const measureMobilePage = async (page) => ({
+  ...await page.evaluate(measureLayout, LIMITS),
+  content: await getContentSummary(page)
+});
+
+module.exports = { MOBILE_DEVICE, LIMITS, getContentSummary, measureMobilePage };
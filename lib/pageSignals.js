@@ -0,0 +1,114 @@
+// Small readers for signals in a fetched page, shared by the auditors and the checks
+const parseRobotsDirectives = (value) => {
+  const directives = value.split(',').map(directive => directive.trim());
+  return {
+    noindex: directives.includes('noindex') || directives.includes('none'),
+    nofollow: directives.includes('nofollow') || directives.includes('none')
+  };
+};
+
+const getMetaRobots = ($) => $('meta[name="robots"], meta[name="googlebot"]')
+  .map((i, element) => ($(element).attr('content') || '').toLowerCase())
+  .get()
+  .join(',');
+
+const getHeaderRobots = (headers) => [].concat(headers['x-robots-tag'] || []).join(',').toLowerCase();
+
+// Length of the visible body text in the raw HTML
+const getStaticTextLength = ($) => {
+  const body = $('body').clone();
+  body.find('script, style, noscript, template').remove();
+  return body.text().replace(/\s+/g, ' ').trim().length;
+};
+
+// Anchors pointing at the page's own host and at other sites, resolved against the page URL
+const getLinkCounts = ($, pageUrl) => {
+  const hostname = new URL(pageUrl).hostname;
+  let internal = 0;
+  let external = 0;
+
+  $('a[href]').each((i, element) => {
+    const href = ($(element).attr('href') || '').trim();
+    if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) {
+      return;
+    }
+
+    try {
+      if (new URL(href, pageUrl).hostname === hostname) internal++;
+      else external++;
+    } catch (error) {
+      // Ignore hrefs that cannot be resolved to a URL
+    }
+  });
+
+  return { internal, external };
+};
+
+// Short CSS selector for an element, good enough for a person to find it in the page source
+const getSelector = ($, element) => {
+  const parts = [];
+  let current = element;
+
+  while (current && current.type === 'tag' && parts.length < 4) {
+    const $current = $(current);
+    const id = $current.attr('id');
+    if (id) {
+      parts.unshift(`${current.name}#${id}`);
+      break;
+    }
+
+    let part = current.name;
+    const siblings = $current.parent().children(current.name);
+    if (siblings.length > 1) {
+      part += `:nth-of-type(${siblings.index(current) + 1})`;
+    }
+    parts.unshift(part);
+
+    if (current.name === 'body' || current.name === 'head') {
+      break;
+    }
+    current = current.parent;
+  }
+
+  return parts.join(' > ');
+};
+
+// Visible text of an element with whitespace collapsed, cut at a word boundary
+const getText = ($element, maxLength = 160) => {
+  const text = $element.text().replace(/\s+/g, ' ').trim();
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength).trim();
+};
+
+// Content of the viewport meta tag; browsers use the last one when there are several
+const getViewport = ($) => {
+  const meta = $('meta[name="viewport"]').last();
+  return meta.length > 0 ? meta.attr('content') || '' : null;
+};
+
+// Splits "width=device-width, initial-scale=1" into { width: 'device-width', 'initial-scale': '1' }
+const parseViewport = (content) => {
+  const properties = {};
+  String(content || '').split(/[,;]/).forEach(pair => {
+    const [key, value = ''] = pair.split('=').map(part => part.trim().toLowerCase());
+    if (key) {
+      properties[key] = value;
+    }
+  });
+  return properties;
+};
+
+module.exports = {
+  parseRobotsDirectives,
+  getMetaRobots,
+  getHeaderRobots,
+  getStaticTextLength,
+  getLinkCounts,
+  getSelector,
+  getText,
+  getViewport,
+  parseViewport
+};
@@ -0,0 +1,120 @@
+const IMPACT = { high: 3, medium: 2, low: 1 };
+const EFFORT = { low: 1, medium: 2, high: 3 };
+
+// Most affected elements listed on a single item
+const MAX_ELEMENTS = 20;
+
+// Advice for a weak category that has no failing checks to point at, such as the browser engine's performance metrics
+const CATEGORY_ADVICE = {
+  performance: {
+    title: 'Improve Core Web Vitals - focus on LCP, FID, and CLS',
+    details: 'Consider optimizing images, reducing JavaScript execution time, and minimizing layout shifts'
+  },
+  seo: {
+    title: 'Review on-page SEO',
+    details: 'Check titles, meta descriptions, headings and internal links across the page'
+  },
+  accessibility: {
+    title: 'Improve accessibility compliance',
+    details: 'Focus on alt text for images, proper heading structure, and form labels'
+  },
+  crawlability: {
+    title: 'Improve page crawlability',
+    details: 'Ensure content is accessible without JavaScript and add proper meta tags'
+  },
+  mobile: {
+    title: 'Improve the mobile experience',
+    details: 'Use a responsive viewport, keep content within the screen width, and size text and tap targets for phones'
+  },
+  security: {
+    title: 'Harden the site\'s security headers',
+    details: 'Serve everything over HTTPS with HSTS, add a Content Security Policy and set Secure, HttpOnly and SameSite on cookies'
+  }
+};
+
+class RecommendationEngine {
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  generate(results) {
+    const items = [];
+
+    this.getCategories(results).forEach(category => {
+      const section = results[category];
+      const byCheck = new Map();
+
+      // One item per failing check, even when the check reported several findings
+      (section.issues || []).forEach(issue => {
+        const key = issue.id || issue.message;
+        if (!byCheck.has(key)) {
+          byCheck.set(key, []);
+        }
+        byCheck.get(key).push(issue);
+      });
+
+      byCheck.forEach(issues => items.push(this.buildItem(category, section, issues)));
+
+      if (byCheck.size === 0 && section.score < 70 && CATEGORY_ADVICE[category]) {
+        items.push({
+          id: `${category}.low-score`,
+          category,
+          title: CATEGORY_ADVICE[category].title,
+          message: `${category} scored ${section.score}/100`,
+          details: CATEGORY_ADVICE[category].details,
+          severity: 'medium',
+          impact: 'high',
+          effort: 'medium',
+          elements: [],
+          fix: null,
+          penalty: 100 - section.score
+        });
+      }
+    });
+
+    return items
+      .map(item => ({ ...item, priorityScore: IMPACT[item.impact] / EFFORT[item.effort] }))
+      .sort((a, b) => b.priorityScore - a.priorityScore ||
+        b.penalty - a.penalty ||
+        IMPACT[b.severity] - IMPACT[a.severity])
+      .map(({ priorityScore, ...item }, index) => ({
+        step: index + 1,
+        priority: priorityScore >= 2 ? 'high' : priorityScore >= 1 ? 'medium' : 'low',
+        ...item
+      }));
+  }
+
+  buildItem(category, section, issues) {
+    const [first] = issues;
+    const check = first.id ? this.registry.get(first.id) : null;
+    const recommendation = (check && check.recommendation) || {};
+    const entry = (section.breakdown || []).find(item => item.id === first.id);
+
+    const elements = Array.from(new Set([].concat(...issues.map(issue => issue.elements || []))));
+    const example = issues.map(issue => issue.example).find(Boolean) || recommendation.example || null;
+
+    return {
+      id: first.id || `${category}.issue`,
+      category,
+      title: recommendation.title || first.message,
+      message: issues.map(issue => issue.message).join('; '),
+      details: recommendation.details || (check && check.description) || first.description || '',
+      severity: first.severity || 'medium',
+      impact: recommendation.impact || first.severity || 'medium',
+      effort: recommendation.effort || 'medium',
+      elements: elements.slice(0, MAX_ELEMENTS),
+      ...(elements.length > MAX_ELEMENTS && { totalElements: elements.length }),
+      fix: example,
+      penalty: entry ? entry.penalty : 0
+    };
+  }
+
+  getCategories(results) {
+    return Object.keys(results).filter(key => {
+      const section = results[key];
+      return section && typeof section === 'object' && typeof section.score === 'number';
+    });
+  }
+}
+
+module.exports = RecommendationEngine;
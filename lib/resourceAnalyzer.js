@@ -0,0 +1,236 @@
+const axios = require('axios');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { mapLimit } = require('./concurrency');
+const { getImageInfo } = require('./imageInfo');
+
+const RESOURCE_TYPES = ['document', 'stylesheet', 'script', 'image', 'font', 'other'];
+
+const COMPRESSIBLE_TYPES = /^(text\/|application\/(javascript|x-javascript|ecmascript|json|ld\+json|manifest\+json|xml|xhtml\+xml|wasm)|image\/svg\+xml|font\/(ttf|otf)|application\/vnd\.ms-fontobject)/i;
+
+// Lighthouse ignores compression savings below 1.4KB or 10% of the file, since they don't change load time
+const MIN_COMPRESSION_SAVINGS = 1400;
+const MIN_COMPRESSION_RATIO = 0.1;
+
+// <link rel="preload" as="..."> values and the resource type they fetch
+const PRELOAD_TYPES = { style: 'stylesheet', script: 'script', image: 'image', font: 'font' };
+
+const FONT_FACE = /@font-face\s*{[^}]*}/gi;
+const CSS_URL = /url\(\s*(['"]?)([^'")]+)\1\s*\)/i;
+
+// Asynchronous so that large bodies are (de)compressed off the event loop, without holding up other requests
+const gzip = promisify(zlib.gzip);
+const decoders = {
+  gzip: promisify(zlib.gunzip),
+  'x-gzip': promisify(zlib.gunzip),
+  deflate: promisify(zlib.inflate),
+  br: promisify(zlib.brotliDecompress)
+};
+
+// Seconds a browser may reuse the response without asking the server again; null when the headers don't say
+const getCacheTtl = (headers) => {
+  const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+  if (/(^|,)\s*(no-store|no-cache)\b/.test(cacheControl)) {
+    return 0;
+  }
+  const maxAge = cacheControl.match(/(?:^|,)\s*max-age\s*=\s*"?(\d+)/);
+  if (maxAge) {
+    return parseInt(maxAge[1], 10);
+  }
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = Date.parse(headers.date) || Date.now();
+    return isNaN(expires) ? 0 : Math.max(0, Math.round((expires - date) / 1000));
+  }
+  return null;
+};
+
+// Different origin from the page, ignoring a www. prefix, e.g. fonts.googleapis.com on example.com
+const isThirdParty = (url, pageUrl) => {
+  const host = (value) => new URL(value).hostname.replace(/^www\./, '');
+  return host(url) !== host(pageUrl);
+};
+
+class ResourceAnalyzer {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent;
+    this.timeout = options.timeout || 10000;
+    this.maxResources = options.maxResources || 100;
+    this.concurrency = options.concurrency || 6;
+    this.maxBytes = options.maxBytes || 20 * 1024 * 1024;
+  }
+
+  // Subresources the HTML asks for before any JavaScript runs, and whether they hold up the first render
+  findResources($, pageUrl) {
+    const resources = new Map();
+    const add = (value, type, renderBlocking = false) => {
+      const href = (value || '').trim();
+      let url;
+      try {
+        url = new URL(href, pageUrl);
+      } catch (error) {
+        return;
+      }
+      if (!href || !/^https?:$/.test(url.protocol)) {
+        return;
+      }
+      url.hash = '';
+      const existing = resources.get(url.href);
+      if (existing) {
+        existing.renderBlocking = existing.renderBlocking || renderBlocking;
+        return;
+      }
+      resources.set(url.href, { url: url.href, type, renderBlocking });
+    };
+
+    // Stylesheets block rendering unless their media query rules them out; scripts in <head> block
+    // parsing unless they are async, deferred or modules (which are deferred by default)
+    $('link[rel~="stylesheet"][href]').each((i, element) => {
+      const media = ($(element).attr('media') || 'all').trim().toLowerCase();
+      add($(element).attr('href'), 'stylesheet', !$(element).is('[disabled]') && ['all', 'screen', ''].includes(media));
+    });
+    $('script[src]').each((i, element) => {
+      const $element = $(element);
+      const deferred = $element.is('[async], [defer]') || ($element.attr('type') || '').toLowerCase() === 'module';
+      add($element.attr('src'), 'script', !deferred && $element.parents('head').length > 0);
+    });
+    $('link[rel~="preload"][href][as]').each((i, element) => {
+      add($(element).attr('href'), PRELOAD_TYPES[($(element).attr('as') || '').toLowerCase()] || 'other');
+    });
+    $('img[src]').each((i, element) => add($(element).attr('src'), 'image'));
+    $('link[rel~="icon"][href]').each((i, element) => add($(element).attr('href'), 'image'));
+    $('video[poster]').each((i, element) => add($(element).attr('poster'), 'image'));
+
+    return Array.from(resources.values());
+  }
+
+  // Fonts declared in @font-face rules, in the first format the rule lists
+  findFonts(css, cssUrl) {
+    const fonts = [];
+    (css.match(FONT_FACE) || []).forEach(rule => {
+      const match = CSS_URL.exec(rule);
+      if (match && !match[2].startsWith('data:')) {
+        try {
+          fonts.push(new URL(match[2], cssUrl).href);
+        } catch (error) {
+          // Ignore URLs that cannot be resolved
+        }
+      }
+    });
+    return fonts;
+  }
+
+  // Fetches the resource as a browser would, without decoding it, so the bytes on the wire can be counted
+  async fetchResource(resource, pageUrl) {
+    const record = { ...resource, thirdParty: isThirdParty(resource.url, pageUrl) };
+
+    try {
+      const response = await axios.get(resource.url, {
+        timeout: this.timeout,
+        maxRedirects: 5,
+        responseType: 'arraybuffer',
+        decompress: false,
+        maxContentLength: this.maxBytes,
+        headers: {
+          'Accept-Encoding': 'gzip, deflate, br',
+          ...(this.userAgent && { 'User-Agent': this.userAgent })
+        },
+        validateStatus: () => true
+      });
+
+      const body = Buffer.from(response.data);
+      const headers = response.headers;
+      const encoding = String(headers['content-encoding'] || '').toLowerCase() || null;
+      let decoded = body;
+      if (encoding && decoders[encoding]) {
+        try {
+          // Capped like the download, so a small compression bomb can't fill memory
+          decoded = await decoders[encoding](body, { maxOutputLength: this.maxBytes });
+        } catch (error) {
+          // A body that doesn't decode, or decodes to more than maxBytes, is counted as it arrived
+        }
+      }
+
+      const contentType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const compressible = COMPRESSIBLE_TYPES.test(contentType);
+      let compressionSavings = 0;
+      if (compressible && !encoding && body.length > MIN_COMPRESSION_SAVINGS) {
+        const savings = body.length - (await gzip(body)).length;
+        if (savings >= MIN_COMPRESSION_SAVINGS && savings / body.length >= MIN_COMPRESSION_RATIO) {
+          compressionSavings = savings;
+        }
+      }
+
+      return {
+        ...record,
+        status: response.status,
+        contentType,
+        transferSize: body.length,
+        resourceSize: decoded.length,
+        encoding,
+        compressible,
+        compressionSavings,
+        cacheControl: headers['cache-control'] || null,
+        expires: headers.expires || null,
+        etag: headers.etag || null,
+        lastModified: headers['last-modified'] || null,
+        cacheTtl: getCacheTtl(headers),
+        ...(resource.type === 'image' && { image: getImageInfo(decoded) }),
+        ...(resource.type === 'stylesheet' && contentType === 'text/css' && { fonts: this.findFonts(decoded.toString('utf8'), resource.url) })
+      };
+    } catch (error) {
+      return { ...record, status: null, transferSize: 0, resourceSize: 0, error: error.code || error.message };
+    }
+  }
+
+  async analyze($, pageUrl) {
+    const found = this.findResources($, pageUrl);
+    const resources = found.slice(0, this.maxResources);
+    const fetched = await mapLimit([{ url: pageUrl, type: 'document', renderBlocking: false }].concat(resources), this.concurrency,
+      resource => this.fetchResource(resource, pageUrl));
+
+    // Fonts only show up once the stylesheets that declare them have been read, in <style> or a fetched file
+    const known = new Set(fetched.map(resource => resource.url));
+    const fontUrls = new Set(this.findFonts($('style').text(), pageUrl));
+    fetched.forEach(resource => (resource.fonts || []).forEach(url => fontUrls.add(url)));
+    const fonts = Array.from(fontUrls).filter(url => !known.has(url))
+      .slice(0, Math.max(0, this.maxResources - resources.length))
+      .map(url => ({ url, type: 'font', renderBlocking: false }));
+    fetched.push(...await mapLimit(fonts, this.concurrency, resource => this.fetchResource(resource, pageUrl)));
+    fetched.forEach(resource => delete resource.fonts);
+
+    const byType = RESOURCE_TYPES.reduce((summary, type) => {
+      const ofType = fetched.filter(resource => resource.type === type);
+      return {
+        ...summary,
+        [type]: {
+          requests: ofType.length,
+          transferSize: ofType.reduce((total, resource) => total + resource.transferSize, 0),
+          resourceSize: ofType.reduce((total, resource) => total + resource.resourceSize, 0)
+        }
+      };
+    }, {});
+
+    // Origins the page already warms up with resource hints
+    const hintedOrigins = (rel) => $(`link[rel~="${rel}"][href]`).map((i, element) => {
+      try {
+        return new URL($(element).attr('href'), pageUrl).origin;
+      } catch (error) {
+        return null;
+      }
+    }).get().filter(Boolean);
+
+    return {
+      requests: 1 + found.length + fonts.length,
+      fetched: fetched.length,
+      truncated: found.length > resources.length,
+      transferSize: fetched.reduce((total, resource) => total + resource.transferSize, 0),
+      byType,
+      preconnect: Array.from(new Set(hintedOrigins('preconnect'))),
+      dnsPrefetch: Array.from(new Set(hintedOrigins('dns-prefetch'))),
+      items: fetched
+    };
+  }
+}
+
+module.exports = ResourceAnalyzer;
@@ -0,0 +1,261 @@
+const axios = require('axios');
+
+// Crawlers we report on for every audited URL
+const REPORTED_AGENTS = ['googlebot', 'bingbot', '*'];
+
+const KNOWN_DIRECTIVES = ['user-agent', 'allow', 'disallow', 'crawl-delay', 'sitemap', 'host', 'noindex', 'clean-param'];
+
+class RobotsTxt {
+  constructor(content = '', options = {}) {
+    this.content = content;
+    this.url = options.url || null;
+    this.statusCode = options.statusCode || null;
+    // found | not-found | server-error | unreachable
+    this.status = options.status || 'found';
+    this.fetchError = options.fetchError || null;
+    this.groups = [];
+    this.sitemaps = [];
+    this.errors = [];
+    this.warnings = [];
+
+    if (this.status === 'found') {
+      this.parse(content);
+    }
+  }
+
+  static async fetch(siteUrl, options = {}) {
+    const robotsUrl = new URL('/robots.txt', siteUrl).href;
+
+    try {
+      const response = await axios.get(robotsUrl, {
+        timeout: options.timeout || 10000,
+        maxRedirects: 5,
+        responseType: 'text',
+        headers: options.userAgent ? { 'User-Agent': options.userAgent } : {},
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        const content = typeof response.data === 'string' ? response.data : String(response.data || '');
+        return new RobotsTxt(content, { url: robotsUrl, statusCode: response.status });
+      }
+
+      // 4xx means there are no restrictions, 5xx means crawlers must assume everything is blocked.
+      // Google treats 429 Too Many Requests like a server error rather than a missing file
+      return new RobotsTxt('', {
+        url: robotsUrl,
+        statusCode: response.status,
+        status: response.status >= 500 || response.status === 429 ? 'server-error' : 'not-found'
+      });
+    } catch (error) {
+      return new RobotsTxt('', {
+        url: robotsUrl,
+        status: 'unreachable',
+        fetchError: error.code || error.message
+      });
+    }
+  }
+
+  parse(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    let currentGroup = null;
+    let lastWasAgent = false;
+
+    lines.forEach((rawLine, index) => {
+      const lineNumber = index + 1;
+      const line = rawLine.replace(/#.*$/, '').trim();
+
+      if (!line) {
+        return;
+      }
+
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        this.errors.push({ line: lineNumber, message: `Missing ":" separator in "${line}"` });
+        return;
+      }
+
+      const directive = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      switch (directive) {
+        case 'user-agent':
+          if (!value) {
+            this.errors.push({ line: lineNumber, message: 'Empty User-agent value' });
+            return;
+          }
+          // Consecutive User-agent lines share a single group
+          if (!currentGroup || !lastWasAgent) {
+            currentGroup = { agents: [], rules: [], crawlDelay: null };
+            this.groups.push(currentGroup);
+          }
+          currentGroup.agents.push(value.toLowerCase());
+          lastWasAgent = true;
+          return;
+
+        case 'allow':
+        case 'disallow':
+          lastWasAgent = false;
+          if (!currentGroup) {
+            this.errors.push({ line: lineNumber, message: `${directive} rule appears before any User-agent line` });
+            return;
+          }
+          // An empty Disallow means "allow everything" and adds no rule
+          if (!value) {
+            return;
+          }
+          if (!value.startsWith('/') && !value.startsWith('*')) {
+            this.warnings.push({ line: lineNumber, message: `Path "${value}" should start with "/"` });
+          }
+          currentGroup.rules.push({
+            allow: directive === 'allow',
+            path: value,
+            pattern: this.compilePattern(value),
+            line: lineNumber
+          });
+          return;
+
+        case 'crawl-delay': {
+          lastWasAgent = false;
+          const delay = Number(value);
+          if (!currentGroup) {
+            this.errors.push({ line: lineNumber, message: 'Crawl-delay appears before any User-agent line' });
+          } else if (!value || Number.isNaN(delay) || delay < 0) {
+            this.errors.push({ line: lineNumber, message: `Invalid Crawl-delay value "${value}"` });
+          } else {
+            currentGroup.crawlDelay = delay;
+          }
+          return;
+        }
+
+        case 'sitemap':
+          // Sitemap lines are global and don't end a User-agent group
+          try {
+            const sitemapUrl = new URL(value);
+            if (!/^https?:$/.test(sitemapUrl.protocol)) {
+              throw new Error('Unsupported protocol');
+            }
+            this.sitemaps.push(sitemapUrl.href);
+          } catch (error) {
+            this.errors.push({ line: lineNumber, message: `Sitemap must be an absolute URL, got "${value}"` });
+          }
+          return;
+
+        default:
+          lastWasAgent = false;
+          if (!KNOWN_DIRECTIVES.includes(directive)) {
+            this.warnings.push({ line: lineNumber, message: `Unknown directive "${directive}"` });
+          }
+      }
+    });
+  }
+
+  compilePattern(path) {
+    // "*" matches any sequence of characters and a trailing "$" anchors the end of the URL
+    const anchored = path.endsWith('$');
+    const body = anchored ? path.slice(0, -1) : path;
+    const source = body
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+  }
+
+  getGroupsFor(userAgent) {
+    const agent = (userAgent || '*').toLowerCase();
+    let bestLength = -1;
+    let matches = [];
+
+    // The most specific product token wins, e.g. "googlebot-news" over "googlebot"
+    this.groups.forEach(group => {
+      group.agents.forEach(groupAgent => {
+        if (groupAgent === '*' || !agent.startsWith(groupAgent)) {
+          return;
+        }
+        if (groupAgent.length > bestLength) {
+          bestLength = groupAgent.length;
+          matches = [group];
+        } else if (groupAgent.length === bestLength && !matches.includes(group)) {
+          matches.push(group);
+        }
+      });
+    });
+
+    if (matches.length > 0) {
+      return matches;
+    }
+
+    return this.groups.filter(group => group.agents.includes('*'));
+  }
+
+  getMatchingRule(url, userAgent) {
+    const parsed = new URL(url);
+    const path = `${parsed.pathname}${parsed.search}`;
+    let bestRule = null;
+
+    this.getGroupsFor(userAgent).forEach(group => {
+      group.rules.forEach(rule => {
+        if (!rule.pattern.test(path)) {
+          return;
+        }
+        // Longest match wins; on a tie the least restrictive rule (Allow) wins
+        if (!bestRule ||
+          rule.path.length > bestRule.path.length ||
+          (rule.path.length === bestRule.path.length && rule.allow && !bestRule.allow)) {
+          bestRule = rule;
+        }
+      });
+    });
+
+    return bestRule;
+  }
+
+  isAllowed(url, userAgent = '*') {
+    if (this.status === 'not-found') {
+      return true;
+    }
+    if (this.status === 'server-error' || this.status === 'unreachable') {
+      return false;
+    }
+    if (new URL(url).pathname === '/robots.txt') {
+      return true;
+    }
+
+    const rule = this.getMatchingRule(url, userAgent);
+    return !rule || rule.allow;
+  }
+
+  getCrawlDelay(userAgent = '*') {
+    const group = this.getGroupsFor(userAgent).find(candidate => candidate.crawlDelay !== null);
+    return group ? group.crawlDelay : null;
+  }
+
+  report(pageUrl) {
+    const access = {};
+    REPORTED_AGENTS.forEach(agent => {
+      const rule = this.status === 'found' ? this.getMatchingRule(pageUrl, agent) : null;
+      access[agent] = {
+        allowed: this.isAllowed(pageUrl, agent),
+        matchedRule: rule ? `${rule.allow ? 'Allow' : 'Disallow'}: ${rule.path} (line ${rule.line})` : null,
+        crawlDelay: this.getCrawlDelay(agent)
+      };
+    });
+
+    return {
+      url: this.url,
+      status: this.status,
+      statusCode: this.statusCode,
+      found: this.status === 'found',
+      ...(this.fetchError && { error: `Unable to fetch robots.txt: ${this.fetchError}` }),
+      groups: this.groups.length,
+      sitemaps: this.sitemaps,
+      errors: this.errors,
+      warnings: this.warnings,
+      access,
+      blocked: REPORTED_AGENTS.some(agent => !access[agent].allowed)
+    };
+  }
+}
+
+module.exports = RobotsTxt;
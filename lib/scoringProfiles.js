@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'scoring-profiles.json');
+
+// Built-in profiles. Category weights are relative, penalties replace a check's weight and
+// thresholds are the minimum score to pass, with `overall` used for any category not listed
+const BUILT_IN_PROFILES = {
+  default: {
+    description: 'Balanced weighting for general websites',
+    weights: { performance: 0.2, seo: 0.25, accessibility: 0.15, crawlability: 0.15, mobile: 0.15, security: 0.1 },
+    penalties: {},
+    thresholds: { overall: 70 }
+  },
+  ecommerce: {
+    description: 'Online stores, where speed, product markup and product images drive sales and checkout has to be trusted',
+    weights: { performance: 0.25, seo: 0.2, accessibility: 0.1, crawlability: 0.15, mobile: 0.15, security: 0.15 },
+    penalties: {
+      'seo.missing-structured-data': 15,
+      'seo.image-alt': 20
+    },
+    thresholds: { overall: 75, performance: 80 }
+  },
+  'local-business': {
+    description: 'Brochure sites for local businesses, found mostly through mobile search',
+    weights: { performance: 0.15, seo: 0.3, accessibility: 0.15, crawlability: 0.1, mobile: 0.2, security: 0.1 },
+    penalties: {
+      'seo.missing-meta-description': 20,
+      'mobile.viewport': 40
+    },
+    thresholds: { overall: 70, seo: 75 }
+  },
+  news: {
+    description: 'News sites and blogs, where new articles need to be discovered and indexed quickly',
+    weights: { performance: 0.2, seo: 0.25, accessibility: 0.1, crawlability: 0.25, mobile: 0.1, security: 0.1 },
+    penalties: {
+      'seo.missing-sitemap': 15,
+      'seo.page-not-in-sitemap': 8,
+      'crawlability.javascript-only': 40
+    },
+    thresholds: { overall: 75, crawlability: 80 }
+  }
+};
+
+class ScoringProfiles {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SCORING_PROFILES_FILE || DEFAULT_FILE;
+    this.profiles = new Map();
+
+    Object.keys(BUILT_IN_PROFILES).forEach(name => {
+      this.profiles.set(name, { name, builtIn: true, ...BUILT_IN_PROFILES[name] });
+    });
+
+    this.loadFile();
+  }
+
+  loadFile() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      // The config file is optional unless one was asked for explicitly
+      if (error.code !== 'ENOENT' || this.filePath !== DEFAULT_FILE) {
+        console.error(`Unable to read scoring profiles from ${this.filePath}:`, error.message);
+      }
+      return;
+    }
+
+    let definitions;
+    try {
+      definitions = JSON.parse(content);
+    } catch (error) {
+      console.error(`Scoring profiles file ${this.filePath} is not valid JSON:`, error.message);
+      return;
+    }
+
+    // A broken profile is skipped so the rest of the file still loads
+    Object.keys(definitions).forEach(name => {
+      try {
+        this.profiles.set(name, this.buildProfile(name, definitions[name]));
+        console.log(`Loaded scoring profile ${name}`);
+      } catch (error) {
+        console.error(`Skipping scoring profile ${name}:`, error.message);
+      }
+    });
+  }
+
+  buildProfile(name, definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Profile must be an object');
+    }
+
+    const baseName = definition.extends || 'default';
+    const base = this.profiles.get(baseName);
+    if (!base) {
+      throw new Error(`Unknown base profile ${baseName}`);
+    }
+
+    const readNumbers = (field) => {
+      const values = definition[field] || {};
+      Object.keys(values).forEach(key => {
+        if (typeof values[key] !== 'number' || values[key] < 0) {
+          throw new Error(`${field}.${key} must be a non-negative number`);
+        }
+      });
+      return values;
+    };
+
+    const weights = { ...base.weights, ...readNumbers('weights') };
+    if (!Object.values(weights).some(weight => weight > 0)) {
+      throw new Error('At least one category needs a weight above 0');
+    }
+
+    return {
+      name,
+      builtIn: false,
+      description: definition.description || `Custom profile based on ${baseName}`,
+      weights,
+      penalties: { ...base.penalties, ...readNumbers('penalties') },
+      thresholds: { ...base.thresholds, ...readNumbers('thresholds') }
+    };
+  }
+
+  get(name) {
+    return this.profiles.get(name || 'default') || null;
+  }
+
+  list() {
+    return Array.from(this.profiles.values());
+  }
+}
+
+module.exports = ScoringProfiles;
@@ -0,0 +1,145 @@
+// Parsers for the security-related response headers and the HTML equivalents some of them have
+
+// Browsers' rules for turning header values into policies differ per header, so each reader below
+// follows the spec of the header it reads. Header names are lowercase in both axios and Puppeteer
+
+// Headers listed in the security report, whether or not a check looks at them
+const SECURITY_HEADERS = [
+  'strict-transport-security',
+  'content-security-policy',
+  'content-security-policy-report-only',
+  'x-frame-options',
+  'x-content-type-options',
+  'referrer-policy',
+  'permissions-policy',
+  'cross-origin-opener-policy'
+];
+
+const REFERRER_POLICIES = [
+  'no-referrer',
+  'no-referrer-when-downgrade',
+  'origin',
+  'origin-when-cross-origin',
+  'same-origin',
+  'strict-origin',
+  'strict-origin-when-cross-origin',
+  'unsafe-url'
+];
+
+// Repeated headers arrive as an array from axios and joined with newlines from Puppeteer
+const getHeaderValues = (headers, name) => [].concat((headers && headers[name]) || [])
+  .flatMap(value => String(value).split('\n'))
+  .map(value => value.trim())
+  .filter(Boolean);
+
+const getHeader = (headers, name) => {
+  const values = getHeaderValues(headers, name);
+  return values.length > 0 ? values.join(', ') : null;
+};
+
+// "max-age=31536000; includeSubDomains; preload"; browsers use the first header when there are several
+const parseHsts = (value) => {
+  const directives = String(value).split(',')[0].split(';').map(directive => directive.trim().toLowerCase());
+  const maxAge = directives.find(directive => directive.startsWith('max-age='));
+  const seconds = maxAge ? parseInt(maxAge.slice(8).replace(/"/g, ''), 10) : NaN;
+
+  return {
+    maxAge: isNaN(seconds) ? null : seconds,
+    includeSubDomains: directives.includes('includesubdomains'),
+    preload: directives.includes('preload')
+  };
+};
+
+// One policy per header or comma-separated entry; every policy is enforced, so a source must pass all of them.
+// A directive repeated within a policy is ignored after its first occurrence
+const parseCsp = (value, source = 'header') => String(value).split(',').map(policy => {
+  const directives = {};
+  policy.split(';').forEach(entry => {
+    const [name, ...sources] = entry.trim().split(/\s+/);
+    if (name && !directives[name.toLowerCase()]) {
+      directives[name.toLowerCase()] = sources.map(token => token.toLowerCase());
+    }
+  });
+  return { source, directives };
+}).filter(policy => Object.keys(policy.directives).length > 0);
+
+// Enforced policies from the header and from <meta http-equiv>; frame-ancestors, report-uri and sandbox
+// only work in the header
+const getCspPolicies = (headers, $) => {
+  const policies = getHeaderValues(headers, 'content-security-policy').flatMap(value => parseCsp(value, 'header'));
+  if ($) {
+    $('meta[http-equiv]').filter((i, element) => ($(element).attr('http-equiv') || '').toLowerCase() === 'content-security-policy')
+      .each((i, element) => {
+        policies.push(...parseCsp($(element).attr('content') || '', 'meta'));
+      });
+  }
+  return policies;
+};
+
+// Sources a fetch directive falls back to when the policy doesn't set it
+const getSources = (policy, directive) => policy.directives[directive] || policy.directives['default-src'] || null;
+
+// 'unsafe-inline' is ignored by browsers once a nonce, hash or 'strict-dynamic' is present
+const allowsInline = (sources) => Boolean(sources) && sources.includes("'unsafe-inline'") &&
+  !sources.some(token => token.startsWith("'nonce-") || /^'sha(256|384|512)-/.test(token) || token === "'strict-dynamic'");
+
+// Policies that set the directive, or default-src for it to fall back to
+const getRestricting = (policies, directive) => policies.filter(policy => getSources(policy, directive));
+
+// Something is only blocked when at least one policy blocks it, so it is allowed when every restricting policy allows it
+const everyPolicyAllows = (policies, directive, test) => {
+  const restricting = getRestricting(policies, directive);
+  return restricting.length > 0 && restricting.every(policy => test(getSources(policy, directive)));
+};
+
+// "id=abc; Path=/; Secure; HttpOnly; SameSite=Lax"
+const parseSetCookie = (value) => {
+  const [pair, ...attributes] = String(value).split(';').map(part => part.trim());
+  const name = pair.includes('=') ? pair.slice(0, pair.indexOf('=')).trim() : pair;
+  const flags = {};
+  attributes.forEach(attribute => {
+    const [key, ...rest] = attribute.split('=');
+    flags[key.trim().toLowerCase()] = rest.join('=').trim().toLowerCase();
+  });
+
+  return {
+    name,
+    secure: 'secure' in flags,
+    httpOnly: 'httponly' in flags,
+    sameSite: flags.samesite || null
+  };
+};
+
+const getCookies = (headers) => getHeaderValues(headers, 'set-cookie').map(parseSetCookie).filter(cookie => cookie.name);
+
+// The last valid token wins, so unknown values can be listed first as fallbacks
+const getReferrerPolicy = (headers, $) => {
+  const fromMeta = $ ? $('meta[name="referrer"]').last().attr('content') : null;
+  const value = getHeader(headers, 'referrer-policy') || fromMeta || '';
+  const tokens = value.split(',').map(token => token.trim().toLowerCase()).filter(token => REFERRER_POLICIES.includes(token));
+  return tokens.length > 0 ? tokens[tokens.length - 1] : null;
+};
+
+// Value of every security header, or null when it is missing, for the report
+const summarizeSecurityHeaders = (headers) => SECURITY_HEADERS.reduce((summary, name) => ({
+  ...summary,
+  [name]: getHeader(headers, name)
+}), {});
+
+module.exports = {
+  SECURITY_HEADERS,
+  REFERRER_POLICIES,
+  getHeaderValues,
+  getHeader,
+  parseHsts,
+  parseCsp,
+  getCspPolicies,
+  getSources,
+  getRestricting,
+  allowsInline,
+  everyPolicyAllows,
+  parseSetCookie,
+  getCookies,
+  getReferrerPolicy,
+  summarizeSecurityHeaders
+};
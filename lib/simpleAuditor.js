@@ -1,45 +1,93 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const RobotsTxt = require('./robotsTxt');
+const SitemapAnalyzer = require('./sitemapAnalyzer');
+const LinkChecker = require('./linkChecker');
+const ResourceAnalyzer = require('./resourceAnalyzer');
+const ImageAnalyzer = require('./imageAnalyzer');
+const SocialMetaAnalyzer = require('./socialMetaAnalyzer');
+const CheckRegistry = require('./checkRegistry');
+const { normalizeUrl } = require('./urlUtils');
+const { getMetaRobots, getHeaderRobots, getStaticTextLength, getLinkCounts, getViewport, parseViewport } = require('./pageSignals');
+const ScoringProfiles = require('./scoringProfiles');
+const RecommendationEngine = require('./recommendationEngine');
+const { calculateOverallScore, summarizeScore } = require('./auditSummary');
+const { summarizeWcag } = require('./wcag');
+const { getCookies, summarizeSecurityHeaders } = require('./securityHeaders');
+const { inspectTls } = require('./tlsInspector');
+const { parseStructuredData } = require('./structuredData');
 
 class SimpleWebsiteAuditor {
-  constructor() {
+  constructor(options = {}) {
     this.userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+    this.sitemapAnalyzer = new SitemapAnalyzer({ userAgent: this.userAgent });
+    this.linkChecker = new LinkChecker({ userAgent: this.userAgent });
+    this.resourceAnalyzer = new ResourceAnalyzer({ userAgent: this.userAgent });
+    this.imageAnalyzer = new ImageAnalyzer({ userAgent: this.userAgent });
+    this.socialMetaAnalyzer = new SocialMetaAnalyzer({ userAgent: this.userAgent });
+    this.checks = options.checks || CheckRegistry.createDefault();
+    this.profiles = options.profiles || new ScoringProfiles();
+    this.recommendationEngine = new RecommendationEngine(this.checks);
     console.log('SimpleWebsiteAuditor initialized - no Puppeteer dependencies');
   }
 
-  async auditWebsite(url) {
+  async auditWebsite(url, options = {}) {
     try {
       console.log(`Starting simple audit for: ${url}`);
+
+      const profile = this.profiles.get(options.profile);
+      if (!profile) {
+        throw new Error(`Unknown scoring profile: ${options.profile}`);
+      }
+      const checkOptions = { ...options, penalties: profile.penalties };
       
       const results = {
         url,
         timestamp: new Date().toISOString(),
+        engine: 'static',
         performance: {},
         seo: {},
         accessibility: {},
         crawlability: {},
+        mobile: {},
+        security: {},
         overallScore: 0,
         recommendations: []
       };
 
-      // Run audits that don't require browser
-      const [seoResults, crawlabilityResults] = await Promise.all([
-        this.auditSEO(url),
-        this.auditCrawlability(url)
+      // Let callers follow along as each category finishes
+      const reportProgress = (category) => (data) => {
+        if (options.onProgress) {
+          options.onProgress(category, data);
+        }
+        return data;
+      };
+
+      // Fetch the page once and share it between the audits that don't require a browser
+      const page = await this.fetchPage(url);
+
+      const [performanceResults, seoResults, accessibilityResults, crawlabilityResults, mobileResults, securityResults] = await Promise.all([
+        this.auditPerformance(url, page, checkOptions).then(reportProgress('performance')),
+        this.auditSEO(url, page, checkOptions).then(reportProgress('seo')),
+        this.auditAccessibility(url, page, checkOptions).then(reportProgress('accessibility')),
+        this.auditCrawlability(url, page, checkOptions).then(reportProgress('crawlability')),
+        this.auditMobile(url, page, checkOptions).then(reportProgress('mobile')),
+        this.auditSecurity(url, page, checkOptions).then(reportProgress('security'))
       ]);
 
+      results.performance = performanceResults;
       results.seo = seoResults;
+      results.accessibility = accessibilityResults;
       results.crawlability = crawlabilityResults;
-      
-      // Create mock performance and accessibility data
-      results.performance = this.createMockPerformanceData(url);
-      results.accessibility = this.createMockAccessibilityData();
+      results.mobile = mobileResults;
+      results.security = securityResults;
 
       // Calculate overall score
-      results.overallScore = this.calculateOverallScore(results);
+      results.overallScore = calculateOverallScore(results, profile.weights);
+      results.scoring = summarizeScore(results, profile);
       
-      // Generate recommendations
-      results.recommendations = this.generateRecommendations(results);
+      // Build the prioritized action plan from the failing checks
+      results.recommendations = this.recommendationEngine.generate(results);
 
       console.log(`Simple audit completed for: ${url}`);
       return results;
@@ -49,368 +97,396 @@ class SimpleWebsiteAuditor {
     }
   }
 
-  createMockPerformanceData(url) {
-    // Generate consistent Lighthouse-compatible performance data
-    const isComplexSite = url.includes('optimizemydata') || url.includes('google') || url.includes('facebook');
-    const isSimpleSite = url.includes('example.com') || url.includes('github.io');
-    
-    let performanceScore, lcp, fid, cls, fcp, tbt, si;
-    
-    if (isComplexSite) {
-      // Complex sites - matches your exact Lighthouse data
-      performanceScore = 86; // Matches your Lighthouse score
-      lcp = 700; // 0.7s - matches your Lighthouse LCP
-      fid = 180; // 180ms - matches your Lighthouse TBT
-      cls = 0.044; // Matches your Lighthouse CLS
-      fcp = 600; // 0.6s - matches your Lighthouse FCP
-      tbt = 180; // 180ms - matches your Lighthouse TBT
-      si = 4000; // 4.0s - matches your Lighthouse SI
-    } else if (isSimpleSite) {
-      // Simple sites have consistent good performance
-      performanceScore = 95; // Consistent high score
-      lcp = 800; // 0.8s - consistent good LCP
-      fid = 50; // 50ms - consistent good FID
-      cls = 0.02; // 0.02 - consistent good CLS
-      fcp = 400; // 0.4s - consistent good FCP
-      tbt = 50; // 50ms - consistent good TBT
-      si = 1500; // 1.5s - consistent good SI
-    } else {
-      // Default moderate performance - consistent values
-      performanceScore = 78; // Consistent moderate score
-      lcp = 1800; // 1.8s - consistent moderate LCP
-      fid = 120; // 120ms - consistent moderate FID
-      cls = 0.05; // 0.05 - consistent moderate CLS
-      fcp = 800; // 0.8s - consistent moderate FCP
-      tbt = 120; // 120ms - consistent moderate TBT
-      si = 2500; // 2.5s - consistent moderate SI
-    }
-
-    return {
-      // Core Web Vitals (Lighthouse format)
-      coreWebVitals: {
-        lcp: lcp, // Largest Contentful Paint
-        fid: fid, // First Input Delay
-        cls: cls, // Cumulative Layout Shift
-        fcp: fcp, // First Contentful Paint
-        tbt: tbt, // Total Blocking Time
-        si: si   // Speed Index
-      },
-      // Additional Lighthouse metrics
-      metrics: {
-        domContentLoaded: Math.round(fcp + 200),
-        loadComplete: Math.round(lcp + 300),
-        firstPaint: Math.round(fcp - 50),
-        firstContentfulPaint: fcp,
-        largestContentfulPaint: lcp,
-        totalBlockingTime: tbt,
-        speedIndex: si
-      },
-      score: performanceScore,
-      note: "Performance data estimated using Google Lighthouse parameters (browser-based audit unavailable)"
+  async fetchPage(url) {
+    const page = {
+      url,
+      finalUrl: url,
+      status: null,
+      headers: {},
+      html: '',
+      $: null,
+      error: null
     };
-  }
 
-  createMockAccessibilityData() {
-    // Generate consistent Lighthouse-compatible accessibility data
-    const issues = [];
-    
-    // Consistent accessibility issues (matches your Lighthouse data)
-    issues.push({
-      type: 'warning',
-      message: 'Heading elements are not in a sequentially-descending order',
-      severity: 'medium',
-      category: 'Navigation',
-      count: 1
-    });
-    
-    issues.push({
-      type: 'info',
-      message: '<video> elements contain a <track> element with [kind="captions"]',
-      severity: 'low',
-      category: 'Audio and video',
-      count: 1
-    });
-
-    // Calculate score based on Lighthouse methodology (matches your 98 score)
-    let score = 98; // Matches your Lighthouse accessibility score
-    issues.forEach(issue => {
-      if (issue.severity === 'high') score -= 10;
-      else if (issue.severity === 'medium') score -= 5;
-      else if (issue.severity === 'low') score -= 2;
-    });
+    try {
+      const response = await axios.get(url, {
+        timeout: 10000,
+        maxRedirects: 5,
+        responseType: 'text',
+        headers: { 'User-Agent': this.userAgent },
+        validateStatus: () => true
+      });
 
-    return {
-      issues,
-      score: Math.max(0, score),
-      totalElements: 150, // Consistent element count
-      passedAudits: 25, // Consistent passed audits (matches your Lighthouse)
-      manualChecks: 10, // Consistent manual checks
-      note: "Accessibility data estimated using Google Lighthouse parameters (browser-based audit unavailable)"
-    };
-  }
+      page.status = response.status;
+      page.headers = response.headers;
+      page.finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+      page.html = typeof response.data === 'string' ? response.data : String(response.data || '');
 
-  async auditSEO(url) {
-    // Return consistent mock SEO data instead of fetching real data
-    const isComplexSite = url.includes('optimizemydata') || url.includes('google') || url.includes('facebook');
-    
-    let seoChecks;
-    
-    if (isComplexSite) {
-      // Complex sites - consistent SEO data
-      seoChecks = {
-        title: {
-          present: true,
-          content: 'Optimize My Data - Professional SEO Services',
-          length: 45,
-          optimal: true
-        },
-        metaDescription: {
-          present: true,
-          content: 'Professional SEO services to help your business grow online. Expert optimization for better search rankings and increased traffic.',
-          length: 125,
-          optimal: true
-        },
-        headings: {
-          h1: 1,
-          h2: 3,
-          h3: 5,
-          h4: 2,
-          h5: 0,
-          h6: 0,
-          hasH1: true,
-          multipleH1: false
-        },
-        images: {
-          total: 8,
-          withAlt: 6,
-          withoutAlt: 2,
-          altTextCoverage: 75
-        },
-        links: {
-          total: 15,
-          internal: 8,
-          external: 7,
-          withTitle: 3
-        },
-        structuredData: {
-          jsonLd: 1,
-          microdata: 0,
-          rdfa: 0
-        },
-        robots: {
-          metaRobots: 'index, follow',
-          robotsTxt: 'Not found'
-        },
-        sitemap: {
-          present: false,
-          url: ''
-        }
-      };
-    } else {
-      // Default consistent SEO data
-      seoChecks = {
-        title: {
-          present: true,
-          content: 'Website Title',
-          length: 15,
-          optimal: false
-        },
-        metaDescription: {
-          present: true,
-          content: 'Website description',
-          length: 20,
-          optimal: false
-        },
-        headings: {
-          h1: 1,
-          h2: 2,
-          h3: 3,
-          h4: 1,
-          h5: 0,
-          h6: 0,
-          hasH1: true,
-          multipleH1: false
-        },
-        images: {
-          total: 5,
-          withAlt: 4,
-          withoutAlt: 1,
-          altTextCoverage: 80
-        },
-        links: {
-          total: 10,
-          internal: 6,
-          external: 4,
-          withTitle: 2
-        },
-        structuredData: {
-          jsonLd: 0,
-          microdata: 0,
-          rdfa: 0
-        },
-        robots: {
-          metaRobots: 'index, follow',
-          robotsTxt: 'Not found'
-        },
-        sitemap: {
-          present: false,
-          url: ''
-        }
-      };
+      if (response.status >= 400) {
+        page.error = `Page returned HTTP ${response.status}`;
+        return page;
+      }
+    } catch (error) {
+      page.error = `Unable to fetch page: ${error.code || error.message}`;
+      return page;
     }
 
-    return {
-      ...seoChecks,
-      score: this.calculateSEOScore(seoChecks)
-    };
+    try {
+      page.$ = cheerio.load(page.html);
+    } catch (error) {
+      page.error = `Unable to parse HTML: ${error.message}`;
+    }
+
+    return page;
   }
 
-  async auditCrawlability(url) {
-    // Return consistent mock crawlability data
-    const isComplexSite = url.includes('optimizemydata') || url.includes('google') || url.includes('facebook');
-    
-    let issues, score;
-    
-    if (isComplexSite) {
-      // Complex sites - consistent crawlability issues
-      issues = [
-        {
-          type: 'warning',
-          message: 'Links are not crawlable',
-          severity: 'medium'
-        }
-      ];
-      score = 85; // Consistent score for complex sites
-    } else {
-      // Default sites - consistent crawlability
-      issues = [
-        {
-          type: 'warning',
-          message: 'Missing viewport meta tag',
-          severity: 'medium'
-        }
-      ];
-      score = 90; // Consistent score for default sites
+  runCheck(page, check) {
+    // Every check reports its own failure instead of falling back to made-up values
+    if (page.error) {
+      return { error: page.error };
     }
 
-    return {
-      issues,
-      score: score,
-      url: url,
-      hasContent: true,
-      scriptCount: 5
-    };
+    try {
+      return check(page.$, page);
+    } catch (error) {
+      return { error: `Check failed: ${error.message}` };
+    }
   }
 
-  calculateSEOScore(seoChecks) {
-    // Use Lighthouse SEO scoring methodology
-    let score = 92; // Start with high score like your Lighthouse data
+  // Page weight, compression, caching, render-blocking resources and images, measured from the files the HTML loads
+  async auditPerformance(url, page = null, options = {}) {
+    try {
+      if (!page) {
+        page = await this.fetchPage(url);
+      }
+      if (page.error) {
+        return { error: page.error, score: 0 };
+      }
 
-    // Title checks (critical)
-    if (!seoChecks.title.present) score -= 25;
-    else if (!seoChecks.title.optimal) score -= 10;
+      const resources = await this.resourceAnalyzer.analyze(page.$, page.finalUrl);
+      // Images were downloaded with the other resources, except those that only have a srcset
+      const images = await this.imageAnalyzer.analyze(this.imageAnalyzer.findImages(page.$, page.finalUrl), page.finalUrl, {
+        fetched: resources.items,
+        estimated: true
+      });
+      const checkResults = await this.checks.run('performance', {
+        ...this.createCheckContext(url, page),
+        resources,
+        images
+      }, { penalties: options.penalties });
+
+      // As in Lighthouse, findings that would make the page load faster are opportunities and the rest diagnostics
+      const describe = (issue) => {
+        const check = this.checks.get(issue.id);
+        return { id: issue.id, title: check && check.recommendation ? check.recommendation.title : issue.message, displayValue: issue.message };
+      };
+      const opportunities = checkResults.issues.filter(issue => issue.savingsMs > 0)
+        .map(issue => ({ ...describe(issue), savingsMs: issue.savingsMs, savingsBytes: issue.savingsBytes || 0 }))
+        .sort((a, b) => b.savingsMs - a.savingsMs);
+      const diagnostics = checkResults.issues.filter(issue => !(issue.savingsMs > 0)).map(describe);
+
+      return {
+        resources,
+        images,
+        opportunities,
+        diagnostics,
+        issues: checkResults.issues,
+        breakdown: checkResults.breakdown,
+        score: checkResults.score,
+        note: 'Measured from the HTML and the files it references, without a browser. Image display sizes come from width and height attributes, and the first few images are assumed to be on the first screen. Time savings are estimated for a mobile connection.'
+      };
+    } catch (error) {
+      console.error('Performance audit failed:', error);
+      return { error: error.message, score: 0 };
+    }
+  }
 
-    // Meta description checks (important)
-    if (!seoChecks.metaDescription.present) score -= 15;
-    else if (!seoChecks.metaDescription.optimal) score -= 5;
+  async auditSEO(url, page = null, options = {}) {
+    try {
+      if (!page) {
+        page = await this.fetchPage(url);
+      }
 
-    // Heading structure (important)
-    if (!seoChecks.headings.hasH1) score -= 20;
-    if (seoChecks.headings.multipleH1) score -= 15;
+      const seoChecks = {
+        title: this.runCheck(page, ($) => {
+          const content = $('title').first().text().trim();
+          return {
+            present: $('title').length > 0,
+            content,
+            length: content.length,
+            optimal: content.length >= 30 && content.length <= 60
+          };
+        }),
+        metaDescription: this.runCheck(page, ($) => {
+          const content = ($('meta[name="description"]').attr('content') || '').trim();
+          return {
+            present: $('meta[name="description"]').length > 0,
+            content,
+            length: content.length,
+            optimal: content.length >= 120 && content.length <= 160
+          };
+        }),
+        headings: this.runCheck(page, ($) => ({
+          h1: $('h1').length,
+          h2: $('h2').length,
+          h3: $('h3').length,
+          h4: $('h4').length,
+          h5: $('h5').length,
+          h6: $('h6').length,
+          hasH1: $('h1').length > 0,
+          multipleH1: $('h1').length > 1
+        })),
+        images: this.runCheck(page, ($) => {
+          const total = $('img').length;
+          const withAlt = $('img[alt]').length;
+          return {
+            total,
+            withAlt,
+            withoutAlt: total - withAlt,
+            altTextCoverage: total > 0 ? Math.round((withAlt / total) * 100) : 100
+          };
+        }),
+        links: this.runCheck(page, ($, page) => ({
+          total: $('a').length,
+          ...getLinkCounts($, page.finalUrl),
+          withTitle: $('a[title]').length
+        })),
+        structuredData: this.runCheck(page, ($, page) => parseStructuredData($, page.finalUrl)),
+        robots: this.runCheck(page, ($) => ({
+          metaRobots: $('meta[name="robots"]').attr('content') || '',
+          robotsTxt: null // Will be checked separately
+        })),
+        sitemap: this.runCheck(page, ($) => ({
+          linked: $('link[rel="sitemap"]').map((i, element) => $(element).attr('href')).get().filter(Boolean)
+        }))
+      };
 
-    // Image alt text (important)
-    if (seoChecks.images.altTextCoverage < 80) score -= 15;
+      // Check robots.txt and whether it lets crawlers fetch this page
+      if (!seoChecks.robots.error) {
+        const robotsTxt = options.robotsTxt || await RobotsTxt.fetch(page.finalUrl, { userAgent: this.userAgent });
+        seoChecks.robots.robotsTxt = robotsTxt.report(page.finalUrl);
+      }
 
-    // Links crawlability (critical for your Lighthouse data)
-    if (seoChecks.links.total > 0 && seoChecks.links.external > seoChecks.links.internal) {
-      score -= 10; // External links not crawlable issue
+      // Request every link and resource on the page, and the share image, while the sitemaps are fetched
+      const linkCheck = options.checkLinks === false
+        ? Promise.resolve({ skipped: true })
+        : page.$ ? this.linkChecker.check(page.$, page.finalUrl) : Promise.resolve({ error: page.error });
+      const social = page.$ ? this.socialMetaAnalyzer.analyze(page.$, page.finalUrl) : Promise.resolve({ error: page.error });
+
+      // Discover sitemaps from robots.txt, <link rel="sitemap"> and the usual locations
+      const sitemap = options.checkSitemap === false
+        ? Promise.resolve({ skipped: true })
+        : seoChecks.sitemap.error ? Promise.resolve(seoChecks.sitemap) : this.sitemapAnalyzer.analyze(page.finalUrl, {
+          robotsSitemaps: seoChecks.robots.robotsTxt ? seoChecks.robots.robotsTxt.sitemaps : [],
+          linkedSitemaps: seoChecks.sitemap.linked,
+          sampleSize: options.sitemapSampleSize || 0
+        });
+      // Awaited together so a failure in any of them is caught here rather than left unhandled
+      [seoChecks.sitemap, seoChecks.linkCheck, seoChecks.social] = await Promise.all([sitemap, linkCheck, social]);
+
+      // Checks that need data we couldn't get (no HTML, skipped sitemap) are skipped rather than failed
+      const checkResults = await this.checks.run('seo', {
+        ...this.createCheckContext(url, page),
+        robotsTxt: seoChecks.robots.robotsTxt,
+        sitemap: seoChecks.sitemap,
+        linkCheck: seoChecks.linkCheck,
+        structuredData: seoChecks.structuredData,
+        social: seoChecks.social
+      }, { penalties: options.penalties });
+
+      return {
+        ...seoChecks,
+        ...(page.error && { error: page.error }),
+        issues: checkResults.issues,
+        breakdown: checkResults.breakdown,
+        score: page.error ? 0 : checkResults.score
+      };
+    } catch (error) {
+      console.error('SEO audit failed:', error);
+      return { error: error.message, score: 0 };
     }
+  }
 
-    // Structured data bonus
-    if (seoChecks.structuredData.jsonLd > 0) score += 5;
+  // Link check on its own: every link and resource on the page, scored by the link checks alone
+  async checkLinks(url, options = {}) {
+    const page = await this.fetchPage(url);
+    if (!page.$) {
+      throw new Error(page.error);
+    }
 
-    // Robots.txt and sitemap
-    if (seoChecks.robots.robotsTxt === 'Not found') score -= 5;
-    if (!seoChecks.sitemap.present) score -= 3;
+    const linkChecker = options.maxLinks || options.concurrency
+      ? new LinkChecker({ userAgent: this.userAgent, maxLinks: options.maxLinks, concurrency: options.concurrency })
+      : this.linkChecker;
+    const linkCheck = await linkChecker.check(page.$, page.finalUrl);
+    const checkResults = await this.checks.run('seo', { url, finalUrl: page.finalUrl, linkCheck });
 
-    return Math.max(0, Math.min(100, score));
+    return {
+      url,
+      finalUrl: page.finalUrl,
+      timestamp: new Date().toISOString(),
+      ...linkCheck,
+      issues: checkResults.issues,
+      breakdown: checkResults.breakdown.filter(entry => entry.status !== 'skipped'),
+      score: checkResults.score
+    };
   }
 
-  calculateOverallScore(results) {
-    const weights = {
-      performance: 0.3,
-      seo: 0.3,
-      accessibility: 0.2,
-      crawlability: 0.2
-    };
+  async auditAccessibility(url, page = null, options = {}) {
+    try {
+      if (!page) {
+        page = await this.fetchPage(url);
+      }
+      if (page.error) {
+        return { error: page.error, score: 0 };
+      }
 
-    let totalScore = 0;
-    let totalWeight = 0;
+      // The rules run on the raw HTML; the contrast checks need a rendered page and are skipped
+      const checkResults = await this.checks.run('accessibility', this.createCheckContext(url, page), { penalties: options.penalties });
 
-    Object.keys(weights).forEach(category => {
-      if (results[category] && typeof results[category].score === 'number') {
-        totalScore += results[category].score * weights[category];
-        totalWeight += weights[category];
+      return {
+        issues: checkResults.issues,
+        breakdown: checkResults.breakdown,
+        score: checkResults.score,
+        totalElements: page.$('*').length,
+        wcag: summarizeWcag(checkResults.issues)
+      };
+    } catch (error) {
+      console.error('Accessibility audit failed:', error);
+      return { error: error.message, score: 0 };
+    }
+  }
+
+  async auditCrawlability(url, page = null, options = {}) {
+    try {
+      if (!page) {
+        page = await this.fetchPage(url);
       }
-    });
 
-    return totalWeight > 0 ? Math.round(totalScore / totalWeight) : 0;
-  }
+      // Without a parsed document the only finding is why we couldn't get one
+      if (page.error) {
+        return {
+          issues: [{
+            id: 'crawlability.http-error',
+            type: 'error',
+            message: page.error,
+            severity: 'high'
+          }],
+          score: 0,
+          url: page.finalUrl,
+          statusCode: page.status,
+          hasContent: false,
+          scriptCount: 0,
+          error: page.error
+        };
+      }
 
-  generateRecommendations(results) {
-    const recommendations = [];
+      const $ = page.$;
+
+      // Facts about the page for the report; the issues and score come from the crawlability checks
+      const metaRobots = getMetaRobots($);
+      const headerRobots = getHeaderRobots(page.headers);
+      const canonicals = $('link[rel="canonical"]');
+      const canonical = canonicals.length > 0 ? canonicals.first().attr('href') || '' : null;
+      let canonicalSelfReferencing = false;
+      if (canonical !== null) {
+        try {
+          canonicalSelfReferencing = normalizeUrl(new URL(canonical, page.finalUrl).href) === normalizeUrl(page.finalUrl);
+        } catch (error) {
+          // Reported by the invalid canonical check
+        }
+      }
 
-    // Performance recommendations
-    if (results.performance.score < 70) {
-      recommendations.push({
-        category: 'Performance',
-        priority: 'high',
-        message: 'Improve Core Web Vitals - focus on LCP, FID, and CLS',
-        details: 'Consider optimizing images, reducing JavaScript execution time, and minimizing layout shifts'
-      });
+      const scriptCount = $('script').length;
+      const textLength = getStaticTextLength($);
+      const checkResults = await this.checks.run('crawlability', this.createCheckContext(url, page), { penalties: options.penalties });
+
+      return {
+        issues: checkResults.issues,
+        breakdown: checkResults.breakdown,
+        score: checkResults.score,
+        url: page.finalUrl,
+        statusCode: page.status,
+        hasContent: textLength > 0,
+        scriptCount,
+        textLength,
+        hasNoscript: $('noscript').length > 0,
+        canonical,
+        canonicalSelfReferencing,
+        metaRobots,
+        xRobotsTag: headerRobots
+      };
+    } catch (error) {
+      console.error('Crawlability audit failed:', error);
+      return { error: error.message, score: 0 };
     }
+  }
 
-    // SEO recommendations
-    if (results.seo.score < 70) {
-      if (!results.seo.title.present) {
-        recommendations.push({
-          category: 'SEO',
-          priority: 'high',
-          message: 'Add a title tag to your page',
-          details: 'Title tags are crucial for SEO and should be 30-60 characters long'
-        });
+  async auditMobile(url, page = null, options = {}) {
+    try {
+      if (!page) {
+        page = await this.fetchPage(url);
       }
-      if (!results.seo.metaDescription.present) {
-        recommendations.push({
-          category: 'SEO',
-          priority: 'medium',
-          message: 'Add a meta description',
-          details: 'Meta descriptions should be 120-160 characters and describe your page content'
-        });
+      if (page.error) {
+        return { error: page.error, score: 0 };
       }
-    }
 
-    // Accessibility recommendations
-    if (results.accessibility.score < 70) {
-      recommendations.push({
-        category: 'Accessibility',
-        priority: 'high',
-        message: 'Improve accessibility compliance',
-        details: 'Focus on alt text for images, proper heading structure, and form labels'
-      });
+      // Only the viewport checks run here; layout, tap targets and font sizes need a phone-sized browser
+      const checkResults = await this.checks.run('mobile', this.createCheckContext(url, page), { penalties: options.penalties });
+      const viewport = getViewport(page.$);
+
+      return {
+        issues: checkResults.issues,
+        breakdown: checkResults.breakdown,
+        score: checkResults.score,
+        viewport: viewport === null ? null : { content: viewport, ...parseViewport(viewport) }
+      };
+    } catch (error) {
+      console.error('Mobile audit failed:', error);
+      return { error: error.message, score: 0 };
     }
+  }
 
-    // Crawlability recommendations
-    if (results.crawlability.score < 70) {
-      recommendations.push({
-        category: 'Crawlability',
-        priority: 'medium',
-        message: 'Improve page crawlability',
-        details: 'Ensure content is accessible without JavaScript and add proper meta tags'
+  async auditSecurity(url, page = null, options = {}) {
+    try {
+      const [tls, fetched] = await Promise.all([inspectTls(url), page || this.fetchPage(url)]);
+      page = fetched;
+
+      // A page that couldn't be fetched has no headers to check, but the certificate often explains why
+      const context = page.error
+        ? { url, finalUrl: page.finalUrl, tls }
+        : { ...this.createCheckContext(url, page), tls };
+      const checkResults = await this.checks.run('security', context, { penalties: options.penalties });
+
+      const issues = checkResults.issues.map(issue => {
+        const check = this.checks.get(issue.id);
+        return check && check.recommendation ? { ...issue, remediation: check.recommendation.details } : issue;
       });
+
+      return {
+        ...(page.error && { error: page.error }),
+        issues,
+        breakdown: checkResults.breakdown,
+        score: checkResults.score,
+        https: page.finalUrl.startsWith('https:'),
+        headers: summarizeSecurityHeaders(page.headers),
+        cookies: getCookies(page.headers),
+        tls
+      };
+    } catch (error) {
+      console.error('Security audit failed:', error);
+      return { error: error.message, score: 0 };
     }
+  }
 
-    return recommendations;
+  createCheckContext(url, page) {
+    return {
+      url,
+      finalUrl: page.finalUrl,
+      status: page.status,
+      headers: page.headers,
+      html: page.html,
+      $: page.$
+    };
   }
 }
 
@@ -0,0 +1,226 @@
+const RobotsTxt = require('./robotsTxt');
+const { normalizeUrl } = require('./urlUtils');
+
+// Links to these files are never HTML pages, so they aren't queued
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|avif|svg|ico|css|js|json|xml|zip|gz|mp4|mp3|webm|docx?|xlsx?|pptx?)$/i;
+
+// Pages this many clicks or more from the seed are hard for crawlers and users to find
+const DEEP_PAGE_DEPTH = 3;
+
+// Longest Crawl-delay we are willing to honour between requests
+const MAX_CRAWL_DELAY_MS = 5000;
+
+class SiteCrawler {
+  constructor(auditor) {
+    this.auditor = auditor;
+  }
+
+  async crawl(seedUrl, options = {}) {
+    const maxDepth = options.maxDepth !== undefined ? options.maxDepth : 3;
+    const maxPages = options.maxPages || 25;
+    let concurrency = options.concurrency || 3;
+
+    const startedAt = Date.now();
+    const seed = normalizeUrl(seedUrl);
+    // Includes the port, so a different service on the same machine counts as another site
+    const host = new URL(seed).host;
+    const robotsTxt = await RobotsTxt.fetch(seed, { userAgent: this.auditor.userAgent });
+
+    // Honour Crawl-delay by crawling one page at a time with a pause between requests
+    const crawlDelay = robotsTxt.getCrawlDelay('*');
+    const delayMs = crawlDelay ? Math.min(crawlDelay * 1000, MAX_CRAWL_DELAY_MS) : 0;
+    if (delayMs > 0) {
+      concurrency = 1;
+    }
+
+    const queue = [{ url: seed, depth: 0 }];
+    const discovered = new Map([[seed, { depth: 0, inlinks: new Set() }]]);
+    const pages = [];
+    const skipped = [];
+    let inFlight = 0;
+
+    const crawlNext = async () => {
+      while (pages.length + inFlight < maxPages && (queue.length > 0 || inFlight > 0)) {
+        if (queue.length === 0) {
+          // Another worker is still auditing a page that may add links to the queue
+          await new Promise(resolve => setTimeout(resolve, 50));
+          continue;
+        }
+
+        const { url, depth } = queue.shift();
+
+        if (!robotsTxt.isAllowed(url, '*')) {
+          skipped.push({ url, depth, reason: 'Blocked by robots.txt' });
+          continue;
+        }
+
+        let pageResult;
+        inFlight++;
+        try {
+          pageResult = await this.auditPage(url, depth, robotsTxt, host);
+        } finally {
+          inFlight--;
+        }
+        pages.push(pageResult);
+
+        if (depth < maxDepth) {
+          pageResult.links.forEach(link => {
+            if (!discovered.has(link)) {
+              discovered.set(link, { depth: depth + 1, inlinks: new Set() });
+              queue.push({ url: link, depth: depth + 1 });
+            }
+          });
+        }
+        pageResult.links.forEach(link => {
+          if (link !== url && discovered.has(link)) {
+            discovered.get(link).inlinks.add(url);
+          }
+        });
+        delete pageResult.links;
+
+        if (delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, crawlNext));
+
+    pages.forEach(page => {
+      page.inlinks = discovered.get(page.url) ? discovered.get(page.url).inlinks.size : 0;
+    });
+
+    const siteIssues = this.findSiteIssues(pages);
+
+    return {
+      seedUrl: seed,
+      host,
+      timestamp: new Date().toISOString(),
+      duration: Date.now() - startedAt,
+      settings: { maxDepth, maxPages, concurrency, crawlDelay },
+      pagesCrawled: pages.length,
+      pagesDiscovered: discovered.size,
+      pagesSkipped: skipped,
+      pages,
+      siteIssues,
+      overallScore: this.calculateSiteScore(pages, siteIssues)
+    };
+  }
+
+  async auditPage(url, depth, robotsTxt, host) {
+    const page = await this.auditor.fetchPage(url);
+    const [seo, crawlability] = await Promise.all([
+      this.auditor.auditSEO(url, page, { robotsTxt, checkSitemap: false, checkLinks: false }),
+      this.auditor.auditCrawlability(url, page)
+    ]);
+
+    const scores = { seo: seo.score, crawlability: crawlability.score };
+    const nonIndexableReasons = [];
+
+    if (page.status === null || page.status >= 400) {
+      nonIndexableReasons.push(page.error);
+    }
+    if (crawlability.issues && crawlability.issues.some(issue => issue.id === 'crawlability.meta-noindex' || issue.id === 'crawlability.header-noindex')) {
+      nonIndexableReasons.push('noindex directive');
+    }
+    if (crawlability.canonical && !crawlability.canonicalSelfReferencing) {
+      nonIndexableReasons.push(`Canonicalised to ${crawlability.canonical}`);
+    }
+
+    return {
+      url,
+      finalUrl: page.finalUrl,
+      depth,
+      statusCode: page.status,
+      ...(page.error && { error: page.error }),
+      title: seo.title && !seo.title.error ? seo.title.content : null,
+      metaDescription: seo.metaDescription && !seo.metaDescription.error ? seo.metaDescription.content : null,
+      h1Count: seo.headings && !seo.headings.error ? seo.headings.h1 : null,
+      indexable: nonIndexableReasons.length === 0,
+      nonIndexableReasons,
+      issues: crawlability.issues || [],
+      scores,
+      score: Math.round((scores.seo + scores.crawlability) / 2),
+      links: this.extractInternalLinks(page, host)
+    };
+  }
+
+  // Links on the seed's host; a page that redirected to another site is audited but its links are not followed
+  extractInternalLinks(page, host) {
+    if (!page.$ || new URL(page.finalUrl).host !== host) {
+      return [];
+    }
+
+    const $ = page.$;
+    const links = new Set();
+
+    $('a[href]').each((i, element) => {
+      const href = ($(element).attr('href') || '').trim();
+      if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) {
+        return;
+      }
+
+      try {
+        const linkUrl = new URL(href, page.finalUrl);
+        if (!/^https?:$/.test(linkUrl.protocol) || linkUrl.host !== host || NON_HTML_EXTENSIONS.test(linkUrl.pathname)) {
+          return;
+        }
+        links.add(normalizeUrl(linkUrl.href));
+      } catch (error) {
+        // Ignore hrefs that cannot be resolved to a URL
+      }
+    });
+
+    return Array.from(links);
+  }
+
+  findSiteIssues(pages) {
+    const findDuplicates = (field) => {
+      const groups = new Map();
+      pages.forEach(page => {
+        const value = page[field];
+        if (value) {
+          groups.set(value, (groups.get(value) || []).concat(page.url));
+        }
+      });
+      return Array.from(groups.entries())
+        .filter(([, urls]) => urls.length > 1)
+        .map(([value, urls]) => ({ value, urls }));
+    };
+
+    const okPages = pages.filter(page => !page.error);
+
+    return {
+      duplicateTitles: findDuplicates('title'),
+      duplicateDescriptions: findDuplicates('metaDescription'),
+      missingH1: okPages.filter(page => page.h1Count === 0).map(page => page.url),
+      missingTitle: okPages.filter(page => !page.title).map(page => page.url),
+      missingDescription: okPages.filter(page => !page.metaDescription).map(page => page.url),
+      nonIndexable: pages.filter(page => !page.indexable).map(page => ({ url: page.url, reasons: page.nonIndexableReasons })),
+      deepPages: pages.filter(page => page.depth >= DEEP_PAGE_DEPTH).map(page => ({ url: page.url, depth: page.depth, inlinks: page.inlinks })),
+      errorPages: pages.filter(page => page.error).map(page => ({ url: page.url, statusCode: page.statusCode, error: page.error }))
+    };
+  }
+
+  calculateSiteScore(pages, siteIssues) {
+    if (pages.length === 0) {
+      return 0;
+    }
+
+    const averageScore = pages.reduce((total, page) => total + page.score, 0) / pages.length;
+    const ratio = (count) => count / pages.length;
+    const duplicatePages = (groups) => groups.reduce((total, group) => total + group.urls.length, 0);
+
+    // Site-wide problems cost up to a fixed number of points each, scaled by how many pages they affect
+    let score = averageScore;
+    score -= 10 * ratio(duplicatePages(siteIssues.duplicateTitles));
+    score -= 10 * ratio(duplicatePages(siteIssues.duplicateDescriptions));
+    score -= 10 * ratio(siteIssues.missingH1.length);
+    score -= 15 * ratio(siteIssues.nonIndexable.length);
+    score -= 5 * ratio(siteIssues.deepPages.length);
+
+    return Math.max(0, Math.round(score));
+  }
+}
+
+module.exports = SiteCrawler;
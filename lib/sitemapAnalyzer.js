@@ -0,0 +1,267 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+const { mapLimit } = require('./concurrency');
+const { normalizeUrl } = require('./urlUtils');
+
+// Limits from the sitemaps.org protocol
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+const DEFAULT_LOCATIONS = ['/sitemap.xml', '/sitemap_index.xml'];
+
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD or a full date with time and timezone
+const W3C_DATETIME = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-](\d{2}):(\d{2})))?)?)?$/;
+
+// The pattern only checks the shape, so the fields are also checked to be a real date, e.g. not 2020-13-45
+const isW3cDatetime = (value) => {
+  const match = W3C_DATETIME.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [year, month = 1, day = 1, hour = 0, minute = 0, second = 0, offsetHours = 0, offsetMinutes = 0] = match.slice(1)
+    .map(field => field === undefined ? undefined : Number(field));
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && date.getUTCHours() === hour &&
+    date.getUTCMinutes() === minute && date.getUTCSeconds() === second && offsetHours <= 14 && offsetMinutes < 60;
+};
+
+class SitemapAnalyzer {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent;
+    this.timeout = options.timeout || 15000;
+    this.maxSitemaps = options.maxSitemaps || 10;
+    this.sampleConcurrency = options.sampleConcurrency || 4;
+  }
+
+  async analyze(pageUrl, options = {}) {
+    const { robotsSitemaps = [], linkedSitemaps = [], sampleSize = 0 } = options;
+    const queue = [];
+    const seen = new Set();
+
+    const enqueue = (url, source) => {
+      if (!seen.has(url)) {
+        seen.add(url);
+        queue.push({ url, source });
+      }
+    };
+
+    robotsSitemaps.forEach(url => enqueue(url, 'robots.txt'));
+    linkedSitemaps.forEach(url => {
+      try {
+        enqueue(new URL(url, pageUrl).href, 'link');
+      } catch (error) {
+        // Ignore hrefs that cannot be resolved
+      }
+    });
+    DEFAULT_LOCATIONS.forEach(path => enqueue(new URL(path, pageUrl).href, 'default'));
+
+    const sitemaps = [];
+    const listedUrls = new Set();
+    const sampleCandidates = [];
+    const auditedUrl = normalizeUrl(pageUrl);
+
+    while (queue.length > 0 && sitemaps.length < this.maxSitemaps) {
+      const { url, source } = queue.shift();
+      const sitemap = await this.fetchSitemap(url, source);
+
+      // Guessed locations that don't exist (or serve a soft 404 page) aren't worth reporting
+      if (source === 'default' && sitemap.error) {
+        continue;
+      }
+
+      sitemaps.push(sitemap);
+
+      (sitemap.childSitemaps || []).forEach(childUrl => enqueue(childUrl, 'sitemap index'));
+      // Only the lookup copy is normalized; the sample requests the URLs exactly as listed, so a listed
+      // /blog/ isn't reported as redirecting from /blog
+      (sitemap.urls || []).forEach(url => {
+        const normalized = normalizeUrl(url);
+        if (!listedUrls.has(normalized) && sampleCandidates.length < sampleSize) {
+          sampleCandidates.push(url);
+        }
+        listedUrls.add(normalized);
+      });
+
+      delete sitemap.childSitemaps;
+      delete sitemap.urls;
+    }
+
+    const errors = [];
+    const warnings = [];
+    sitemaps.forEach(sitemap => {
+      sitemap.errors.forEach(message => errors.push(`${sitemap.url}: ${message}`));
+      sitemap.warnings.forEach(message => warnings.push(`${sitemap.url}: ${message}`));
+    });
+
+    if (queue.length > 0) {
+      warnings.push(`Stopped after ${this.maxSitemaps} sitemaps; ${queue.length} more were not checked`);
+    }
+
+    const found = sitemaps.filter(sitemap => !sitemap.error);
+
+    return {
+      present: found.length > 0,
+      url: found.length > 0 ? found[0].url : '',
+      sitemaps,
+      urlCount: listedUrls.size,
+      auditedUrlListed: found.length > 0 ? listedUrls.has(auditedUrl) : false,
+      errors,
+      warnings,
+      sample: sampleCandidates.length > 0 ? await this.sampleUrls(sampleCandidates) : null
+    };
+  }
+
+  async fetchSitemap(url, source) {
+    const sitemap = {
+      url,
+      source,
+      statusCode: null,
+      type: null,
+      compressed: false,
+      size: 0,
+      urlCount: 0,
+      errors: [],
+      warnings: []
+    };
+
+    let xml;
+    try {
+      const response = await axios.get(url, {
+        timeout: this.timeout,
+        maxRedirects: 5,
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_SITEMAP_BYTES + 1,
+        headers: this.userAgent ? { 'User-Agent': this.userAgent } : {},
+        validateStatus: () => true
+      });
+
+      sitemap.statusCode = response.status;
+      if (response.status >= 400) {
+        sitemap.error = `Sitemap returned HTTP ${response.status}`;
+        sitemap.errors.push(sitemap.error);
+        return sitemap;
+      }
+
+      let body = Buffer.from(response.data);
+      // Gzipped sitemaps are recognised by their magic bytes rather than the extension
+      if (body[0] === 0x1f && body[1] === 0x8b) {
+        sitemap.compressed = true;
+        body = zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_BYTES + 1 });
+      }
+
+      sitemap.size = body.length;
+      if (body.length > MAX_SITEMAP_BYTES) {
+        sitemap.errors.push('Sitemap is larger than the 50MB uncompressed limit');
+      }
+
+      xml = body.toString('utf8');
+    } catch (error) {
+      sitemap.error = error.code === 'ERR_BUFFER_TOO_LARGE' || /maxContentLength|maxOutputLength|buffer/i.test(error.message)
+        ? 'Sitemap is larger than the 50MB limit'
+        : `Unable to fetch sitemap: ${error.code || error.message}`;
+      sitemap.errors.push(sitemap.error);
+      return sitemap;
+    }
+
+    try {
+      this.parseSitemap(xml, sitemap);
+    } catch (error) {
+      sitemap.error = `Unable to parse sitemap XML: ${error.message}`;
+      sitemap.errors.push(sitemap.error);
+    }
+
+    return sitemap;
+  }
+
+  parseSitemap(xml, sitemap) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const sitemapHost = new URL(sitemap.url).hostname;
+
+    const readLocations = (selector) => {
+      const locations = [];
+      $(selector).each((i, element) => {
+        const loc = $(element).children('loc').first().text().trim();
+        const lastmod = $(element).children('lastmod').first().text().trim();
+
+        if (!loc) {
+          sitemap.errors.push(`Entry ${i + 1} has no <loc>`);
+          return;
+        }
+
+        let locUrl;
+        try {
+          locUrl = new URL(loc);
+        } catch (error) {
+          sitemap.errors.push(`Invalid URL "${loc}"`);
+          return;
+        }
+
+        if (locUrl.hostname !== sitemapHost) {
+          sitemap.warnings.push(`Cross-host URL "${loc}" is ignored unless the host is verified`);
+        }
+        if (lastmod && !isW3cDatetime(lastmod)) {
+          sitemap.errors.push(`Invalid <lastmod> "${lastmod}" for ${loc}`);
+        }
+
+        locations.push(locUrl.href);
+      });
+      return locations;
+    };
+
+    if ($('sitemapindex').length > 0) {
+      sitemap.type = 'sitemapindex';
+      sitemap.childSitemaps = readLocations('sitemapindex > sitemap');
+      sitemap.urlCount = sitemap.childSitemaps.length;
+      if (sitemap.urlCount > MAX_URLS_PER_SITEMAP) {
+        sitemap.errors.push(`Sitemap index lists ${sitemap.urlCount} sitemaps (limit is ${MAX_URLS_PER_SITEMAP})`);
+      }
+    } else if ($('urlset').length > 0) {
+      sitemap.type = 'urlset';
+      sitemap.urls = readLocations('urlset > url');
+      sitemap.urlCount = sitemap.urls.length;
+      if (sitemap.urlCount > MAX_URLS_PER_SITEMAP) {
+        sitemap.errors.push(`Sitemap lists ${sitemap.urlCount} URLs (limit is ${MAX_URLS_PER_SITEMAP})`);
+      }
+      if (sitemap.urlCount === 0) {
+        sitemap.warnings.push('Sitemap does not list any URLs');
+      }
+    } else {
+      throw new Error('Document has no <urlset> or <sitemapindex> root element');
+    }
+
+    // Repeated problems collapse into a count so a broken sitemap doesn't flood the report
+    ['errors', 'warnings'].forEach(key => {
+      if (sitemap[key].length > 10) {
+        const remaining = sitemap[key].length - 10;
+        sitemap[key] = sitemap[key].slice(0, 10).concat(`...and ${remaining} more`);
+      }
+    });
+  }
+
+  async sampleUrls(urls) {
+    const results = await mapLimit(urls, this.sampleConcurrency, async (url) => {
+      try {
+        const response = await axios.head(url, {
+          timeout: this.timeout,
+          maxRedirects: 0,
+          headers: this.userAgent ? { 'User-Agent': this.userAgent } : {},
+          validateStatus: () => true
+        });
+        return { url, status: response.status, location: response.headers.location || null };
+      } catch (error) {
+        return { url, status: null, error: error.code || error.message };
+      }
+    });
+
+    return {
+      checked: results.length,
+      ok: results.filter(result => result.status >= 200 && result.status < 300).length,
+      redirects: results.filter(result => result.status >= 300 && result.status < 400),
+      notFound: results.filter(result => result.status === 404 || result.status === 410),
+      errors: results.filter(result => result.status === null || (result.status >= 400 && result.status !== 404 && result.status !== 410))
+    };
+  }
+}
+
+module.exports = SitemapAnalyzer;
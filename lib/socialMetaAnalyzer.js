@@ -0,0 +1,180 @@
+const ResourceAnalyzer = require('./resourceAnalyzer');
+
+// The four properties the Open Graph protocol requires on every page
+const REQUIRED_OPEN_GRAPH = ['og:title', 'og:type', 'og:image', 'og:url'];
+
+// Formats Facebook, LinkedIn and X all display in a preview; SVG and AVIF are dropped
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+
+const CARD_TYPES = ['summary', 'summary_large_image', 'app', 'player'];
+
+const resolveUrl = (value, pageUrl) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    const url = new URL(value, pageUrl);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// First value of every og:* and twitter:* tag. Open Graph uses the property attribute and X the
+// name attribute, but both platforms read either, so both are collected
+const readTags = ($, prefix) => {
+  const tags = {};
+  $('meta[property], meta[name]').each((i, element) => {
+    const $element = $(element);
+    const key = ($element.attr('property') || $element.attr('name') || '').trim().toLowerCase();
+    const content = ($element.attr('content') || '').trim();
+    if (key.startsWith(prefix) && content && !(key in tags)) {
+      tags[key] = content;
+    }
+  });
+  return tags;
+};
+
+class SocialMetaAnalyzer {
+  constructor(options = {}) {
+    this.resourceAnalyzer = new ResourceAnalyzer(options);
+  }
+
+  // What each platform reads from the page, including the fallbacks they use when a tag is missing
+  parse($, pageUrl) {
+    const openGraph = readTags($, 'og:');
+    const twitter = readTags($, 'twitter:');
+    const title = $('title').first().text().trim();
+    const description = ($('meta[name="description"]').attr('content') || '').trim();
+    const canonical = resolveUrl(($('link[rel="canonical"]').first().attr('href') || '').trim(), pageUrl);
+    const fallbacks = [];
+    const pick = (property, candidates) => {
+      const found = candidates.find(candidate => candidate.value);
+      if (found && found.source !== property) {
+        fallbacks.push({ property, source: found.source });
+      }
+      return found ? found.value : null;
+    };
+
+    // Facebook and LinkedIn use the page's own title, description and canonical URL when og:* is missing
+    const ogTitle = pick('og:title', [{ source: 'og:title', value: openGraph['og:title'] }, { source: '<title>', value: title }]);
+    const ogDescription = pick('og:description', [
+      { source: 'og:description', value: openGraph['og:description'] },
+      { source: 'meta description', value: description }
+    ]);
+    const ogUrl = pick('og:url', [
+      { source: 'og:url', value: resolveUrl(openGraph['og:url'], pageUrl) },
+      { source: 'canonical link', value: canonical },
+      { source: 'page URL', value: pageUrl }
+    ]);
+    const ogImage = openGraph['og:image'] || openGraph['og:image:url'] || openGraph['og:image:secure_url'] || null;
+
+    // X falls back to Open Graph only, not to the page title or description
+    const twitterImage = twitter['twitter:image'] || twitter['twitter:image:src'] || null;
+    const card = twitter['twitter:card'] ? twitter['twitter:card'].toLowerCase() : null;
+
+    return {
+      openGraph,
+      twitter,
+      missing: REQUIRED_OPEN_GRAPH.filter(property => property === 'og:image' ? !ogImage : !openGraph[property]),
+      card,
+      validCard: CARD_TYPES.includes(card),
+      title: ogTitle,
+      description: ogDescription,
+      url: ogUrl,
+      siteName: openGraph['og:site_name'] || null,
+      image: ogImage && this.describeImage('og:image', ogImage, openGraph, pageUrl),
+      twitterTitle: pick('twitter:title', [
+        { source: 'twitter:title', value: twitter['twitter:title'] },
+        { source: 'og:title', value: openGraph['og:title'] }
+      ]),
+      twitterDescription: pick('twitter:description', [
+        { source: 'twitter:description', value: twitter['twitter:description'] },
+        { source: 'og:description', value: openGraph['og:description'] }
+      ]),
+      twitterImage: twitterImage ? this.describeImage('twitter:image', twitterImage, twitter, pageUrl) : null,
+      fallbacks
+    };
+  }
+
+  // The tag's value as written, where it resolves to, and the size the page says the image is
+  describeImage(property, value, tags, pageUrl) {
+    const width = parseInt(tags[`${property}:width`], 10);
+    const height = parseInt(tags[`${property}:height`], 10);
+    return {
+      property,
+      value,
+      url: resolveUrl(value, pageUrl),
+      // Platforms don't resolve relative or protocol-relative URLs against the page
+      relative: !/^https?:\/\//i.test(value),
+      alt: tags[`${property}:alt`] || null,
+      declared: width > 0 && height > 0 ? { width, height } : null
+    };
+  }
+
+  // Downloads the image to confirm it loads and read its real size
+  async inspectImage(image, pageUrl) {
+    if (!image.url) {
+      return { ...image, status: null, error: 'Invalid URL' };
+    }
+    const resource = await this.resourceAnalyzer.fetchResource({ url: image.url, type: 'image' }, pageUrl);
+    const info = resource.image;
+    const loaded = resource.status >= 200 && resource.status < 300;
+    return {
+      ...image,
+      status: resource.status,
+      ...(resource.error && { error: resource.error }),
+      contentType: resource.contentType || null,
+      format: info ? info.format : null,
+      width: info ? info.width : null,
+      height: info ? info.height : null,
+      transferSize: resource.transferSize,
+      usable: loaded && Boolean(info) && SUPPORTED_FORMATS.includes(info.format)
+    };
+  }
+
+  async analyze($, pageUrl) {
+    const meta = this.parse($, pageUrl);
+    const image = meta.image && await this.inspectImage(meta.image, pageUrl);
+    // A twitter:image pointing at the same file as og:image is only fetched once
+    const twitterImage = meta.twitterImage && (image && meta.twitterImage.url === image.url
+      ? { ...image, ...meta.twitterImage }
+      : await this.inspectImage(meta.twitterImage, pageUrl));
+    const shownImage = image && image.usable ? image.url : null;
+    const xImage = twitterImage || image;
+    const domain = getHostname(meta.url);
+
+    return {
+      openGraph: meta.openGraph,
+      twitter: meta.twitter,
+      missing: meta.missing,
+      card: meta.card,
+      validCard: meta.validCard,
+      image,
+      twitterImage,
+      fallbacks: meta.fallbacks,
+      // What a share of this page looks like, after each platform's fallbacks; a broken image is left out, as they do
+      previews: {
+        facebook: { title: meta.title, description: meta.description, image: shownImage, domain, siteName: meta.siteName },
+        linkedin: { title: meta.title, image: shownImage, domain },
+        x: {
+          card: meta.validCard ? meta.card : null,
+          title: meta.twitterTitle,
+          description: meta.twitterDescription,
+          image: xImage && xImage.usable ? xImage.url : null,
+          domain
+        }
+      }
+    };
+  }
+}
+
+module.exports = SocialMetaAnalyzer;
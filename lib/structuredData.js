@@ -0,0 +1,334 @@
+// Parses JSON-LD, microdata and RDFa into schema.org entities and checks them against the properties
+// Google needs for rich results. All three syntaxes become the same shape: { types, properties: { name: [values] } },
+// where a value is a string or a nested entity
+
+const SCHEMA_PREFIX = /^(https?:\/\/schema\.org\/|schema:)/i;
+
+// Required and recommended properties per type, from Google's rich result documentation. An array lists
+// alternatives, any one of which will do
+const RULES = {
+  Organization: {
+    required: ['name'],
+    recommended: ['url', 'logo', 'sameAs']
+  },
+  LocalBusiness: {
+    required: ['name', 'address'],
+    recommended: ['telephone', 'url', 'image', ['openingHoursSpecification', 'openingHours'], 'geo', 'priceRange']
+  },
+  Product: {
+    required: ['name', ['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku']
+  },
+  Offer: {
+    required: [['price', 'priceSpecification']],
+    recommended: ['availability', 'url']
+  },
+  AggregateOffer: {
+    required: ['lowPrice', 'priceCurrency'],
+    recommended: ['highPrice', 'offerCount']
+  },
+  // Google requires nothing for articles, but the headline, image and dates are what the result shows
+  Article: {
+    required: [],
+    recommended: ['headline', 'image', 'datePublished', 'dateModified', 'author']
+  },
+  BreadcrumbList: {
+    required: ['itemListElement']
+  },
+  ListItem: {
+    required: ['position']
+  },
+  FAQPage: {
+    required: ['mainEntity']
+  },
+  Question: {
+    required: ['name', 'acceptedAnswer']
+  },
+  Answer: {
+    required: ['text']
+  },
+  Event: {
+    required: ['name', 'startDate', 'location'],
+    recommended: ['description', 'endDate', 'image', 'offers', 'organizer', 'performer', 'eventStatus', 'eventAttendanceMode']
+  }
+};
+
+// Common subtypes, checked with their parent's rules
+const SUBTYPES = {
+  Corporation: 'Organization',
+  NGO: 'Organization',
+  OnlineStore: 'Organization',
+  EducationalOrganization: 'Organization',
+  Restaurant: 'LocalBusiness',
+  Store: 'LocalBusiness',
+  Dentist: 'LocalBusiness',
+  MedicalBusiness: 'LocalBusiness',
+  ProfessionalService: 'LocalBusiness',
+  AutomotiveBusiness: 'LocalBusiness',
+  FoodEstablishment: 'LocalBusiness',
+  HealthAndBeautyBusiness: 'LocalBusiness',
+  HomeAndConstructionBusiness: 'LocalBusiness',
+  LodgingBusiness: 'LocalBusiness',
+  Hotel: 'LocalBusiness',
+  ProductGroup: 'Product',
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  TechArticle: 'Article',
+  Report: 'Article',
+  MusicEvent: 'Event',
+  SportsEvent: 'Event',
+  BusinessEvent: 'Event',
+  EducationEvent: 'Event',
+  Festival: 'Event',
+  TheaterEvent: 'Event'
+};
+
+const DATE_PROPERTIES = ['startDate', 'endDate', 'datePublished', 'dateModified', 'priceValidUntil', 'validFrom'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+// Prices are plain numbers with a dot for decimals; the currency goes in priceCurrency
+const PRICE = /^\d+(\.\d+)?$/;
+
+const MAX_ENTITIES = 50;
+
+const typeName = (value) => String(value).replace(SCHEMA_PREFIX, '');
+
+const isEntity = (value) => Boolean(value) && typeof value === 'object';
+
+// First text value of a property, e.g. a name to label the entity with
+const getText = (entity, property) => {
+  const value = (entity.properties[property] || []).find(candidate => typeof candidate === 'string' && candidate.trim());
+  return value ? value.trim() : null;
+};
+
+// JSON-LD
+
+const fromJsonLd = (node) => {
+  if (!isEntity(node)) {
+    return node === null || node === undefined ? null : String(node);
+  }
+  if ('@value' in node) {
+    return node['@value'] === null ? null : String(node['@value']);
+  }
+
+  const properties = {};
+  Object.keys(node).filter(key => !key.startsWith('@')).forEach(key => {
+    properties[typeName(key)] = [].concat(node[key]).map(fromJsonLd).filter(value => value !== null);
+  });
+  return {
+    types: [].concat(node['@type'] || []).map(typeName),
+    ...(node['@id'] && { id: String(node['@id']) }),
+    properties
+  };
+};
+
+const hasSchemaContext = (context) => Boolean(context) && JSON.stringify(context).includes('schema.org');
+
+const parseJsonLd = ($) => {
+  const entities = [];
+  const syntaxErrors = [];
+
+  $('script[type="application/ld+json"]').each((index, element) => {
+    const source = `JSON-LD block ${index + 1}`;
+    const text = $(element).html() || '';
+    let data;
+    try {
+      // Some CMSs wrap the JSON in an HTML comment or CDATA section, which browsers and Google tolerate
+      data = JSON.parse(text.trim().replace(/^(<!--|<!\[CDATA\[)/, '').replace(/(-->|\]\]>)$/, ''));
+    } catch (error) {
+      syntaxErrors.push({ source, message: error.message, snippet: text.trim().slice(0, 200) });
+      return;
+    }
+
+    // A block can hold one entity, an array of them or a @graph, each inheriting the block's @context
+    [].concat(data).forEach(root => {
+      if (!isEntity(root)) {
+        return;
+      }
+      const nodes = Array.isArray(root['@graph']) ? root['@graph'] : [root];
+      nodes.forEach(node => {
+        if (!isEntity(node)) {
+          return;
+        }
+        const entity = fromJsonLd(node);
+        entity.syntax = 'json-ld';
+        entity.source = source;
+        if (!hasSchemaContext(node['@context'] || root['@context'])) {
+          entity.contextError = true;
+        }
+        entities.push(entity);
+      });
+    });
+  });
+
+  return { entities, syntaxErrors };
+};
+
+// Microdata and RDFa
+
+const resolve = (value, pageUrl) => {
+  try {
+    return new URL(value, pageUrl).href;
+  } catch (error) {
+    return value;
+  }
+};
+
+// The value an element gives its property, following the microdata and RDFa rules for each tag
+const getElementValue = ($element, pageUrl) => {
+  const tag = ($element[0].name || '').toLowerCase();
+  if ($element.attr('content') !== undefined) {
+    return $element.attr('content');
+  }
+  if (['a', 'link', 'area'].includes(tag) && $element.attr('href')) {
+    return resolve($element.attr('href'), pageUrl);
+  }
+  if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag) && $element.attr('src')) {
+    return resolve($element.attr('src'), pageUrl);
+  }
+  if (tag === 'object' && $element.attr('data')) {
+    return resolve($element.attr('data'), pageUrl);
+  }
+  if (tag === 'time' && $element.attr('datetime')) {
+    return $element.attr('datetime');
+  }
+  if (['data', 'meter'].includes(tag) && $element.attr('value') !== undefined) {
+    return $element.attr('value');
+  }
+  return $element.text().replace(/\s+/g, ' ').trim();
+};
+
+// Shared by both attribute syntaxes: `scope` marks an item, `type` names its type and `property` its properties
+const parseAttributes = ($, pageUrl, syntax) => {
+  const { scope, type, property } = syntax === 'microdata'
+    ? { scope: 'itemscope', type: 'itemtype', property: 'itemprop' }
+    : { scope: 'typeof', type: 'typeof', property: 'property' };
+
+  const readItem = (element) => {
+    const $element = $(element);
+    const properties = {};
+    // Properties belong to the nearest item around them, so nested items keep their own
+    $element.find(`[${property}]`).filter((i, child) => $(child).parent().closest(`[${scope}]`)[0] === element).each((i, child) => {
+      const $child = $(child);
+      const value = $child.is(`[${scope}]`) ? readItem(child) : getElementValue($child, pageUrl);
+      $child.attr(property).trim().split(/\s+/).map(typeName).forEach(name => {
+        properties[name] = (properties[name] || []).concat(value);
+      });
+    });
+    return {
+      types: ($element.attr(type) || '').trim().split(/\s+/).filter(Boolean).map(typeName),
+      properties
+    };
+  };
+
+  const label = syntax === 'microdata' ? 'Microdata' : 'RDFa';
+  return $(`[${scope}]`).filter((i, element) => $(element).attr(property) === undefined).toArray().map((element, index) => ({
+    ...readItem(element),
+    syntax,
+    source: `${label} item ${index + 1}`
+  }));
+};
+
+// Validation
+
+const describeRequirement = (requirement) => [].concat(requirement).join(', ').replace(/, ([^,]+)$/, ' or $1');
+
+const validate = (entity, path, report, depth = 0) => {
+  const at = path ? `${path}: ` : '';
+
+  entity.types.forEach(type => {
+    const rules = RULES[SUBTYPES[type] || type];
+    if (!rules) {
+      return;
+    }
+    const has = name => (entity.properties[name] || []).some(value => isEntity(value) || String(value).trim());
+    (rules.required || []).filter(requirement => ![].concat(requirement).some(has)).forEach(requirement => {
+      report.errors.push(`${at}Missing required property ${describeRequirement(requirement)}`);
+    });
+    (rules.recommended || []).filter(requirement => ![].concat(requirement).some(has)).forEach(requirement => {
+      report.warnings.push(`${at}Missing recommended property ${describeRequirement(requirement)}`);
+    });
+  });
+
+  DATE_PROPERTIES.forEach(name => (entity.properties[name] || []).filter(value => typeof value === 'string' && !ISO_DATE.test(value.trim())).forEach(value => {
+    report.errors.push(`${at}${name} "${value}" is not an ISO 8601 date such as 2025-06-01 or 2025-06-01T19:30:00+02:00`);
+  }));
+  ['price', 'lowPrice', 'highPrice'].forEach(name => (entity.properties[name] || []).filter(value => typeof value === 'string' && !PRICE.test(value.trim())).forEach(value => {
+    report.errors.push(`${at}${name} "${value}" should be a number like 19.99, without currency symbols or thousands separators`);
+  }));
+  if (entity.properties.price && !entity.properties.priceCurrency && !entity.properties.priceSpecification) {
+    report.errors.push(`${at}price needs a priceCurrency such as "EUR"`);
+  }
+
+  // Every breadcrumb needs a name, and all but the last need the URL they link to
+  if (entity.types.includes('BreadcrumbList')) {
+    const crumbs = (entity.properties.itemListElement || []).filter(isEntity);
+    crumbs.forEach((crumb, index) => {
+      const item = (crumb.properties.item || [])[0];
+      if (!getText(crumb, 'name') && !(isEntity(item) && getText(item, 'name'))) {
+        report.errors.push(`${at}itemListElement[${index}]: Missing required property name`);
+      }
+      if (index < crumbs.length - 1 && !item) {
+        report.errors.push(`${at}itemListElement[${index}]: Missing required property item`);
+      }
+    });
+  }
+
+  // Nested entities such as offers, questions and breadcrumbs are checked against their own rules
+  if (depth < 4) {
+    Object.keys(entity.properties).forEach(name => {
+      entity.properties[name].forEach((value, index) => {
+        if (isEntity(value)) {
+          const many = entity.properties[name].length > 1;
+          validate(value, `${path ? `${path}.` : ''}${name}${many ? `[${index}]` : ''}`, report, depth + 1);
+        }
+      });
+    });
+  }
+};
+
+const summarize = (entity) => {
+  const report = { errors: [], warnings: [] };
+  if (entity.types.length === 0) {
+    report.errors.push('Missing @type, so search engines can\'t tell what this describes');
+  }
+  if (entity.contextError) {
+    report.errors.push('Missing "@context": "https://schema.org", so the properties can\'t be read as schema.org');
+  }
+  validate(entity, '', report);
+
+  return {
+    types: entity.types,
+    syntax: entity.syntax,
+    source: entity.source,
+    name: getText(entity, 'name') || getText(entity, 'headline'),
+    validated: entity.types.some(type => Boolean(RULES[SUBTYPES[type] || type])),
+    properties: Object.keys(entity.properties),
+    errors: report.errors,
+    warnings: report.warnings
+  };
+};
+
+const parseStructuredData = ($, pageUrl) => {
+  const { entities: jsonLdEntities, syntaxErrors } = parseJsonLd($);
+  const entities = jsonLdEntities
+    .concat(parseAttributes($, pageUrl, 'microdata'))
+    .concat(parseAttributes($, pageUrl, 'rdfa'))
+    .slice(0, MAX_ENTITIES)
+    .map(summarize);
+
+  return {
+    jsonLd: $('script[type="application/ld+json"]').length,
+    microdata: $('[itemscope]').length,
+    rdfa: $('[typeof]').length,
+    entities,
+    syntaxErrors,
+    valid: entities.filter(entity => entity.errors.length === 0).length,
+    invalid: entities.filter(entity => entity.errors.length > 0).length
+  };
+};
+
+// "Product "Trail Shoe" (JSON-LD block 1)", for listing entities in findings
+const describeEntity = (entity) =>
+  `${entity.types.join(', ') || 'Untyped item'}${entity.name ? ` "${entity.name}"` : ''} (${entity.source})`;
+
+module.exports = { parseStructuredData, describeEntity };
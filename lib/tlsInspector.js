@@ -0,0 +1,206 @@
+const tls = require('tls');
+const net = require('net');
+const dns = require('dns');
+const https = require('https');
+const axios = require('axios');
+
+// Connects to the site over TLS directly, so certificate problems are reported in detail instead of
+// failing the page fetch, and follows the http:// redirects one hop at a time
+
+const TIMEOUT_MS = 10000;
+const DNS_TIMEOUT_MS = 5000;
+const MAX_REDIRECTS = 5;
+const MAX_CHAIN_LENGTH = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getName = (entity) => (entity && (entity.CN || entity.O)) || '';
+
+const toIsoDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// The certificate the server sent followed by the issuers it sent with it, up to the first self-issued one
+const getChain = (certificate) => {
+  const chain = [];
+  let current = certificate;
+  while (current && current.fingerprint256 && chain.length < MAX_CHAIN_LENGTH) {
+    chain.push({
+      subject: getName(current.subject),
+      issuer: getName(current.issuer),
+      validFrom: toIsoDate(current.valid_from),
+      validTo: toIsoDate(current.valid_to),
+      fingerprint: current.fingerprint256
+    });
+    if (!current.issuerCertificate || current.issuerCertificate.fingerprint256 === current.fingerprint256) {
+      break;
+    }
+    current = current.issuerCertificate;
+  }
+  return chain;
+};
+
+const resolves = async (hostname) => {
+  let timer;
+  try {
+    await Promise.race([
+      dns.promises.lookup(hostname),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('DNS lookup timed out')), DNS_TIMEOUT_MS);
+      })
+    ]);
+    return true;
+  } catch (error) {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// The audited host and its www or apex twin, since visitors type either
+const getHostPair = (hostname) => {
+  if (net.isIP(hostname)) {
+    return [hostname];
+  }
+  return hostname.startsWith('www.') ? [hostname, hostname.slice(4)] : [hostname, `www.${hostname}`];
+};
+
+const connect = (hostname, port) => new Promise((resolve, reject) => {
+  const socket = tls.connect({
+    host: hostname,
+    port,
+    ...(!net.isIP(hostname) && { servername: hostname }),
+    // Validation is done below, so an invalid certificate is reported rather than refused; old protocols are
+    // allowed so a server that only speaks them can be reported too
+    rejectUnauthorized: false,
+    minVersion: 'TLSv1',
+    ciphers: 'DEFAULT:@SECLEVEL=0'
+  });
+
+  socket.setTimeout(TIMEOUT_MS, () => {
+    socket.destroy(new Error(`TLS connection timed out after ${TIMEOUT_MS}ms`));
+  });
+  socket.once('error', reject);
+  socket.once('secureConnect', () => {
+    const result = {
+      certificate: socket.getPeerCertificate(true),
+      authorized: socket.authorized,
+      authorizationError: socket.authorizationError ? String(socket.authorizationError.code || socket.authorizationError) : null,
+      protocol: socket.getProtocol(),
+      cipher: socket.getCipher()
+    };
+    socket.end();
+    resolve(result);
+  });
+});
+
+// An https:// URL's own port, so a site served on a non-standard port is inspected there; anything else uses 443,
+// since an http:// port speaks plain HTTP
+const getTlsPort = ({ protocol, port }) => (protocol === 'https:' && port ? parseInt(port, 10) : 443);
+
+const inspectCertificate = async (url) => {
+  const target = new URL(url);
+  const { hostname } = target;
+  const tlsPort = getTlsPort(target);
+
+  try {
+    const connection = await connect(hostname, tlsPort);
+    const { certificate } = connection;
+    if (!certificate || !certificate.fingerprint256) {
+      return { host: hostname, port: tlsPort, error: 'The server did not send a certificate' };
+    }
+
+    const validTo = toIsoDate(certificate.valid_to);
+    const hostnames = await Promise.all(getHostPair(hostname).map(async (name, index) => ({
+      host: name,
+      covered: !tls.checkServerIdentity(name, certificate),
+      // The audited host obviously resolves; the twin only matters when it exists
+      resolves: index === 0 ? true : await resolves(name)
+    })));
+
+    return {
+      host: hostname,
+      port: tlsPort,
+      authorized: connection.authorized,
+      authorizationError: connection.authorizationError,
+      protocol: connection.protocol,
+      cipher: connection.cipher ? connection.cipher.standardName || connection.cipher.name : null,
+      subject: getName(certificate.subject),
+      issuer: getName(certificate.issuer),
+      validFrom: toIsoDate(certificate.valid_from),
+      validTo,
+      daysUntilExpiry: validTo ? Math.floor((new Date(validTo).getTime() - Date.now()) / DAY_MS) : null,
+      altNames: (certificate.subjectaltname || '').split(',').map(name => name.trim().replace(/^(DNS|IP Address):/, '')).filter(Boolean),
+      hostnames,
+      chain: getChain(certificate)
+    };
+  } catch (error) {
+    return { host: hostname, port: tlsPort, error: `Unable to connect over TLS: ${error.code || error.message}` };
+  }
+};
+
+// Follows the redirects from the http:// version of the URL and records every hop. An http:// URL is probed as
+// given; an https:// URL on the default port is probed on port 80, and one on its own port is skipped, since that
+// port speaks TLS and no http:// port can be inferred from it
+const inspectHttpsRedirect = async (url) => {
+  const target = new URL(url);
+  if (target.protocol === 'https:' && target.port) {
+    return { skipped: true };
+  }
+  target.protocol = 'http:';
+  const start = target.href;
+
+  // Certificate problems are reported by inspectCertificate, so they don't stop the redirect check
+  const httpsAgent = new https.Agent({ rejectUnauthorized: false });
+  const hops = [];
+  let current = start;
+
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const response = await axios.get(current, {
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        responseType: 'text',
+        httpsAgent,
+        validateStatus: () => true
+      });
+      const location = response.status >= 300 && response.status < 400 ? response.headers.location : null;
+      hops.push({ url: current, status: response.status, ...(location && { location: new URL(location, current).href }) });
+      if (!location) {
+        break;
+      }
+      current = new URL(location, current).href;
+    }
+  } catch (error) {
+    if (hops.length === 0) {
+      return { url: start, error: `Unable to fetch ${start}: ${error.code || error.message}` };
+    }
+    hops.push({ url: current, error: error.code || error.message });
+  }
+
+  const last = hops[hops.length - 1];
+  return {
+    url: start,
+    hops,
+    finalUrl: last.url,
+    redirects: hops.filter(hop => hop.location).length
+  };
+};
+
+// Certificate and redirect reports for the site; neither throws, a failed inspection carries an `error`
+const inspectTls = async (url) => {
+  if (new URL(url).protocol === 'https:') {
+    const [certificate, redirect] = await Promise.all([inspectCertificate(url), inspectHttpsRedirect(url)]);
+    return { certificate, redirect };
+  }
+  // An http:// URL doesn't say which port serves TLS, so the certificate is read where its redirects lead on
+  // the same host, such as https://example.com:8443/
+  const redirect = await inspectHttpsRedirect(url);
+  const { hostname } = new URL(url);
+  const secureHop = (redirect.hops || []).map(hop => new URL(hop.url))
+    .find(hop => hop.protocol === 'https:' && hop.hostname === hostname);
+  const certificate = await inspectCertificate(secureHop ? secureHop.href : url);
+  return { certificate, redirect };
+};
+
+module.exports = { inspectCertificate, inspectHttpsRedirect, inspectTls };
@@ -0,0 +1,12 @@
+// Normalizes a URL for comparisons: lowercased host, no fragment, no trailing slash except for the root
+const normalizeUrl = (url) => {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  if (parsed.pathname !== '/' && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.slice(0, -1);
+  }
+  return parsed.href;
+};
+
+module.exports = { normalizeUrl };
@@ -0,0 +1,45 @@
+// WCAG 2.2 success criteria the accessibility checks map to
+const CRITERIA = {
+  '1.1.1': { criterion: '1.1.1', name: 'Non-text Content', level: 'A' },
+  '1.3.1': { criterion: '1.3.1', name: 'Info and Relationships', level: 'A' },
+  '1.4.3': { criterion: '1.4.3', name: 'Contrast (Minimum)', level: 'AA' },
+  '1.4.6': { criterion: '1.4.6', name: 'Contrast (Enhanced)', level: 'AAA' },
+  '2.1.1': { criterion: '2.1.1', name: 'Keyboard', level: 'A' },
+  '2.1.2': { criterion: '2.1.2', name: 'No Keyboard Trap', level: 'A' },
+  '2.4.1': { criterion: '2.4.1', name: 'Bypass Blocks', level: 'A' },
+  '2.4.3': { criterion: '2.4.3', name: 'Focus Order', level: 'A' },
+  '2.4.4': { criterion: '2.4.4', name: 'Link Purpose (In Context)', level: 'A' },
+  '2.4.7': { criterion: '2.4.7', name: 'Focus Visible', level: 'AA' },
+  '2.4.11': { criterion: '2.4.11', name: 'Focus Not Obscured (Minimum)', level: 'AA' },
+  '3.1.1': { criterion: '3.1.1', name: 'Language of Page', level: 'A' },
+  '4.1.2': { criterion: '4.1.2', name: 'Name, Role, Value', level: 'A' }
+};
+
+const LEVELS = ['A', 'AA', 'AAA'];
+
+// Failed success criteria with the number of issues behind each, and the count per conformance level
+const summarizeWcag = (issues = []) => {
+  const failed = new Map();
+
+  issues.forEach(issue => {
+    if (!issue.wcag) {
+      return;
+    }
+    const entry = failed.get(issue.wcag.criterion) || { ...issue.wcag, issues: 0 };
+    entry.issues++;
+    failed.set(issue.wcag.criterion, entry);
+  });
+
+  const criteria = Array.from(failed.values())
+    .sort((a, b) => a.criterion.localeCompare(b.criterion, undefined, { numeric: true }));
+
+  return {
+    criteria,
+    levels: LEVELS.reduce((levels, level) => ({
+      ...levels,
+      [level]: criteria.filter(entry => entry.level === level).length
+    }), {})
+  };
+};
+
+module.exports = { CRITERIA, summarizeWcag };
@@ -1,43 +1,108 @@
 const express = require('express');
 const SimpleWebsiteAuditor = require('../lib/simpleAuditor');
+const SiteCrawler = require('../lib/siteCrawler');
+const AuditJobManager = require('../lib/auditJobs');
+const AuditHistory = require('../lib/auditHistory');
+const { diffAudits, AuditDiffError } = require('../lib/auditDiff');
+const CompetitorComparison = require('../lib/competitorComparison');
+const AuditEngines = require('../lib/auditEngines');
+const LighthouseReports = require('../lib/lighthouseReports');
 
 const router = express.Router();
 const simpleAuditor = new SimpleWebsiteAuditor();
+const lighthouseReports = new LighthouseReports();
+const auditEngines = new AuditEngines({ staticAuditor: simpleAuditor, reports: lighthouseReports });
+const siteCrawler = new SiteCrawler(simpleAuditor);
+const auditHistory = new AuditHistory();
+const auditJobs = new AuditJobManager(auditEngines, { history: auditHistory });
+const competitorComparison = new CompetitorComparison(auditEngines, { history: auditHistory });
 
-router.post('/analyze', async (req, res) => {
+// Most competitors a single comparison request may include
+const MAX_COMPETITORS = 4;
+
+// Keeps numeric request options within safe bounds
+const clampOption = (value, fallback, min, max) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : Math.min(Math.max(parsed, min), max);
+};
+
+// Sends a 400 response and returns true when the URL is missing or malformed
+const rejectInvalidUrl = (url, res, action) => {
+  if (!url) {
+    res.status(400).json({
+      error: 'URL is required',
+      message: `Please provide a valid URL to ${action}`
+    });
+    return true;
+  }
+
+  // Validate URL format
   try {
-    const { url } = req.body;
+    new URL(url);
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid URL format',
+      message: 'Please provide a valid URL (e.g., https://example.com)'
+    });
+    return true;
+  }
 
-    if (!url) {
-      return res.status(400).json({
-        error: 'URL is required',
-        message: 'Please provide a valid URL to analyze'
-      });
-    }
+  return false;
+};
 
-    // Validate URL format
-    try {
-      new URL(url);
-    } catch (error) {
-      return res.status(400).json({
-        error: 'Invalid URL format',
-        message: 'Please provide a valid URL (e.g., https://example.com)'
-      });
+// Sends a 400 response and returns true when the audit engine isn't supported
+const rejectUnknownEngine = (engine, res) => {
+  if (engine === undefined || auditEngines.has(engine)) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Unknown audit engine',
+    message: `Audit engine "${engine}" is not supported. Available engines: ${auditEngines.list().join(', ')}`
+  });
+  return true;
+};
+
+// Sends a 400 response and returns true when the scoring profile doesn't exist
+const rejectUnknownProfile = (profile, res) => {
+  if (profile === undefined || simpleAuditor.profiles.get(profile)) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Unknown scoring profile',
+    message: `Scoring profile "${profile}" does not exist. Available profiles: ${simpleAuditor.profiles.list().map(item => item.name).join(', ')}`
+  });
+  return true;
+};
+
+router.post('/analyze', async (req, res) => {
+  try {
+    const { url, sitemapSampleSize, profile, engine } = req.body;
+
+    if (rejectInvalidUrl(url, res, 'analyze') || rejectUnknownProfile(profile, res) || rejectUnknownEngine(engine, res)) {
+      return;
     }
 
     console.log(`Starting audit for: ${url}`);
     
     let results;
-    // Skip full audit due to Puppeteer issues, go straight to simple audit
+    // Static audits need no browser; the browser and Lighthouse engines start one on first use
     try {
-      console.log('Using simple audit (Puppeteer disabled)');
-      results = await simpleAuditor.auditWebsite(url);
-      console.log('Simple audit completed successfully');
-    } catch (simpleError) {
-      console.error('Simple audit failed:', simpleError.message);
+      console.log(`Using ${engine || 'static'} audit engine`);
+      results = await auditEngines.auditWebsite(url, {
+        sitemapSampleSize: clampOption(sitemapSampleSize, 0, 0, 50),
+        profile,
+        engine
+      });
+      console.log('Audit completed successfully');
+    } catch (auditError) {
+      console.error('Audit failed:', auditError.message);
       throw new Error('Unable to perform audit. Please try again later.');
     }
 
+    results = await auditHistory.record(results);
+
     res.json({
       success: true,
       data: results
@@ -52,6 +117,359 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+router.post('/crawl', async (req, res) => {
+  try {
+    const { url, maxDepth, maxPages, concurrency } = req.body;
+
+    if (rejectInvalidUrl(url, res, 'crawl')) {
+      return;
+    }
+
+    console.log(`Starting site crawl for: ${url}`);
+
+    const results = await siteCrawler.crawl(url, {
+      maxDepth: clampOption(maxDepth, 3, 0, 5),
+      maxPages: clampOption(maxPages, 25, 1, 100),
+      concurrency: clampOption(concurrency, 3, 1, 5)
+    });
+
+    console.log(`Site crawl completed for: ${url} (${results.pagesCrawled} pages)`);
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Crawl error:', error);
+    res.status(500).json({
+      error: 'Crawl failed',
+      message: error.message || 'An unexpected error occurred during the crawl'
+    });
+  }
+});
+
+router.post('/links', async (req, res) => {
+  try {
+    const { url, maxLinks, concurrency } = req.body;
+
+    if (rejectInvalidUrl(url, res, 'check')) {
+      return;
+    }
+
+    console.log(`Starting link check for: ${url}`);
+
+    const results = await simpleAuditor.checkLinks(url, {
+      maxLinks: clampOption(maxLinks, 150, 1, 500),
+      concurrency: clampOption(concurrency, 6, 1, 10)
+    });
+
+    console.log(`Link check completed for: ${url} (${results.checked} URLs, ${results.broken.length} broken)`);
+
+    res.json({
+      success: true,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Link check error:', error);
+    res.status(500).json({
+      error: 'Link check failed',
+      message: error.message || 'An unexpected error occurred during the link check'
+    });
+  }
+});
+
+router.post('/compare', async (req, res) => {
+  try {
+    const { url, competitors, profile, engine } = req.body;
+
+    if (rejectInvalidUrl(url, res, 'analyze') || rejectUnknownProfile(profile, res) || rejectUnknownEngine(engine, res)) {
+      return;
+    }
+
+    if (!Array.isArray(competitors) || competitors.length === 0) {
+      return res.status(400).json({
+        error: 'Competitors are required',
+        message: 'Please provide at least one competitor URL'
+      });
+    }
+
+    if (competitors.length > MAX_COMPETITORS) {
+      return res.status(400).json({
+        error: 'Too many competitors',
+        message: `Please provide at most ${MAX_COMPETITORS} competitor URLs`
+      });
+    }
+
+    for (const competitor of competitors) {
+      if (rejectInvalidUrl(competitor, res, 'compare')) {
+        return;
+      }
+    }
+
+    console.log(`Starting comparison for: ${url} against ${competitors.join(', ')}`);
+
+    const comparison = await competitorComparison.compare(url, competitors, { profile, engine });
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+
+  } catch (error) {
+    console.error('Comparison error:', error);
+    res.status(500).json({
+      error: 'Comparison failed',
+      message: error.message || 'An unexpected error occurred during the comparison'
+    });
+  }
+});
+
+router.post('/jobs', (req, res) => {
+  const { url, sitemapSampleSize, profile, engine } = req.body;
+
+  if (rejectInvalidUrl(url, res, 'analyze') || rejectUnknownProfile(profile, res) || rejectUnknownEngine(engine, res)) {
+    return;
+  }
+
+  const job = auditJobs.createJob(url, {
+    sitemapSampleSize: clampOption(sitemapSampleSize, 0, 0, 50),
+    profile,
+    engine
+  });
+  console.log(`Queued audit job ${job.id} for: ${url}`);
+
+  res.status(202).json({
+    success: true,
+    data: {
+      id: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      eventsUrl: `${req.baseUrl}/jobs/${job.id}/events`
+    }
+  });
+});
+
+router.get('/jobs/:id', (req, res) => {
+  const job = auditJobs.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: 'The audit job does not exist or has expired'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+// Streams per-category progress as Server-Sent Events until the job finishes
+router.get('/jobs/:id/events', (req, res) => {
+  const job = auditJobs.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: 'The audit job does not exist or has expired'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // The compression middleware buffers output unless it is flushed explicitly
+    if (res.flush) {
+      res.flush();
+    }
+  };
+
+  const finish = () => {
+    clearInterval(heartbeat);
+    auditJobs.removeListener('update', onUpdate);
+    res.end();
+  };
+
+  const onUpdate = (updatedJob, event) => {
+    if (updatedJob.id !== job.id) {
+      return;
+    }
+
+    send(event.type, event);
+    if (event.type === 'completed' || event.type === 'failed') {
+      finish();
+    }
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    if (res.flush) {
+      res.flush();
+    }
+  }, 15000);
+
+  auditJobs.on('update', onUpdate);
+  req.on('close', finish);
+
+  // Clients that connect late still get everything that has happened so far
+  send('snapshot', job);
+  if (job.status === 'completed' || job.status === 'failed') {
+    finish();
+  }
+});
+
+router.get('/history', async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    if (rejectInvalidUrl(url, res, 'look up')) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: await auditHistory.list(url)
+    });
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({
+      error: 'History lookup failed',
+      message: error.message || 'Unable to read audit history'
+    });
+  }
+});
+
+router.get('/history/trends', async (req, res) => {
+  try {
+    const { url } = req.query;
+
+    if (rejectInvalidUrl(url, res, 'look up')) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: await auditHistory.trends(url)
+    });
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({
+      error: 'History lookup failed',
+      message: error.message || 'Unable to read audit history'
+    });
+  }
+});
+
+router.get('/history/:id', async (req, res) => {
+  try {
+    const record = await auditHistory.get(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        error: 'Audit not found',
+        message: 'No stored audit has this id'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: record.id, ...record.results }
+    });
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({
+      error: 'History lookup failed',
+      message: error.message || 'Unable to read audit history'
+    });
+  }
+});
+
+router.get('/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        error: 'Audit ids are required',
+        message: 'Please provide both "from" and "to" audit ids'
+      });
+    }
+
+    const [fromRecord, toRecord] = await Promise.all([auditHistory.get(from), auditHistory.get(to)]);
+    const missing = [[from, fromRecord], [to, toRecord]].filter(([, record]) => !record).map(([id]) => id);
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Audit not found',
+        message: `No stored audit has the id ${missing.join(' or ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diffAudits(fromRecord, toRecord)
+    });
+  } catch (error) {
+    if (error instanceof AuditDiffError) {
+      return res.status(400).json({
+        error: 'Audits cannot be compared',
+        message: error.message
+      });
+    }
+
+    console.error('Diff error:', error);
+    res.status(500).json({
+      error: 'Diff failed',
+      message: error.message || 'Unable to compare audits'
+    });
+  }
+});
+
+router.get('/checks', (req, res) => {
+  res.json({
+    success: true,
+    data: simpleAuditor.checks.list()
+  });
+});
+
+router.get('/profiles', (req, res) => {
+  res.json({
+    success: true,
+    data: simpleAuditor.profiles.list()
+  });
+});
+
+router.get('/lighthouse/:id', async (req, res) => {
+  try {
+    const filePath = await lighthouseReports.find(req.params.id);
+
+    if (!filePath) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: 'No stored Lighthouse report has this id'
+      });
+    }
+
+    res.download(filePath, `lighthouse-${req.params.id}.json`);
+  } catch (error) {
+    console.error('Lighthouse report error:', error);
+    res.status(500).json({
+      error: 'Report lookup failed',
+      message: error.message || 'Unable to read the Lighthouse report'
+    });
+  }
+});
+
 router.get('/health', (req, res) => {
   res.json({
     status: 'healthy',